@@ -36,6 +36,7 @@ async function createIndexes() {
     await mongoose.connection.db.collection('expenses').createIndex({ userId: 1, category: 1 });
     await mongoose.connection.db.collection('expenses').createIndex({ userId: 1, amount: 1 });
     await mongoose.connection.db.collection('expenses').createIndex({ createdAt: 1 });
+    await replaceExpenseTextIndex();
     
     // AI insights indexes
     await mongoose.connection.db.collection('aiinsights').createIndex({ userId: 1, createdAt: -1 });
@@ -51,6 +52,19 @@ async function createIndexes() {
   }
 }
 
+// A collection has at most one text index, so an older expense text index (before
+// attachment text was searchable) is dropped for the one the Expense model defines
+async function replaceExpenseTextIndex() {
+  const collection = mongoose.connection.db.collection('expenses');
+  const indexes = await collection.indexes().catch(() => []);
+  const outdated = indexes.filter(index => index.key._fts === 'text' && index.name !== 'expense_text_search');
+  for (const index of outdated) {
+    await collection.dropIndex(index.name);
+    logger.info(`🔁 Replacing expense text index ${index.name}`);
+  }
+  await require('../models/Expense').createIndexes();
+}
+
 // Handle connection events
 mongoose.connection.on('connected', () => {
   logger.info('📊 MongoDB connected');
@@ -0,0 +1,132 @@
+// Renders the receipt fixtures for test-ocr.js: printed receipts "photographed" on a table,
+// i.e. tilted, unevenly lit, noisy and slightly blurred, each next to its expected values.
+// The photos are synthetic so they can be regenerated; add real photos the same way.
+// Needs sharp and a monospace font (DejaVu Sans Mono) known to fontconfig.
+// Run: node fixtures/receipts/generate.js
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const RECEIPTS = [
+  {
+    name: 'cafe',
+    angle: 4,
+    lines: ['BLUE BOTTLE COFFEE', '66 Mint St, San Francisco', '03/14/2024 08:42', '', '2 x Latte 4.50 9.00', 'Croissant 3.75', 'Subtotal 12.75', 'Sales Tax 8.25% 1.05', 'Tip 2.00', 'TOTAL $15.80', 'VISA ****4821'],
+    expected: { merchant: 'Blue Bottle Coffee', total: 15.8, date: '2024-03-14' }
+  },
+  {
+    name: 'grocery',
+    angle: -6,
+    lines: ['GREENLEAF MARKET', 'Store #118', 'Date: 2024-05-02', '', 'Bananas 1.29', 'Whole Milk 1 gal 3.99', 'Sourdough Bread 5.49', 'Eggs Large 12ct 4.29', 'Coupon -1.00', 'Subtotal 14.06', 'Tax 0.00', 'TOTAL 14.06', 'CASH 20.00', 'CHANGE 5.94'],
+    expected: { merchant: 'Greenleaf Market', total: 14.06, date: '2024-05-02' }
+  },
+  {
+    name: 'pharmacy',
+    angle: 7,
+    lines: ['WELLCARE PHARMACY', 'Tel 415-555-0142', 'Jan 9, 2024', '', 'Vitamin D3 9.99', 'Bandages 4.49', 'Hand Soap 2.99', 'Subtotal 17.47', 'Tax 1.44', 'Total Due 18.91', 'MASTERCARD 18.91'],
+    expected: { merchant: 'Wellcare Pharmacy', total: 18.91, date: '2024-01-09' }
+  },
+  {
+    name: 'restaurant',
+    angle: -3,
+    lines: ['TRATTORIA ROMA', 'Table 12 Server: Ana', '02/23/2024 19:15', '', 'Margherita Pizza 14.00', 'Caesar Salad 9.50', '2 x Sparkling Water 3.00 6.00', 'Tiramisu 7.50', 'Subtotal 37.00', 'Tax 3.05', 'Total 40.05', 'Tip 7.00', 'Amount Paid 47.05'],
+    expected: { merchant: 'Trattoria Roma', total: 40.05, date: '2024-02-23' }
+  },
+  {
+    name: 'hardware',
+    angle: 9,
+    lines: ['ACE HARDWARE', 'Invoice 20931', '04/11/2024', '', 'Wood Screws 1.5in 6.49', 'Paint Roller 8.99', 'Drop Cloth 12.99', 'Subtotal 28.47', 'Sales Tax 2.35', 'TOTAL 30.82', 'DEBIT 30.82'],
+    expected: { merchant: 'Ace Hardware', total: 30.82, date: '2024-04-11' }
+  },
+  {
+    name: 'bakery',
+    angle: -8,
+    lines: ['SUNRISE BAKERY', '12 Oak Avenue', '2024-06-30 07:58', '', '3 x Bagel 1.75 5.25', 'Cream Cheese 2.50', 'Orange Juice 3.25', 'Total 11.00', 'CARD 11.00'],
+    expected: { merchant: 'Sunrise Bakery', total: 11, date: '2024-06-30' }
+  }
+];
+
+const PAPER_WIDTH = 660;
+const LINE_HEIGHT = 44;
+const PHOTO_WIDTH = 1200;
+const PHOTO_HEIGHT = 1500;
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Deterministic noise, so regenerated fixtures are identical
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+// Amounts are pushed to the right edge like a receipt printer does
+function receiptSvg(lines) {
+  const height = (lines.length + 2) * LINE_HEIGHT;
+  const rows = lines.map((line, index) => {
+    const y = (index + 1.5) * LINE_HEIGHT;
+    const match = line.match(/^(.*?)\s+(-?\$?\d+\.\d{2})$/);
+    if (!match || index < 3) {
+      return `<text x="${PAPER_WIDTH / 2}" y="${y}" text-anchor="middle">${escapeXml(line)}</text>`;
+    }
+    return `<text x="24" y="${y}">${escapeXml(match[1])}</text>` +
+      `<text x="${PAPER_WIDTH - 24}" y="${y}" text-anchor="end">${escapeXml(match[2])}</text>`;
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${PAPER_WIDTH}" height="${height}">` +
+    `<rect width="100%" height="100%" fill="#f3efe4"/>` +
+    `<g font-family="DejaVu Sans Mono" font-size="28" fill="#2b2b2b">${rows.join('')}</g></svg>`;
+}
+
+async function photograph(receipt, seed) {
+  const paper = await sharp(Buffer.from(receiptSvg(receipt.lines)))
+    .rotate(receipt.angle, { background: { r: 0, g: 0, b: 0, alpha: 0 } })
+    .png()
+    .toBuffer({ resolveWithObject: true });
+
+  // A dark table, light falling from the top left
+  const table = `<svg xmlns="http://www.w3.org/2000/svg" width="${PHOTO_WIDTH}" height="${PHOTO_HEIGHT}">` +
+    '<defs><radialGradient id="light" cx="0.25" cy="0.2" r="1.1">' +
+    '<stop offset="0" stop-color="#8a7a66"/><stop offset="1" stop-color="#2e261e"/></radialGradient></defs>' +
+    '<rect width="100%" height="100%" fill="url(#light)"/></svg>';
+  const shade = `<svg xmlns="http://www.w3.org/2000/svg" width="${PHOTO_WIDTH}" height="${PHOTO_HEIGHT}">` +
+    '<defs><linearGradient id="shade" x1="0" y1="0" x2="1" y2="1">' +
+    '<stop offset="0" stop-color="#ffffff"/><stop offset="1" stop-color="#8c8c8c"/></linearGradient></defs>' +
+    '<rect width="100%" height="100%" fill="url(#shade)"/></svg>';
+
+  const { data, info } = await sharp(Buffer.from(table))
+    .composite([
+      {
+        input: paper.data,
+        left: Math.round((PHOTO_WIDTH - paper.info.width) / 2),
+        top: Math.round((PHOTO_HEIGHT - paper.info.height) / 2)
+      },
+      { input: Buffer.from(shade), blend: 'multiply' }
+    ])
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const next = random(seed);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = Math.max(0, Math.min(255, data[i] + (next() - 0.5) * 40));
+  }
+
+  return await sharp(data, { raw: info })
+    .blur(0.8)
+    .jpeg({ quality: 80 })
+    .toBuffer();
+}
+
+(async() => {
+  for (const [index, receipt] of RECEIPTS.entries()) {
+    const photo = await photograph(receipt, index + 1);
+    fs.writeFileSync(path.join(__dirname, `${receipt.name}.jpg`), photo);
+    fs.writeFileSync(path.join(__dirname, `${receipt.name}.json`), JSON.stringify(receipt.expected, null, 2) + '\n');
+    console.log(`${receipt.name}.jpg (${Math.round(photo.length / 1024)} KB)`);
+  }
+})();
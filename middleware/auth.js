@@ -1,6 +1,6 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const { logger } = require('../utils/logger');
+const { verifyAccessToken, isSessionActive } = require('../services/tokenService');
 
 const auth = async (req, res, next) => {
   try {
@@ -13,7 +13,31 @@ const auth = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
+
+    // Two-factor challenge tokens only work on the second login step
+    if (decoded.purpose) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Two-factor authentication required' 
+      });
+    }
+
+    // Every access token belongs to a session; tokens without one are not ours to honour
+    if (!decoded.sessionId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token is not valid'
+      });
+    }
+
+    // Tokens from a logged-out or revoked session stop working immediately
+    if (!(await isSessionActive(decoded.sessionId))) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Session has been revoked' 
+      });
+    }
     
     // Get user from database
     const user = await User.findById(decoded.userId).select('-password');
@@ -25,7 +49,16 @@ const auth = async (req, res, next) => {
       });
     }
 
+    // A password change or reset retires every access token issued before it
+    if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was changed, please log in again'
+      });
+    }
+
     req.user = user;
+    req.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     logger.error('Auth middleware error:', error);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+const AUDIT_SOURCES = ['manual', 'ocr', 'import', 'recurring', 'bulk', 'category', 'system'];
+
+// One recorded change to an expense (see services/auditService.js)
+const auditLogSchema = new mongoose.Schema({
+  // Owner of the expense
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Who made the change; null for background jobs
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  entityType: {
+    type: String,
+    default: 'expense'
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: AUDIT_ACTIONS
+  },
+  source: {
+    type: String,
+    required: true,
+    enum: AUDIT_SOURCES
+  },
+  // Field-level before/after values
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  // Expense name at the time, so the activity feed reads well after a purge
+  summary: {
+    type: String,
+    maxlength: 255
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ entityId: 1, createdAt: -1 });
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+AuditLog.ACTIONS = AUDIT_ACTIONS;
+AuditLog.SOURCES = AUDIT_SOURCES;
+
+module.exports = AuditLog;
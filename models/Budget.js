@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const budgetSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  // null means an overall budget covering every category
+  category: {
+    type: String,
+    default: null,
+    trim: true,
+    maxlength: 100
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 999999.99
+  },
+  // 'YYYY-MM' for a one-off budget; null applies to every month
+  month: {
+    type: String,
+    default: null,
+    match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'Month must be in YYYY-MM format']
+  },
+  rollover: {
+    type: String,
+    enum: ['none', 'surplus', 'full'],
+    default: 'none'
+  },
+  rolloverCap: {
+    type: Number,
+    min: 0
+  },
+  thresholds: {
+    type: [Number],
+    default: [50, 80, 100]
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// One budget per scope and month
+budgetSchema.index({ userId: 1, category: 1, month: 1 }, { unique: true });
+
+module.exports = mongoose.model('Budget', budgetSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Built-in categories every user has; user categories are added on top of these
+const DEFAULT_CATEGORIES = ['food', 'transport', 'utilities', 'entertainment', 'shopping', 'healthcare', 'education', 'other'];
+
+const categorySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  // Lowercased name; names are unique per user regardless of case
+  nameKey: {
+    type: String,
+    required: true
+  },
+  // Name of the top-level category (built-in or custom) this is a subcategory of.
+  // Expenses in a subcategory are stored as { category: parent, subcategory: name }.
+  parent: {
+    type: String,
+    default: null,
+    trim: true,
+    maxlength: 50
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #1a2b3c']
+  },
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  // Extra words that point the auto-categorizer at this category
+  keywords: [{
+    type: String,
+    lowercase: true,
+    trim: true,
+    maxlength: 50
+  }],
+  // Archived categories stay on existing expenses but cannot be picked for new ones
+  archived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ userId: 1, nameKey: 1 }, { unique: true });
+
+categorySchema.pre('validate', function(next) {
+  if (this.name) {
+    this.nameKey = this.name.toLowerCase();
+  }
+  next();
+});
+
+const Category = mongoose.model('Category', categorySchema);
+Category.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+
+module.exports = Category;
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const exchangeRateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // 1 unit of `from` is worth `rate` units of `to`
+  from: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  to: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Rate applies to expenses on or after this date until a newer rate exists
+  date: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.index({ userId: 1, from: 1, to: 1, date: -1 });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -1,5 +1,39 @@
 const mongoose = require('mongoose');
 
+// A file in receipt storage (see services/storageService.js)
+const storedFileFields = {
+  key: { type: String, required: true },
+  thumbnailKey: { type: String, default: null },
+  // SHA-256 of the content; a user's identical uploads share one stored file
+  hash: { type: String, required: true },
+  mimeType: String,
+  size: Number,
+  originalName: String
+};
+
+// Documents that belong with the purchase: warranty cards, invoices, delivery slips
+const attachmentSchema = new mongoose.Schema({
+  ...storedFileFields,
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  // Text read from the document by OCR; part of the expense text index
+  ocrText: {
+    type: String,
+    maxlength: 20000,
+    default: ''
+  },
+  ocrStatus: {
+    type: String,
+    enum: ['pending', 'done', 'failed'],
+    default: 'pending'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
 const expenseSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -19,16 +53,40 @@ const expenseSchema = new mongoose.Schema({
     min: 0,
     max: 999999.99
   },
+  // ISO 4217 code of `amount`; missing means the user's base currency
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  // Rate used to convert `amount` into the user's base currency when it was recorded
+  exchangeRate: {
+    type: Number,
+    min: 0
+  },
+  baseAmount: {
+    type: Number,
+    min: 0
+  },
+  // A built-in category or one of the user's own (see models/Category.js)
   category: {
     type: String,
     required: true,
-    enum: ['food', 'transport', 'utilities', 'entertainment', 'shopping', 'healthcare', 'education', 'other']
+    trim: true,
+    maxlength: 100
   },
   subcategory: {
     type: String,
     trim: true,
     maxlength: 100
   },
+  // Normalized merchant behind `name` (see services/merchantService.js)
+  merchantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant',
+    default: null
+  },
   date: {
     type: Date,
     required: true,
@@ -39,11 +97,22 @@ const expenseSchema = new mongoose.Schema({
     trim: true,
     maxlength: 1000
   },
+  // External receipt URL, or for uploaded receipts the API URL they are served from
   receiptImageUrl: {
     type: String,
     trim: true,
     maxlength: 500
   },
+  // Uploaded receipt file in receipt storage (see services/storageService.js)
+  receipt: {
+    type: new mongoose.Schema(storedFileFields, { _id: false }),
+    default: null
+  },
+  attachments: {
+    type: [attachmentSchema],
+    default: []
+  },
+  // Parsed receipt (see services/receiptParser.js): line items, subtotal, taxes, tip, total and per-field confidence
   ocrData: {
     type: mongoose.Schema.Types.Mixed,
     default: null
@@ -57,6 +126,11 @@ const expenseSchema = new mongoose.Schema({
     min: 0,
     max: 1
   },
+  // Set by the user's rules (see services/ruleService.js) for expenses that need no further checking
+  reviewed: {
+    type: Boolean,
+    default: false
+  },
   isAnomaly: {
     type: Boolean,
     default: false
@@ -81,9 +155,32 @@ const expenseSchema = new mongoose.Schema({
       index: '2dsphere'
     }
   },
+  recurringId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringExpense'
+  },
+  recurrenceDate: {
+    type: Date
+  },
   metadata: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
+  },
+  // Receipt uploads stay pending until the user confirms the OCR suggestions (see services/receiptService.js)
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed'],
+    default: 'confirmed'
+  },
+  // Uploaded receipts: `pending` while OCR reads the file, `failed` when it could not (retry or discard it)
+  ocrStatus: {
+    type: String,
+    enum: ['pending', 'done', 'failed']
+  },
+  // Set when the expense is moved to the trash; purged after TRASH_RETENTION_DAYS
+  deletedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -94,21 +191,77 @@ expenseSchema.index({ userId: 1, date: -1 });
 expenseSchema.index({ userId: 1, category: 1 });
 expenseSchema.index({ userId: 1, amount: 1 });
 expenseSchema.index({ userId: 1, createdAt: -1 });
+expenseSchema.index({ userId: 1, merchantId: 1 });
 expenseSchema.index({ date: -1 });
 expenseSchema.index({ category: 1 });
 
-// Text search index
+expenseSchema.index({ userId: 1, deletedAt: -1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+expenseSchema.index({ userId: 1, status: 1, createdAt: -1 }, { partialFilterExpression: { status: 'pending' } });
+expenseSchema.index({ userId: 1, 'receipt.hash': 1 }, { partialFilterExpression: { 'receipt.hash': { $type: 'string' } } });
+expenseSchema.index({ userId: 1, 'attachments.hash': 1 }, { partialFilterExpression: { 'attachments.hash': { $type: 'string' } } });
+// Documents still waiting for OCR, checked when the receipt queue starts
+expenseSchema.index({ ocrStatus: 1, createdAt: 1 }, { partialFilterExpression: { ocrStatus: 'pending' } });
+expenseSchema.index({ 'attachments.ocrStatus': 1 }, { partialFilterExpression: { 'attachments.ocrStatus': 'pending' } });
+
+// Each recurring occurrence is materialized at most once
+expenseSchema.index(
+  { recurringId: 1, recurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { recurringId: { $exists: true } } }
+);
+
+// Text search index; attachment labels and OCR text let search find expenses by words on their documents.
+// MongoDB allows one text index per collection, so config/database.js replaces older versions of it.
 expenseSchema.index({
   name: 'text',
   notes: 'text',
-  tags: 'text'
+  tags: 'text',
+  'attachments.label': 'text',
+  'attachments.ocrText': 'text'
+}, { name: 'expense_text_search' });
+
+// Trashed and pending expenses are hidden from reads unless the query filters on
+// deletedAt or status itself, or opts in with .withDeleted()
+function excludeHidden() {
+  if (this._withDeleted) {
+    return;
+  }
+  const filter = this.getFilter();
+  if (filter.deletedAt === undefined) {
+    this.where({ deletedAt: null });
+  }
+  if (filter.status === undefined) {
+    this.where({ status: { $ne: 'pending' } });
+  }
+}
+
+expenseSchema.pre(['find', 'findOne', 'countDocuments', 'distinct'], excludeHidden);
+
+expenseSchema.pre('aggregate', function() {
+  const pipeline = this.pipeline();
+  const first = pipeline[0];
+  // Merged into a leading $match so $text stays in the first stage
+  if (first && first.$match) {
+    if (first.$match.deletedAt === undefined) {
+      first.$match.deletedAt = null;
+    }
+    if (first.$match.status === undefined) {
+      first.$match.status = { $ne: 'pending' };
+    }
+  } else if (!first || !first.$geoNear) {
+    pipeline.unshift({ $match: { deletedAt: null, status: { $ne: 'pending' } } });
+  }
 });
 
+expenseSchema.query.withDeleted = function() {
+  this._withDeleted = true;
+  return this;
+};
+
 // Virtual for formatted amount
 expenseSchema.virtual('formattedAmount').get(function() {
   return new Intl.NumberFormat('en-US', {
     style: 'currency',
-    currency: 'USD'
+    currency: this.currency || 'USD'
   }).format(this.amount);
 });
 
@@ -117,17 +270,14 @@ expenseSchema.virtual('formattedDate').get(function() {
   return this.date.toLocaleDateString();
 });
 
-// Static method to get user expenses with pagination
-expenseSchema.statics.getUserExpenses = async function(userId, options = {}) {
+// Static method to build the filter query shared by listing and export
+expenseSchema.statics.buildUserQuery = function(userId, options = {}) {
   const {
-    page = 1,
-    limit = 50,
     category,
     startDate,
     endDate,
     search,
-    sortBy = 'date',
-    sortOrder = -1
+    tags
   } = options;
 
   const query = { userId };
@@ -147,9 +297,31 @@ expenseSchema.statics.getUserExpenses = async function(userId, options = {}) {
     query.$text = { $search: search };
   }
 
+  // Comma separated or array; matches expenses carrying any of the tags
+  const tagList = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  const cleanTags = tagList.map(tag => String(tag).trim()).filter(Boolean);
+  if (cleanTags.length > 0) {
+    query.tags = { $in: cleanTags };
+  }
+
+  return query;
+};
+
+// Static method to get user expenses with pagination
+expenseSchema.statics.getUserExpenses = async function(userId, options = {}) {
+  const {
+    page = 1,
+    limit = 50,
+    sortBy = 'date',
+    sortOrder = -1
+  } = options;
+
+  const query = this.buildUserQuery(userId, options);
+
   const skip = (page - 1) * limit;
   
   const expenses = await this.find(query)
+    .select('-attachments.ocrText')
     .sort({ [sortBy]: sortOrder })
     .skip(skip)
     .limit(parseInt(limit))
@@ -180,18 +352,21 @@ expenseSchema.statics.getSpendingStats = async function(userId, startDate, endDa
     if (endDate) matchStage.date.$lte = new Date(endDate);
   }
 
+  // Totals are in the user's base currency
+  const baseAmount = { $ifNull: ['$baseAmount', '$amount'] };
+
   const pipeline = [
     { $match: matchStage },
     {
       $group: {
         _id: null,
-        totalSpent: { $sum: '$amount' },
-        averageExpense: { $avg: '$amount' },
+        totalSpent: { $sum: baseAmount },
+        averageExpense: { $avg: baseAmount },
         totalExpenses: { $sum: 1 },
         categoryBreakdown: {
           $push: {
             category: '$category',
-            amount: '$amount'
+            amount: baseAmount
           }
         }
       }
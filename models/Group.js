@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const groupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // People asked to join by email; they become members only when the account with that
+  // verified address accepts, so inviting never reveals whether an account exists
+  invitations: [{
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Currency all group expenses and balances are kept in
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD'
+  }
+}, {
+  timestamps: true
+});
+
+groupSchema.index({ members: 1 });
+groupSchema.index({ 'invitations.email': 1 });
+
+module.exports = mongoose.model('Group', groupSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const Category = require('./Category');
+
+const groupExpenseSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 999999.99
+  },
+  category: {
+    type: String,
+    // Groups are shared, so only the built-in categories are available
+    enum: Category.DEFAULT_CATEGORIES,
+    default: 'other'
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  splitType: {
+    type: String,
+    required: true,
+    enum: ['equal', 'percentage', 'exact']
+  },
+  // Resolved share of each participant; always sums to `amount`
+  splits: [{
+    _id: false,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    percentage: {
+      type: Number,
+      min: 0,
+      max: 100
+    }
+  }],
+  // Removed expenses are kept, out of the balances, so every change to them can be traced
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+groupExpenseSchema.index({ groupId: 1, date: -1 });
+
+module.exports = mongoose.model('GroupExpense', groupExpenseSchema);
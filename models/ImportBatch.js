@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const importRowSchema = new mongoose.Schema({
+  index: {
+    type: Number,
+    required: true
+  },
+  date: Date,
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 255
+  },
+  amount: Number,
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  category: String,
+  subcategory: String,
+  aiCategorized: Boolean,
+  confidenceScore: Number,
+  // Bank transaction id (OFX FITID / QIF check number) when the statement has one
+  externalId: String,
+  status: {
+    type: String,
+    enum: ['new', 'duplicate', 'income', 'error'],
+    default: 'new'
+  },
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense'
+  },
+  duplicateOfRow: Number,
+  duplicateScore: Number,
+  error: String
+}, { _id: false });
+
+const importBatchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  format: {
+    type: String,
+    required: true,
+    enum: ['csv', 'ofx', 'qif']
+  },
+  filename: {
+    type: String,
+    trim: true,
+    maxlength: 255
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'committed'],
+    default: 'pending'
+  },
+  rows: [importRowSchema],
+  committedCount: {
+    type: Number,
+    default: 0
+  },
+  committedAt: Date,
+  // Uncommitted previews are discarded automatically
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+importBatchSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ImportBatch', importBatchSchema);
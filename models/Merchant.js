@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const merchantSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Display name, e.g. "Uber"
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Normalized name keys (see merchantService.merchantKey) that map to this merchant
+  aliases: [{
+    type: String,
+    lowercase: true,
+    trim: true,
+    maxlength: 100
+  }],
+  // Default category for new expenses at this merchant
+  category: {
+    type: String,
+    default: null,
+    trim: true,
+    maxlength: 100
+  },
+  subcategory: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  logo: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// An alias belongs to at most one of a user's merchants
+merchantSchema.index({ userId: 1, aliases: 1 }, { unique: true });
+
+module.exports = mongoose.model('Merchant', merchantSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const CORRECTABLE_FIELDS = ['merchant', 'amount', 'date', 'currency'];
+
+// A user's correction of what the receipt parser read; training data for the parser
+const receiptCorrectionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expenseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense'
+  },
+  // OCR text the parser worked from
+  rawText: {
+    type: String,
+    maxlength: 20000
+  },
+  // What the parser suggested, what the user confirmed and how sure the parser was
+  fields: [{
+    _id: false,
+    field: {
+      type: String,
+      enum: CORRECTABLE_FIELDS
+    },
+    parsed: mongoose.Schema.Types.Mixed,
+    corrected: mongoose.Schema.Types.Mixed,
+    confidence: Number
+  }]
+}, {
+  timestamps: true
+});
+
+receiptCorrectionSchema.index({ userId: 1, createdAt: -1 });
+receiptCorrectionSchema.index({ 'fields.field': 1, createdAt: -1 });
+
+const ReceiptCorrection = mongoose.model('ReceiptCorrection', receiptCorrectionSchema);
+
+ReceiptCorrection.FIELDS = CORRECTABLE_FIELDS;
+
+module.exports = ReceiptCorrection;
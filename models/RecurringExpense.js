@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const recurringExpenseSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 999999.99
+  },
+  category: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  subcategory: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    maxlength: 50
+  }],
+  schedule: {
+    frequency: {
+      type: String,
+      required: true,
+      enum: ['daily', 'weekly', 'monthly', 'yearly']
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1,
+      max: 366
+    },
+    startDate: {
+      type: Date,
+      required: true
+    },
+    endDate: {
+      type: Date
+    },
+    count: {
+      type: Number,
+      min: 1
+    },
+    skipDates: [{
+      type: Date
+    }]
+  },
+  isPaused: {
+    type: Boolean,
+    default: false
+  },
+  // Occurrences up to this point have been materialized as expenses
+  lastGeneratedAt: {
+    type: Date
+  },
+  nextOccurrence: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Scheduler lookup
+recurringExpenseSchema.index({ isPaused: 1, nextOccurrence: 1 });
+
+module.exports = mongoose.model('RecurringExpense', recurringExpenseSchema);
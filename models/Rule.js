@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const RULE_FIELDS = ['name', 'notes', 'amount', 'merchant', 'date', 'weekday'];
+const RULE_OPERATORS = ['contains', 'equals', 'matches', 'in', 'gt', 'gte', 'lt', 'lte', 'between'];
+
+// One test against an expense, e.g. { field: 'name', operator: 'matches', value: 'swiggy|zomato' }
+const conditionSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true,
+    enum: RULE_FIELDS
+  },
+  operator: {
+    type: String,
+    required: true,
+    enum: RULE_OPERATORS
+  },
+  // A string, number or date, [min, max] for `between`, or a list for `in`
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  _id: false
+});
+
+// A user's deterministic categorization rule (see services/ruleService.js)
+const ruleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Rules run in ascending priority; the first rule to set a field wins
+  priority: {
+    type: Number,
+    default: 0
+  },
+  // 'all' needs every condition to hold, 'any' at least one
+  match: {
+    type: String,
+    enum: ['all', 'any'],
+    default: 'all'
+  },
+  conditions: {
+    type: [conditionSchema],
+    validate: [conditions => conditions.length > 0, 'A rule needs at least one condition']
+  },
+  actions: {
+    // Stored resolved, like Expense.category/subcategory
+    category: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    subcategory: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    tags: [{
+      type: String,
+      trim: true,
+      maxlength: 50
+    }],
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    },
+    reviewed: {
+      type: Boolean
+    }
+  },
+  // Skip lower-priority rules once this one matches
+  stopProcessing: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+ruleSchema.index({ userId: 1, priority: 1 });
+
+const Rule = mongoose.model('Rule', ruleSchema);
+
+Rule.FIELDS = RULE_FIELDS;
+Rule.OPERATORS = RULE_OPERATORS;
+
+module.exports = Rule;
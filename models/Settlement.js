@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// A payment between two group members that reduces what one owes the other
+const settlementSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true,
+    index: true
+  },
+  from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01,
+    max: 999999.99
+  },
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+settlementSchema.index({ groupId: 1, date: -1 });
+
+module.exports = mongoose.model('Settlement', settlementSchema);
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+const VERIFICATION_TOKEN_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+const RESET_TOKEN_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -34,15 +38,53 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // One-time tokens are stored as SHA-256 hashes; only the emailed copy can be redeemed
+  emailVerificationToken: String,
+  emailVerificationExpires: Date,
+  passwordResetToken: String,
+  passwordResetExpires: Date,
+  passwordChangedAt: Date,
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // TOTP secrets are encrypted; backup codes are SHA-256 hashes
+    secret: String,
+    pendingSecret: String,
+    backupCodes: [String],
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: Number,
+    enabledAt: Date,
+    // The live login challenge and the code attempts made against it
+    challengeId: String,
+    challengeAttempts: Number
+  },
   preferences: {
+    // Base currency that totals, budgets and AI summaries are reported in
     currency: {
       type: String,
-      default: 'USD'
+      uppercase: true,
+      default: process.env.DEFAULT_CURRENCY || 'USD'
     },
     timezone: {
       type: String,
       default: 'UTC'
     },
+    // Number and date conventions receipts are read with, e.g. 'de-DE' (1.234,56 and 14.03.2024)
+    locale: {
+      type: String,
+      default: process.env.DEFAULT_LOCALE || 'en-US'
+    },
+    // Tesseract languages receipts are read in, e.g. ['hin', 'eng']; unset means OCR_LANGUAGES
+    ocrLanguages: {
+      type: [String],
+      default: undefined
+    },
     notifications: {
       email: {
         type: Boolean,
@@ -60,6 +102,8 @@ const userSchema = new mongoose.Schema({
 
 // Index for better query performance
 userSchema.index({ createdAt: -1 });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -79,10 +123,35 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Remove password from JSON output
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Issue a new email verification token; returns the raw token to send, the hash is kept
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + VERIFICATION_TOKEN_HOURS * 60 * 60 * 1000);
+  return token;
+};
+
+// Issue a new password reset token, invalidating any earlier one
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = this.constructor.hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + RESET_TOKEN_MINUTES * 60 * 1000);
+  return token;
+};
+
+// Remove password, token hashes and two-factor secrets from JSON output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.emailVerificationToken;
+  delete user.emailVerificationExpires;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
+  user.twoFactor = { enabled: Boolean(user.twoFactor && user.twoFactor.enabled) };
   return user;
 };
 
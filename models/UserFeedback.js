@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A user's correction of an AI-assigned category; training data for their personal categorizer
+const userFeedbackSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expenseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense'
+  },
+  // Expense text at the time of the correction
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  amount: Number,
+  // What the categorizer chose
+  previousCategory: String,
+  previousSubcategory: String,
+  confidenceScore: Number,
+  // What the user corrected it to
+  category: {
+    type: String,
+    required: true
+  },
+  subcategory: String
+}, {
+  timestamps: true
+});
+
+userFeedbackSchema.index({ userId: 1, createdAt: -1 });
+userFeedbackSchema.index({ expenseId: 1 });
+
+module.exports = mongoose.model('UserFeedback', userFeedbackSchema);
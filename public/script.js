@@ -1,6 +1,7 @@
 // API Configuration
 const API_BASE_URL = window.location.origin + '/api';
 let authToken = localStorage.getItem('authToken');
+let refreshToken = localStorage.getItem('refreshToken');
 let currentUser = null;
 
 // DOM Elements
@@ -13,6 +14,7 @@ const totalExpenses = document.getElementById("totalExpenses");
 const remainingAmount = document.getElementById("remainingAmount");
 const expenseName = document.getElementById("expenseName");
 const expenseAmount = document.getElementById("expenseAmount");
+const expenseCurrency = document.getElementById("expenseCurrency");
 const expenseDate = document.getElementById("expenseDate");
 const expenseCategory = document.getElementById("expenseCategory");
 const expenseNotes = document.getElementById("expenseNotes");
@@ -22,6 +24,7 @@ const searchExpense = document.getElementById("searchExpense");
 const categoryFilter = document.getElementById("categoryFilter");
 const exportDataBtn = document.getElementById("exportData");
 const exportPdfBtn = document.getElementById("exportPdf");
+const exportCsvBtn = document.getElementById("exportCsv");
 const expenseChart = document.getElementById("expenseChart");
 const trendChart = document.getElementById("trendChart");
 const receiptFile = document.getElementById("receiptFile");
@@ -37,10 +40,73 @@ let monthlyTrendChart;
 // State
 let expenses = [];
 let monthlyLimit = 0;
+let monthlyBudgetId = null;
+let customCategories = [];
+// Receipt upload waiting for confirmation through the expense form
+let pendingReceiptId = null;
+// Legacy browser-only limit, migrated to a server-side budget on first load
 const MONTHLY_LIMIT_KEY = 'monthlyLimit';
 
 // API Helper Functions
-async function apiCall(endpoint, options = {}) {
+function storeTokens(response) {
+    authToken = response.token;
+    localStorage.setItem('authToken', authToken);
+    if (response.refreshToken) {
+        refreshToken = response.refreshToken;
+        localStorage.setItem('refreshToken', refreshToken);
+    }
+}
+
+function clearTokens() {
+    authToken = null;
+    refreshToken = null;
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
+}
+
+// Access tokens are short-lived; trade the refresh token for a new pair when one expires
+let refreshInFlight = null;
+async function refreshAccessToken() {
+    if (!refreshToken) {
+        return false;
+    }
+    if (!refreshInFlight) {
+        refreshInFlight = fetch(API_BASE_URL + '/auth/refresh', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        })
+            .then(async response => {
+                if (!response.ok) {
+                    clearTokens();
+                    return false;
+                }
+                storeTokens(await response.json());
+                return true;
+            })
+            .catch(() => false)
+            .finally(() => {
+                refreshInFlight = null;
+            });
+    }
+    return refreshInFlight;
+}
+
+// fetch() with the bearer token, retried once after a token refresh
+async function authorizedFetch(url, options = {}) {
+    const send = () => fetch(url, {
+        ...options,
+        headers: { ...(options.headers || {}), 'Authorization': `Bearer ${authToken}` }
+    });
+
+    let response = await send();
+    if (response.status === 401 && await refreshAccessToken()) {
+        response = await send();
+    }
+    return response;
+}
+
+async function apiCall(endpoint, options = {}, retry = true) {
     const url = API_BASE_URL + endpoint;
     const config = {
         headers: {
@@ -52,6 +118,10 @@ async function apiCall(endpoint, options = {}) {
 
     try {
         const response = await fetch(url, config);
+
+        if (response.status === 401 && retry && await refreshAccessToken()) {
+            return apiCall(endpoint, options, false);
+        }
         
         // Check if response has content before trying to parse JSON
         const contentType = response.headers.get('content-type');
@@ -85,14 +155,28 @@ async function apiCall(endpoint, options = {}) {
 // Authentication Functions
 async function login(email, password) {
     try {
-        const response = await apiCall('/auth/login', {
+        let response = await apiCall('/auth/login', {
             method: 'POST',
             body: JSON.stringify({ email, password })
         });
 
-        authToken = response.token;
+        // Accounts with two-factor authentication need a second step
+        if (response.twoFactorRequired) {
+            const code = prompt('Enter the 6-digit code from your authenticator app (or a backup code):');
+            if (!code) return;
+
+            const trimmed = code.trim();
+            response = await apiCall('/auth/login/2fa', {
+                method: 'POST',
+                body: JSON.stringify({
+                    challengeToken: response.challengeToken,
+                    ...(/^\d{6}$/.test(trimmed) ? { code: trimmed } : { backupCode: trimmed })
+                })
+            });
+        }
+
+        storeTokens(response);
         currentUser = response.user;
-        localStorage.setItem('authToken', authToken);
         localStorage.setItem('currentUser', JSON.stringify(currentUser));
         
         showNotification('Login successful!', 'success');
@@ -111,9 +195,14 @@ async function register(userData) {
             body: JSON.stringify(userData)
         });
 
-        authToken = response.token;
+        // The server may require a verified email before the first login
+        if (response.verificationRequired) {
+            showNotification(response.message, 'success');
+            return;
+        }
+
+        storeTokens(response);
         currentUser = response.user;
-        localStorage.setItem('authToken', authToken);
         localStorage.setItem('currentUser', JSON.stringify(currentUser));
         
         showNotification('Registration successful!', 'success');
@@ -125,10 +214,72 @@ async function register(userData) {
     }
 }
 
-function logout() {
-    authToken = null;
+async function requestPasswordReset() {
+    const email = prompt('Enter your account email to receive a reset link:', document.getElementById('loginEmail').value);
+    if (!email) return;
+
+    try {
+        const response = await apiCall('/auth/forgot-password', {
+            method: 'POST',
+            body: JSON.stringify({ email })
+        });
+        showNotification(response.message, 'success');
+    } catch (error) {
+        console.error('Password reset request failed:', error);
+    }
+}
+
+// Handle links from verification and password reset emails (?verify=... / ?reset=...)
+async function handleEmailLinks() {
+    const params = new URLSearchParams(window.location.search);
+    const verifyToken = params.get('verify');
+    const resetToken = params.get('reset');
+    if (!verifyToken && !resetToken) return;
+
+    // Drop the one-time token from the address bar and history
+    window.history.replaceState({}, document.title, window.location.pathname);
+
+    try {
+        if (verifyToken) {
+            const response = await apiCall('/auth/verify-email', {
+                method: 'POST',
+                body: JSON.stringify({ token: verifyToken })
+            });
+            showNotification(response.message, 'success');
+        } else {
+            const password = prompt('Choose a new password (at least 6 characters):');
+            if (!password) return;
+
+            const response = await apiCall('/auth/reset-password', {
+                method: 'POST',
+                body: JSON.stringify({ token: resetToken, password })
+            });
+            clearTokens();
+            localStorage.removeItem('currentUser');
+            showNotification(response.message, 'success');
+            showAuthModal();
+            hideMainApp();
+        }
+    } catch (error) {
+        console.error('Email link handling failed:', error);
+    }
+}
+
+async function logout() {
+    // End the session server-side so the tokens cannot be reused
+    try {
+        if (authToken) {
+            await fetch(API_BASE_URL + '/auth/logout', {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${authToken}` }
+            });
+        }
+    } catch (error) {
+        console.error('Logout request failed:', error);
+    }
+
+    clearTokens();
     currentUser = null;
-    localStorage.removeItem('authToken');
     localStorage.removeItem('currentUser');
     showAuthModal();
     hideMainApp();
@@ -157,11 +308,31 @@ function hideMainApp() {
     mainApp.style.display = 'none';
 }
 
-function showNotification(message, type = 'info') {
+function showNotification(message, type = 'info', action = null) {
     // Create notification element
     const notification = document.createElement('div');
     notification.className = `notification ${type}`;
     notification.textContent = message;
+
+    // Optional inline action, e.g. { label: 'Undo', onClick: () => ... }
+    if (action) {
+        const button = document.createElement('button');
+        button.textContent = action.label;
+        Object.assign(button.style, {
+            marginLeft: '12px',
+            background: 'transparent',
+            border: '1px solid white',
+            borderRadius: '4px',
+            color: 'white',
+            cursor: 'pointer',
+            fontWeight: 'bold'
+        });
+        button.addEventListener('click', () => {
+            notification.remove();
+            action.onClick();
+        });
+        notification.appendChild(button);
+    }
     
     // Style the notification
     Object.assign(notification.style, {
@@ -179,12 +350,12 @@ function showNotification(message, type = 'info') {
     
     document.body.appendChild(notification);
     
-    // Remove after 3 seconds
+    // Remove after 3 seconds (longer when there is an action to take)
     setTimeout(() => {
         if (notification.parentNode) {
             notification.parentNode.removeChild(notification);
         }
-    }, 3000);
+    }, action ? 8000 : 3000);
 }
 
 // Data Loading Functions
@@ -198,6 +369,10 @@ async function loadUserData() {
         const userResponse = await apiCall('/auth/me');
         currentUser = userResponse.user;
         
+        // Load overall monthly budget and the user's own categories
+        await loadMonthlyBudget();
+        await loadCategories();
+
         // Update UI
         updateLimitDisplay();
         updateExpensesList();
@@ -222,6 +397,65 @@ async function loadExpenses() {
     }
 }
 
+async function loadCategories() {
+    try {
+        const response = await apiCall('/categories');
+        customCategories = response.data;
+        renderCategoryOptions();
+    } catch (error) {
+        console.error('Failed to load categories:', error);
+    }
+}
+
+// Custom categories are listed after the built-in options
+function renderCategoryOptions() {
+    [expenseCategory, categoryFilter].forEach(select => {
+        select.querySelectorAll('option[data-custom]').forEach(option => option.remove());
+    });
+
+    customCategories.forEach(category => {
+        const option = document.createElement('option');
+        option.value = category.name;
+        option.textContent = category.parent ? `${category.parent} › ${category.name}` : category.name;
+        option.dataset.custom = 'true';
+        expenseCategory.appendChild(option);
+
+        // The list filter matches an expense's top-level category only
+        if (!category.parent) {
+            categoryFilter.appendChild(option.cloneNode(true));
+        }
+    });
+}
+
+async function loadMonthlyBudget() {
+    try {
+        const response = await apiCall('/budgets');
+        const overall = response.data.find(budget => !budget.category && !budget.month);
+
+        if (overall) {
+            monthlyBudgetId = overall._id;
+            monthlyLimit = overall.amount;
+        } else {
+            const savedLimit = localStorage.getItem(MONTHLY_LIMIT_KEY);
+            if (savedLimit !== null && !isNaN(parseFloat(savedLimit))) {
+                await saveMonthlyBudget(parseFloat(savedLimit));
+            }
+        }
+        localStorage.removeItem(MONTHLY_LIMIT_KEY);
+    } catch (error) {
+        console.error('Failed to load monthly budget:', error);
+    }
+}
+
+async function saveMonthlyBudget(amount) {
+    const response = await apiCall(monthlyBudgetId ? `/budgets/${encodeURIComponent(monthlyBudgetId)}` : '/budgets', {
+        method: monthlyBudgetId ? 'PUT' : 'POST',
+        body: JSON.stringify({ name: 'Monthly limit', amount })
+    });
+    monthlyBudgetId = response.data._id;
+    monthlyLimit = response.data.amount;
+}
+
 async function loadAIInsightsCount() {
     try {
         const response = await apiCall('/ai/insights?limit=1');
@@ -238,6 +472,7 @@ async function addExpense() {
     const date = expenseDate.value;
     const category = expenseCategory.value;
     const notes = expenseNotes.value.trim();
+    const currency = expenseCurrency.value.trim().toUpperCase();
 
     if (!name || !amount || !date) {
         showNotification('Please fill in all required fields', 'error');
@@ -245,17 +480,21 @@ async function addExpense() {
     }
 
     try {
-        const response = await apiCall('/expenses', {
+        // A scanned receipt is confirmed with the form values instead of creating a new expense
+        const path = pendingReceiptId ? `/receipts/${encodeURIComponent(pendingReceiptId)}/confirm` : '/expenses';
+        const response = await apiCall(path, {
             method: 'POST',
             body: JSON.stringify({
                 name,
                 amount,
                 date,
                 category,
-                notes
+                notes,
+                ...(currency && { currency })
             })
         });
 
+        pendingReceiptId = null;
         expenses.unshift(response.data);
         updateLimitDisplay();
         updateExpensesList();
@@ -272,16 +511,17 @@ async function addExpense() {
         if (response.isAnomaly) {
             showNotification('⚠️ Unusual spending pattern detected!', 'error');
         }
+
+        (response.budgetAlerts || []).forEach(alert => {
+            const scope = alert.category ? `${alert.category} budget` : 'monthly budget';
+            showNotification(`⚠️ You have used ${Math.round(alert.percentUsed)}% of your ${scope}`, alert.threshold >= 100 ? 'error' : 'info');
+        });
     } catch (error) {
         showNotification('Failed to add expense: ' + error.message, 'error');
     }
 }
 
 async function deleteExpense(id) {
-    if (!confirm('Are you sure you want to delete this expense?')) {
-        return;
-    }
-
     try {
         await apiCall(`/expenses/${encodeURIComponent(id)}`, {
             method: 'DELETE'
@@ -292,12 +532,28 @@ async function deleteExpense(id) {
         updateExpensesList();
         updateCharts();
         
-        showNotification('Expense deleted successfully!', 'success');
+        showNotification('Expense moved to trash', 'success', {
+            label: 'Undo',
+            onClick: () => restoreExpense(id)
+        });
     } catch (error) {
         showNotification('Failed to delete expense: ' + error.message, 'error');
     }
 }
 
+async function restoreExpense(id) {
+    try {
+        await apiCall(`/expenses/trash/${encodeURIComponent(id)}/restore`, {
+            method: 'POST'
+        });
+        await loadExpenses();
+        updateLimitDisplay();
+        showNotification('Expense restored', 'success');
+    } catch (error) {
+        showNotification('Failed to restore expense: ' + error.message, 'error');
+    }
+}
+
 // Receipt OCR Functions
 function handleReceiptUpload(event) {
     const file = event.target.files[0];
@@ -325,11 +581,8 @@ async function processReceipt() {
         const formData = new FormData();
         formData.append('receipt', file);
 
-        const response = await fetch(API_BASE_URL + '/expenses/upload-receipt', {
+        const response = await authorizedFetch(API_BASE_URL + '/expenses/upload-receipt', {
             method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${authToken}`
-            },
             body: formData
         });
 
@@ -345,14 +598,19 @@ async function processReceipt() {
             throw new Error(data.message || 'Receipt processing failed');
         }
 
+        const job = await waitForReceiptJob(data.data.id);
+        const suggestions = job.suggestions;
+
         // Auto-fill form with extracted data
-        expenseName.value = data.ocrData.merchant || '';
-        expenseAmount.value = data.ocrData.amount || '';
-        expenseDate.value = data.ocrData.date || new Date().toISOString().split('T')[0];
-        expenseNotes.value = data.ocrData.items ? data.ocrData.items.join(', ') : '';
+        expenseName.value = suggestions.name.value || '';
+        expenseAmount.value = suggestions.amount.value || '';
+        expenseDate.value = suggestions.date.value || new Date().toISOString().split('T')[0];
+        expenseNotes.value = suggestions.items.map(item => item.description).filter(Boolean).join(', ');
+        expenseCurrency.value = suggestions.currency && suggestions.currency.value ? suggestions.currency.value : '';
         expenseCategory.value = 'auto';
+        pendingReceiptId = job.expenseId;
 
-        showNotification('Receipt processed successfully!', 'success');
+        showNotification('Receipt processed! Check the details and add the expense to confirm.', 'success');
         receiptPreview.style.display = 'none';
         receiptFile.value = '';
 
@@ -361,6 +619,41 @@ async function processReceipt() {
     }
 }
 
+// Receipts need the auth header, so they are fetched and opened as a blob
+async function viewReceipt(expenseId) {
+    try {
+        const response = await authorizedFetch(`${API_BASE_URL}/expenses/${encodeURIComponent(expenseId)}/receipt`);
+        if (!response.ok) {
+            throw new Error('Receipt not found');
+        }
+        const url = URL.createObjectURL(await response.blob());
+        window.open(url, '_blank');
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+        showNotification('Could not open receipt: ' + error.message, 'error');
+    }
+}
+
+// Poll a receipt processing job until OCR has finished
+async function waitForReceiptJob(jobId, timeoutMs = 120000) {
+    const startedAt = Date.now();
+    while (Date.now() - startedAt < timeoutMs) {
+        const response = await apiCall(`/receipts/jobs/${encodeURIComponent(jobId)}`);
+        const job = response.data;
+        if (job.status === 'completed' && !job.suggestions) {
+            throw new Error('Receipt is no longer pending');
+        }
+        if (job.status === 'completed') {
+            return job;
+        }
+        if (job.status === 'failed' || job.status === 'cancelled') {
+            throw new Error(job.error || `Receipt job ${job.status}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 1500));
+    }
+    throw new Error('Receipt is taking too long; check the pending receipts later');
+}
+
 // AI Functions
 async function openAIModal() {
     document.getElementById('aiModal').style.display = 'block';
@@ -439,8 +732,8 @@ async function generateInsights() {
                         <button class="insight-toggle">Show more</button>
                     </div>
                     <div class="insight-meta">
-                        <span>Total Spent: ₹${Number(meta.totalSpent || 0).toFixed(2)}</span>
-                        <span>Avg Daily: ₹${Number(meta.avgDaily || 0).toFixed(2)}</span>
+                        <span>Total Spent: ${formatMoney(meta.totalSpent, meta.currency)}</span>
+                        <span>Avg Daily: ${formatMoney(meta.avgDaily, meta.currency)}</span>
                         <span>Top Category: ${meta.topCategory || 'other'}</span>
                     </div>
                 </div>
@@ -489,6 +782,24 @@ async function semanticSearch() {
     }
 }
 
+// Currency helpers
+function baseCurrency() {
+    return (currentUser && currentUser.preferences && currentUser.preferences.currency) || 'USD';
+}
+
+function formatMoney(amount, currency = baseCurrency()) {
+    try {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(Number(amount) || 0);
+    } catch (error) {
+        return `${currency} ${(Number(amount) || 0).toFixed(2)}`;
+    }
+}
+
+// Amount in the user's base currency; older expenses have no conversion stored
+function baseAmountOf(expense) {
+    return parseFloat(expense.baseAmount ?? expense.amount);
+}
+
 // UI Update Functions
 function updateUserInfo() {
     if (currentUser) {
@@ -497,10 +808,10 @@ function updateUserInfo() {
 }
 
 function updateLimitDisplay() {
-    limitAmount.textContent = `₹${monthlyLimit.toFixed(2)}`;
-    const total = expenses.reduce((sum, expense) => sum + parseFloat(expense.amount), 0);
-    totalExpenses.textContent = `₹${total.toFixed(2)}`;
-    remainingAmount.textContent = `₹${(monthlyLimit - total).toFixed(2)}`;
+    limitAmount.textContent = formatMoney(monthlyLimit);
+    const total = expenses.reduce((sum, expense) => sum + baseAmountOf(expense), 0);
+    totalExpenses.textContent = formatMoney(total);
+    remainingAmount.textContent = formatMoney(monthlyLimit - total);
 }
 
 function updateExpensesList() {
@@ -526,10 +837,13 @@ function updateExpensesList() {
         
         li.innerHTML = `
             <span>${expense.name} ${aiBadge} ${anomalyBadge}</span>
-            <span>₹${parseFloat(expense.amount).toFixed(2)}</span>
+            <span>${formatMoney(expense.amount, expense.currency || baseCurrency())}</span>
             <span>${expense.category}</span>
             <span>${new Date(expense.date).toLocaleDateString()}</span>
             ${expense.notes ? `<div class="expense-notes">${expense.notes}</div>` : ""}
+            ${expense.receipt ? `<button class="receipt-view-btn" data-id="${(expense._id || expense.id)}" title="View receipt">
+                <i class="fas fa-receipt"></i>
+            </button>` : ""}
             <button class="delete-btn" data-id="${(expense._id || expense.id)}">
                 <i class="fas fa-trash"></i>
             </button>
@@ -547,7 +861,7 @@ function updateExpenseDistributionChart() {
     const categoryData = {};
     expenses.forEach((expense) => {
         categoryData[expense.category] =
-            (categoryData[expense.category] || 0) + parseFloat(expense.amount);
+            (categoryData[expense.category] || 0) + baseAmountOf(expense);
     });
 
     const ctx = expenseChart.getContext("2d");
@@ -624,7 +938,7 @@ function updateMonthlyTrendChart() {
     const daywiseData = {};
     expenses.forEach((expense) => {
         const day = expense.date;
-        daywiseData[day] = (daywiseData[day] || 0) + parseFloat(expense.amount);
+        daywiseData[day] = (daywiseData[day] || 0) + baseAmountOf(expense);
     });
 
     const ctx = trendChart.getContext("2d");
@@ -710,6 +1024,7 @@ function updateMonthlyTrendChart() {
 function clearForm() {
     expenseName.value = "";
     expenseAmount.value = "";
+    expenseCurrency.value = "";
     expenseDate.value = "";
     expenseCategory.value = "auto";
     expenseNotes.value = "";
@@ -725,16 +1040,11 @@ document.addEventListener('DOMContentLoaded', function() {
         showAuthModal();
     }
 
+    handleEmailLinks();
+
     // Set default date to today
     expenseDate.value = new Date().toISOString().split('T')[0];
 
-    // Load persisted monthly limit if available
-    const savedLimit = localStorage.getItem(MONTHLY_LIMIT_KEY);
-    if (savedLimit !== null && !isNaN(parseFloat(savedLimit))) {
-        monthlyLimit = parseFloat(savedLimit);
-        updateLimitDisplay();
-    }
-
     // Robust logout binding in case inline handler is blocked
     const logoutBtn = document.querySelector('.logout-btn');
     if (logoutBtn) {
@@ -764,6 +1074,11 @@ document.getElementById('registerFormElement').addEventListener('submit', async
     await register(userData);
 });
 
+document.getElementById('forgotPasswordLink').addEventListener('click', (e) => {
+    e.preventDefault();
+    requestPasswordReset();
+});
+
 // Tab switching
 document.querySelectorAll('.tab-btn').forEach(btn => {
     btn.addEventListener('click', () => {
@@ -792,6 +1107,11 @@ searchExpense.addEventListener("input", updateExpensesList);
 categoryFilter.addEventListener("change", updateExpensesList);
 // Delegated delete handler to ensure clicks always register
 expensesList.addEventListener('click', (e) => {
+    const receiptBtn = e.target.closest('.receipt-view-btn');
+    if (receiptBtn) {
+        viewReceipt(receiptBtn.getAttribute('data-id'));
+        return;
+    }
     const btn = e.target.closest('.delete-btn');
     if (!btn) return;
     const id = btn.getAttribute('data-id');
@@ -873,28 +1193,48 @@ aiInsights.addEventListener('click', (e) => {
 });
 
 // Export handlers
-exportDataBtn.addEventListener("click", () => {
-    const data = {
-        expenses,
-        monthlyLimit,
-        exportDate: new Date().toISOString(),
-    };
+// Exports come from the server so they include every expense, not just the loaded page
+async function fetchExport(format) {
+    const params = new URLSearchParams({ format });
+    if (categoryFilter.value && categoryFilter.value !== 'all') {
+        params.set('category', categoryFilter.value);
+    }
 
-    const blob = new Blob([JSON.stringify(data, null, 2)], {
-        type: "application/json",
-    });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `ai-expense-tracker-export-${new Date().toISOString().split("T")[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-});
+    const response = await authorizedFetch(`${API_BASE_URL}/expenses/export?${params}`);
+    if (!response.ok) {
+        throw new Error(`Server error: ${response.status} ${response.statusText}`);
+    }
+    return response;
+}
+
+async function downloadExport(format) {
+    try {
+        const response = await fetchExport(format);
+        const blob = await response.blob();
+        const disposition = response.headers.get('content-disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = match ? match[1] : `ai-expense-tracker-export.${format}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error("Export failed:", error);
+        showNotification('Export failed: ' + error.message, 'error');
+    }
+}
+
+exportDataBtn.addEventListener("click", () => downloadExport('json'));
+exportCsvBtn.addEventListener("click", () => downloadExport('xlsx'));
 
-exportPdfBtn.addEventListener("click", () => {
+exportPdfBtn.addEventListener("click", async () => {
     try {
+        const allExpenses = await (await fetchExport('json')).json();
+
         const { jsPDF } = window.jspdf;
         const doc = new jsPDF();
         const pageWidth = doc.internal.pageSize.getWidth();
@@ -911,21 +1251,21 @@ exportPdfBtn.addEventListener("click", () => {
         doc.setTextColor(0, 0, 0);
         doc.text("Summary", 20, 45);
 
-        const total = expenses.reduce((sum, expense) => sum + parseFloat(expense.amount), 0);
+        const total = allExpenses.reduce((sum, expense) => sum + baseAmountOf(expense), 0);
         doc.setFontSize(12);
-        doc.text(`Monthly Limit: ₹${monthlyLimit.toFixed(2)}`, 20, 55);
-        doc.text(`Total Expenses: ₹${total.toFixed(2)}`, 20, 65);
-        doc.text(`Remaining Amount: ₹${(monthlyLimit - total).toFixed(2)}`, 20, 75);
+        doc.text(`Monthly Limit: ${formatMoney(monthlyLimit)}`, 20, 55);
+        doc.text(`Total Expenses: ${formatMoney(total)}`, 20, 65);
+        doc.text(`Remaining Amount: ${formatMoney(monthlyLimit - total)}`, 20, 75);
 
         doc.setFontSize(14);
         doc.text("Expense Details", 20, 95);
 
         const headers = [["Date", "Name", "Category", "Amount", "Notes"]];
-        const tableData = expenses.map((expense) => [
+        const tableData = allExpenses.map((expense) => [
             new Date(expense.date).toLocaleDateString(),
             expense.name,
             expense.category,
-            `₹${parseFloat(expense.amount).toFixed(2)}`,
+            formatMoney(expense.amount, expense.currency || baseCurrency()),
             expense.notes || "-",
         ]);
 
@@ -957,26 +1297,34 @@ exportPdfBtn.addEventListener("click", () => {
 });
 
 // Monthly limit handlers
-setLimitBtn.addEventListener("click", () => {
+setLimitBtn.addEventListener("click", async () => {
     const limit = parseFloat(monthlyLimitInput.value);
     if (limit > 0) {
-        monthlyLimit = limit;
-        updateLimitDisplay();
-        monthlyLimitInput.value = "";
-        // Persist limit across reloads
-        localStorage.setItem(MONTHLY_LIMIT_KEY, String(monthlyLimit));
-        showNotification('Monthly limit set successfully!', 'success');
+        try {
+            // Persist limit server-side so it follows the user across devices
+            await saveMonthlyBudget(limit);
+            updateLimitDisplay();
+            monthlyLimitInput.value = "";
+            showNotification('Monthly limit set successfully!', 'success');
+        } catch (error) {
+            console.error('Failed to save monthly limit:', error);
+        }
     }
 });
 
-document.getElementById("resetLimit").addEventListener("click", function () {
+document.getElementById("resetLimit").addEventListener("click", async function () {
+    if (monthlyBudgetId) {
+        try {
+            await apiCall(`/budgets/${encodeURIComponent(monthlyBudgetId)}`, { method: 'DELETE' });
+            monthlyBudgetId = null;
+        } catch (error) {
+            console.error('Failed to delete monthly limit:', error);
+            return;
+        }
+    }
+    // Only the limit is reset; expenses stay on the server and in the list
     monthlyLimit = 0;
-    expenses = [];
     monthlyLimitInput.value = "";
     updateLimitDisplay();
-    updateExpensesList();
-    updateCharts();
-    // Clear persisted limit on reset
-    localStorage.removeItem(MONTHLY_LIMIT_KEY);
-    showNotification('Data reset successfully!', 'success');
+    showNotification('Monthly limit reset', 'success');
 });
@@ -0,0 +1,49 @@
+const express = require('express');
+const Joi = require('joi');
+const AuditLog = require('../models/AuditLog');
+const { auth } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { getActivityFeed } = require('../services/auditService');
+
+const router = express.Router();
+
+// Validation schemas
+const activityQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  action: Joi.string().valid(...AuditLog.ACTIONS).optional(),
+  source: Joi.string().valid(...AuditLog.SOURCES).optional(),
+  startDate: Joi.date().optional(),
+  endDate: Joi.date().optional()
+});
+
+// @route   GET /api/activity
+// @desc    Get the activity feed of changes to the user's expenses, newest first
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { error, value } = activityQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const result = await getActivityFeed(req.user._id, value);
+
+    res.json({
+      success: true,
+      data: result.entries,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Get activity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
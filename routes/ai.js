@@ -5,12 +5,23 @@ const Expense = require('../models/Expense');
 const AIInsight = require('../models/AIInsight');
 const { auth } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
+const { formatMoney } = require('../services/currencyService');
 
 const router = express.Router();
 
 // Initialize Google Gemini
 const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
 
+// Expense line for prompts: original amount, plus the converted one for foreign currencies
+function describeExpense(exp, baseCurrency) {
+  const currency = exp.currency || baseCurrency;
+  let amount = formatMoney(exp.amount, currency);
+  if (currency !== baseCurrency && typeof exp.baseAmount === 'number') {
+    amount += ` (≈ ${formatMoney(exp.baseAmount, baseCurrency)})`;
+  }
+  return `${exp.date.toISOString().split('T')[0]}: ${exp.name} - ${amount} (${exp.category})`;
+}
+
 // Validation schemas
 const chatSchema = Joi.object({
   message: Joi.string().min(1).max(1000).required(),
@@ -31,12 +42,13 @@ router.post('/chat', auth, async (req, res) => {
     }
 
     const { message, context } = value;
+    const baseCurrency = req.user.preferences?.currency || 'USD';
 
     // Get user's recent expenses for context
     const expenses = await Expense.find({ userId: req.user._id })
       .sort({ date: -1 })
       .limit(20)
-      .select('name amount category date notes');
+      .select('name amount currency baseAmount category date notes');
 
     // Get spending statistics using aggregation
     const stats = await Expense.aggregate([
@@ -49,7 +61,7 @@ router.post('/chat', auth, async (req, res) => {
       {
         $group: {
           _id: '$category',
-          total: { $sum: '$amount' },
+          total: { $sum: { $ifNull: ['$baseAmount', '$amount'] } },
           count: { $sum: 1 }
         }
       },
@@ -57,19 +69,18 @@ router.post('/chat', auth, async (req, res) => {
     ]);
 
     // Create context for AI
-    const expenseContext = expenses.map(exp => 
-      `${exp.date.toISOString().split('T')[0]}: ${exp.name} - ₹${exp.amount} (${exp.category})`
-    ).join('\n');
+    const expenseContext = expenses.map(exp => describeExpense(exp, baseCurrency)).join('\n');
 
     const categoryBreakdown = stats.map(stat => 
-      `${stat._id}: ₹${stat.total.toFixed(2)}`
+      `${stat._id}: ${formatMoney(stat.total, baseCurrency)}`
     ).join('\n');
 
     const totalSpent = stats.reduce((sum, stat) => sum + stat.total, 0);
     const avgExpense = stats.length > 0 ? totalSpent / stats.length : 0;
 
-    const systemPrompt = `You are an AI financial assistant for an expense tracking app in India.
-    Use Indian Rupees (₹) in all amounts and responses. Help the user understand their spending patterns and provide insights.
+    const systemPrompt = `You are an AI financial assistant for an expense tracking app.
+    The user's base currency is ${baseCurrency}; expenses in other currencies show their converted ${baseCurrency} value in brackets.
+    Use ${baseCurrency} for all totals in your responses. Help the user understand their spending patterns and provide insights.
 
     User's recent expenses (last 20):
     ${expenseContext}
@@ -77,8 +88,8 @@ router.post('/chat', auth, async (req, res) => {
     Spending by category (last 30 days):
     ${categoryBreakdown}
 
-    Total spent this month: ₹${totalSpent.toFixed(2)}
-    Average expense: ₹${avgExpense.toFixed(2)}
+    Total spent this month: ${formatMoney(totalSpent, baseCurrency)}
+    Average expense: ${formatMoney(avgExpense, baseCurrency)}
 
     Respond naturally and helpfully to the user's question about their expenses. 
     Provide specific insights based on their data when possible.`;
@@ -179,6 +190,8 @@ router.post('/generate-insights', auth, async (req, res) => {
         message: 'Google API key missing. Set GOOGLE_API_KEY in your environment.'
       });
     }
+    const baseCurrency = req.user.preferences?.currency || 'USD';
+
     // Get comprehensive spending data
     const expenses = await Expense.find({
       userId: req.user._id,
@@ -186,11 +199,11 @@ router.post('/generate-insights', auth, async (req, res) => {
     }).sort({ date: -1 });
 
     // Compute basic metadata regardless of data volume
-    const totalSpent = expenses.reduce((sum, exp) => sum + exp.amount, 0);
+    const totalSpent = expenses.reduce((sum, exp) => sum + (exp.baseAmount ?? exp.amount), 0);
     const avgDaily = totalSpent / 90;
     const categoryTotals = {};
     expenses.forEach(exp => {
-      categoryTotals[exp.category] = (categoryTotals[exp.category] || 0) + exp.amount;
+      categoryTotals[exp.category] = (categoryTotals[exp.category] || 0) + (exp.baseAmount ?? exp.amount);
     });
     const topCategoryEntry = Object.entries(categoryTotals).sort(([,a], [,b]) => b - a)[0];
     const topCategory = topCategoryEntry ? topCategoryEntry[0] : 'other';
@@ -204,7 +217,8 @@ router.post('/generate-insights', auth, async (req, res) => {
           totalSpent,
           avgDaily,
           topCategory,
-          expenseCount: expenses.length
+          expenseCount: expenses.length,
+          currency: baseCurrency
         }
       });
     }
@@ -212,16 +226,14 @@ router.post('/generate-insights', auth, async (req, res) => {
     // Calculate spending patterns (already computed above)
 
     // Generate insights using AI
-    const prompt = `Analyze this user's spending data in Indian Rupees (₹) and provide 3-5 key insights:
+    const prompt = `Analyze this user's spending data in ${baseCurrency} and provide 3-5 key insights:
 
-    Total spent (90 days): ₹${totalSpent.toFixed(2)}
-    Average daily spending: ₹${avgDaily.toFixed(2)}
+    Total spent (90 days): ${formatMoney(totalSpent, baseCurrency)}
+    Average daily spending: ${formatMoney(avgDaily, baseCurrency)}
     Top category: ${topCategory}
     
-    Recent expenses:
-    ${expenses.slice(0, 10).map(exp => 
-      `${exp.date.toISOString().split('T')[0]}: ${exp.name} - ₹${exp.amount} (${exp.category})`
-    ).join('\n')}
+    Recent expenses (foreign-currency amounts show their ${baseCurrency} value in brackets):
+    ${expenses.slice(0, 10).map(exp => describeExpense(exp, baseCurrency)).join('\n')}
 
     Provide actionable insights about spending patterns, potential savings, and recommendations.`;
 
@@ -246,7 +258,8 @@ router.post('/generate-insights', auth, async (req, res) => {
         totalSpent, 
         avgDaily, 
         topCategory,
-        expenseCount: expenses.length 
+        expenseCount: expenses.length,
+        currency: baseCurrency
       }
     });
 
@@ -259,7 +272,8 @@ router.post('/generate-insights', auth, async (req, res) => {
         totalSpent,
         avgDaily,
         topCategory,
-        expenseCount: expenses.length
+        expenseCount: expenses.length,
+        currency: baseCurrency
       }
     });
 
@@ -295,9 +309,10 @@ router.post('/semantic-search', auth, async (req, res) => {
     }
 
     // Get all user expenses
+    const baseCurrency = req.user.preferences?.currency || 'USD';
     const expenses = await Expense.find({ userId: req.user._id })
       .sort({ date: -1 })
-      .select('name amount category date notes');
+      .select('name amount currency baseAmount category date notes');
 
     if (expenses.length === 0) {
       return res.json({
@@ -312,7 +327,7 @@ router.post('/semantic-search', auth, async (req, res) => {
 
     Available expenses:
     ${expenses.map((exp, i) => 
-      `${i + 1}. ${exp.date.toISOString().split('T')[0]}: ${exp.name} - ₹${exp.amount} (${exp.category}) ${exp.notes ? `- ${exp.notes}` : ''}`
+      `${i + 1}. ${describeExpense(exp, baseCurrency)} ${exp.notes ? `- ${exp.notes}` : ''}`
     ).join('\n')}
 
     Return only the numbers of matching expenses, separated by commas. If no matches, return "none".`;
@@ -1,10 +1,35 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const Joi = require('joi');
+const rateLimit = require('express-rate-limit');
 const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { auth } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeOtherSessions,
+  revokeAllSessions,
+  signAccessToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  claimChallengeAttempt,
+  challengeAttemptsLeft
+} = require('../services/tokenService');
+const {
+  generateSecret,
+  buildOtpauthUri,
+  verifyCode,
+  generateBackupCodes,
+  normalizeBackupCode,
+  encryptSecret,
+  decryptSecret
+} = require('../services/totpService');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/mailService');
+const { changeBaseCurrency, deleteUserAccount, findUnsettledGroups } = require('../services/accountService');
+const { getOcrLanguages } = require('../services/ocrService');
 
 const router = express.Router();
 
@@ -21,6 +46,140 @@ const loginSchema = Joi.object({
   password: Joi.string().required()
 });
 
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().max(200).required()
+});
+
+const emailSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const tokenSchema = Joi.object({
+  token: Joi.string().hex().length(64).required()
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().hex().length(64).required(),
+  password: Joi.string().min(6).required()
+});
+
+const totpCode = Joi.string().pattern(/^\d{6}$/).messages({ 'string.pattern.base': 'Code must be 6 digits' });
+
+const codeSchema = Joi.object({
+  code: totpCode.required()
+});
+
+// Second factor: an authenticator code or one of the backup codes
+const secondFactorFields = {
+  code: totpCode,
+  backupCode: Joi.string().max(20)
+};
+
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().max(1000).required(),
+  ...secondFactorFields
+}).xor('code', 'backupCode');
+
+const disableTwoFactorSchema = Joi.object({
+  password: Joi.string().required(),
+  ...secondFactorFields
+}).xor('code', 'backupCode');
+
+function isValidTimeZone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// 'de-de' -> 'de-DE'; null when the locale is not valid
+function canonicalLocale(locale) {
+  try {
+    return Intl.getCanonicalLocales(locale)[0] || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+const profileSchema = Joi.object({
+  firstName: Joi.string().min(2).max(50),
+  lastName: Joi.string().min(2).max(50),
+  email: Joi.string().email(),
+  // Current password, required when changing email
+  password: Joi.string(),
+  preferences: Joi.object({
+    currency: Joi.string().pattern(/^[A-Za-z]{3}$/),
+    timezone: Joi.string().max(100).custom((value, helpers) => (
+      isValidTimeZone(value) ? value : helpers.message('preferences.timezone must be a valid IANA time zone')
+    )),
+    locale: Joi.string().max(35).custom((value, helpers) => {
+      const locale = canonicalLocale(value);
+      return locale || helpers.message('preferences.locale must be a valid locale such as en-US or de-DE');
+    }),
+    ocrLanguages: Joi.array().items(Joi.string().pattern(/^[a-z]{3}(_[a-z]+)?$/i)).min(1).max(3).unique()
+      .custom((value, helpers) => {
+        const missing = value.filter(language => !getOcrLanguages().includes(language));
+        return missing.length === 0
+          ? value
+          : helpers.message(`OCR language data is not installed for: ${missing.join(', ')}`);
+      }),
+    notifications: Joi.object({
+      email: Joi.boolean(),
+      push: Joi.boolean()
+    })
+  })
+}).or('firstName', 'lastName', 'email', 'preferences');
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required(),
+  newPassword: Joi.string().min(6).required()
+});
+
+const deleteAccountSchema = Joi.object({
+  password: Joi.string().required(),
+  ...secondFactorFields
+}).oxor('code', 'backupCode');
+
+// Failed two-factor logins per IP, on top of the per-challenge attempt limit
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  skipSuccessfulRequests: true,
+  message: { success: false, message: 'Too many two-factor attempts, please try again later' }
+});
+
+// Check a TOTP or backup code; marks the code as used on the user document, callers save it
+function verifySecondFactor(user, { code, backupCode }) {
+  if (code) {
+    const step = verifyCode(decryptSecret(user.twoFactor.secret), code);
+    if (step === null || step <= (user.twoFactor.lastUsedStep || 0)) {
+      return false;
+    }
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  const hash = User.hashToken(normalizeBackupCode(backupCode));
+  if (!user.twoFactor.backupCodes.includes(hash)) {
+    return false;
+  }
+  user.twoFactor.backupCodes.pull(hash);
+  return true;
+}
+
+function issueBackupCodes(user) {
+  const codes = generateBackupCodes();
+  user.twoFactor.backupCodes = codes.map(code => User.hashToken(normalizeBackupCode(code)));
+  return codes;
+}
+
+// When enabled, unverified accounts cannot log in
+function verificationRequired() {
+  return process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+}
+
 // @route   POST /api/auth/register
 // @desc    Register user
 // @access  Public
@@ -62,26 +221,35 @@ router.post('/register', async (req, res) => {
       lastName
     });
 
+    const verificationToken = user.createEmailVerificationToken();
     await user.save();
-
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET || 'fallback_secret_key_change_in_production',
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    await sendVerificationEmail(user, verificationToken);
 
     logger.info(`New user registered: ${email}`);
 
+    if (verificationRequired()) {
+      return res.status(201).json({
+        success: true,
+        message: 'Registration successful. Check your email to verify your account before logging in.',
+        verificationRequired: true
+      });
+    }
+
+    // Short-lived access token plus a rotating refresh token for this device
+    const { token, refreshToken } = await createSession(user, req);
+
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: {
         id: user._id,
         email: user.email,
         firstName: user.firstName,
-        lastName: user.lastName
+        lastName: user.lastName,
+        emailVerified: user.emailVerified,
+        preferences: user.preferences
       }
     });
   } catch (error) {
@@ -127,12 +295,26 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET || 'fallback_secret_key_change_in_production',
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    if (verificationRequired() && !user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before logging in',
+        verificationRequired: true
+      });
+    }
+
+    // With 2FA on, the password only earns a short-lived challenge for POST /login/2fa
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication code required',
+        twoFactorRequired: true,
+        challengeToken: await signChallengeToken(user._id)
+      });
+    }
+
+    // Short-lived access token plus a rotating refresh token for this device
+    const { token, refreshToken } = await createSession(user, req);
 
     logger.info(`User logged in: ${email}`);
 
@@ -140,11 +322,14 @@ router.post('/login', async (req, res) => {
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user._id,
         email: user.email,
         firstName: user.firstName,
-        lastName: user.lastName
+        lastName: user.lastName,
+        emailVerified: user.emailVerified,
+        preferences: user.preferences
       }
     });
   } catch (error) {
@@ -156,6 +341,70 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a two-factor login with an authenticator or backup code
+// @access  Public
+router.post('/login/2fa', twoFactorLimiter, async (req, res) => {
+  try {
+    const { error, value } = twoFactorLoginSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const challenge = verifyChallengeToken(value.challengeToken);
+    const user = challenge && await claimChallengeAttempt(challenge);
+
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is not valid or has expired; log in again'
+      });
+    }
+
+    if (!verifySecondFactor(user, value)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code',
+        attemptsRemaining: challengeAttemptsLeft(user)
+      });
+    }
+
+    // A challenge logs in once
+    user.twoFactor.challengeId = undefined;
+    user.twoFactor.challengeAttempts = undefined;
+    await user.save();
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    logger.info(`User logged in with two-factor authentication: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      token,
+      refreshToken,
+      backupCodesRemaining: user.twoFactor.backupCodes.length,
+      user: {
+        id: user._id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        emailVerified: user.emailVerified,
+        preferences: user.preferences
+      }
+    });
+  } catch (error) {
+    logger.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -167,7 +416,10 @@ router.get('/me', auth, async (req, res) => {
         id: req.user.id,
         email: req.user.email,
         firstName: req.user.firstName,
-        lastName: req.user.lastName
+        lastName: req.user.lastName,
+        emailVerified: req.user.emailVerified,
+        twoFactorEnabled: req.user.twoFactor.enabled,
+        preferences: req.user.preferences
       }
     });
   } catch (error) {
@@ -179,4 +431,670 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// @route   PATCH /api/auth/me
+// @desc    Update name, email or preferences; changing email needs the current password
+// @access  Private
+router.patch('/me', auth, async (req, res) => {
+  try {
+    const { error, value } = profileSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const emailChanged = value.email && value.email.toLowerCase() !== user.email;
+
+    if (emailChanged) {
+      if (!value.password || !(await user.comparePassword(value.password))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Current password is required to change email'
+        });
+      }
+
+      if (await User.exists({ email: value.email.toLowerCase() })) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email is already in use'
+        });
+      }
+    }
+
+    // Stored base amounts are converted before the new currency takes effect
+    const currency = value.preferences?.currency;
+    let currencyChange;
+    if (currency) {
+      const result = await changeBaseCurrency(user, currency);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error
+        });
+      }
+      if (result.value.from !== result.value.to) {
+        currencyChange = {
+          ...result.value,
+          note: 'Expenses were converted at the exchange rate of their own date; ' +
+            'budgets and recurring amounts at today\'s rate'
+        };
+      }
+    }
+
+    if (value.firstName) {
+      user.firstName = value.firstName;
+    }
+    if (value.lastName) {
+      user.lastName = value.lastName;
+    }
+    if (value.preferences) {
+      const { notifications = {}, ...preferences } = value.preferences;
+      Object.entries(preferences).forEach(([key, setting]) => user.set(`preferences.${key}`, setting));
+      Object.entries(notifications).forEach(([key, setting]) => user.set(`preferences.notifications.${key}`, setting));
+    }
+
+    let verificationToken;
+    if (emailChanged) {
+      user.email = value.email;
+      user.emailVerified = false;
+      verificationToken = user.createEmailVerificationToken();
+    }
+
+    await user.save();
+
+    if (verificationToken) {
+      await sendVerificationEmail(user, verificationToken);
+      logger.info(`User ${user._id} changed email to ${user.email}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      user: {
+        id: user._id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactor.enabled,
+        preferences: user.preferences
+      },
+      ...(currencyChange && { currencyChange })
+    });
+  } catch (error) {
+    logger.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/change-password
+// @desc    Change password after re-verifying the current one; other sessions are signed out
+// @access  Private
+router.post('/change-password', auth, async (req, res) => {
+  try {
+    const { error, value } = changePasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const isMatch = await user.comparePassword(value.currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.password = value.newPassword;
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    await revokeOtherSessions(user._id, req.sessionId);
+
+    logger.info(`Password changed: ${user.email}`);
+
+    // Access tokens from before the change stop working, so this session gets a new one
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      token: signAccessToken(user._id, req.sessionId)
+    });
+  } catch (error) {
+    logger.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/me
+// @desc    Delete the account with its expenses, insights and receipt files
+// @access  Private
+router.delete('/me', auth, async (req, res) => {
+  try {
+    const { error, value } = deleteAccountSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const isMatch = await user.comparePassword(value.password);
+    const secondFactorOk = !user.twoFactor.enabled || verifySecondFactor(user, value);
+    if (!isMatch || !secondFactorOk) {
+      return res.status(400).json({
+        success: false,
+        message: user.twoFactor.enabled ? 'Invalid password or authentication code' : 'Invalid password'
+      });
+    }
+
+    const unsettled = await findUnsettledGroups(user._id);
+    if (unsettled.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Settle up before deleting your account: ${unsettled.map(group => group.name).join(', ')}`
+      });
+    }
+
+    const deleted = await deleteUserAccount(user._id);
+
+    logger.info(`Account deleted: ${user.email} (${deleted.expenses} expenses, ${deleted.files} files)`);
+
+    res.json({
+      success: true,
+      message: 'Account deleted successfully',
+      data: deleted
+    });
+  } catch (error) {
+    logger.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment; returns the secret and an otpauth URI for authenticator apps
+// @access  Private
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    if (req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    req.user.twoFactor.pendingSecret = encryptSecret(secret);
+    await req.user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the URI with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri(secret, req.user.email)
+      }
+    });
+  } catch (error) {
+    logger.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Confirm enrollment with a first code; returns backup codes once
+// @access  Private
+router.post('/2fa/verify', auth, async (req, res) => {
+  try {
+    const { error, value } = codeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const { twoFactor } = req.user;
+    if (twoFactor.enabled || !twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'No two-factor enrollment in progress'
+      });
+    }
+
+    const step = verifyCode(decryptSecret(twoFactor.pendingSecret), value.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    twoFactor.enabled = true;
+    twoFactor.secret = twoFactor.pendingSecret;
+    twoFactor.pendingSecret = undefined;
+    twoFactor.lastUsedStep = step;
+    twoFactor.enabledAt = new Date();
+    const backupCodes = issueBackupCodes(req.user);
+    await req.user.save();
+
+    logger.info(`Two-factor authentication enabled: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the backup codes somewhere safe; they are shown only once.',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    logger.error('Two-factor verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace all backup codes
+// @access  Private
+router.post('/2fa/backup-codes', auth, async (req, res) => {
+  try {
+    const { error, value } = codeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    if (!req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!verifySecondFactor(req.user, value)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const backupCodes = issueBackupCodes(req.user);
+    await req.user.save();
+
+    res.json({
+      success: true,
+      data: { backupCodes }
+    });
+  } catch (error) {
+    logger.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication (requires password and a code)
+// @access  Private
+router.post('/2fa/disable', auth, async (req, res) => {
+  try {
+    const { error, value } = disableTwoFactorSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await user.comparePassword(value.password)) || !verifySecondFactor(user, value)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    logger.info(`Two-factor authentication disabled: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    logger.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the emailed token
+// @access  Public
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { error, value } = tokenSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(value.token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    logger.info(`Email verified: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    logger.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email; the response never reveals whether the account exists
+// @access  Public
+router.post('/resend-verification', async (req, res) => {
+  try {
+    const { error, value } = emailSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const user = await User.findOne({ email: value.email.toLowerCase() });
+    if (user && !user.emailVerified) {
+      const token = user.createEmailVerificationToken();
+      await user.save();
+      await sendVerificationEmail(user, token);
+    }
+
+    res.json({
+      success: true,
+      message: 'If the account exists and is not verified yet, a verification email has been sent'
+    });
+  } catch (error) {
+    logger.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link; the response never reveals whether the account exists
+// @access  Public
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { error, value } = emailSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const user = await User.findOne({ email: value.email.toLowerCase() });
+    if (user && user.isActive) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+      await sendPasswordResetEmail(user, token);
+      logger.info(`Password reset requested: ${user.email}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the emailed token and sign out every session
+// @access  Public
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: User.hashToken(value.token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = value.password;
+    user.passwordChangedAt = new Date();
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    // Receiving the reset email proves the address belongs to the user
+    user.emailVerified = true;
+    await user.save();
+
+    await revokeAllSessions(user._id);
+
+    logger.info(`Password reset completed: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    logger.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const { error, value } = refreshSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const result = await rotateSession(value.refreshToken);
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is not valid'
+      });
+    }
+
+    res.json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    logger.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSession(req.user._id, req.sessionId);
+
+    logger.info(`User logged out: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions (devices)
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ lastUsedAt: -1 })
+      .select('userAgent ip createdAt lastUsedAt expiresAt');
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session.toObject(),
+        current: String(session._id) === String(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke every session except the current one
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const revoked = await revokeOtherSessions(req.user._id, req.sessionId);
+
+    res.json({
+      success: true,
+      message: `${revoked} session(s) revoked`
+    });
+  } catch (error) {
+    logger.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one session
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const revoked = mongoose.isValidObjectId(req.params.id) &&
+      await revokeSession(req.user._id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,243 @@
+const express = require('express');
+const Joi = require('joi');
+const Budget = require('../models/Budget');
+const { auth } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { getBudgetStatus } = require('../services/budgetService');
+const { resolveTopLevelCategory } = require('../services/categoryService');
+
+const router = express.Router();
+
+// Validation schemas
+const budgetSchema = Joi.object({
+  name: Joi.string().max(100).optional(),
+  category: Joi.string().max(100).allow(null).optional(),
+  amount: Joi.number().min(0).precision(2).max(999999.99).required(),
+  month: Joi.string().pattern(/^\d{4}-(0[1-9]|1[0-2])$/).allow(null).optional(),
+  rollover: Joi.string().valid('none', 'surplus', 'full').optional(),
+  rolloverCap: Joi.number().min(0).optional(),
+  thresholds: Joi.array().items(Joi.number().positive().max(1000)).min(1).max(10).optional(),
+  isActive: Joi.boolean().optional()
+});
+
+const monthQuerySchema = Joi.string().pattern(/^\d{4}-(0[1-9]|1[0-2])$/);
+
+// Canonicalize value.category in place; returns an error message or null
+async function applyBudgetCategory(userId, value) {
+  if (!value.category) {
+    return null;
+  }
+  const result = await resolveTopLevelCategory(userId, value.category);
+  if (result.error) {
+    return result.error;
+  }
+  value.category = result.value.category;
+  return null;
+}
+
+// @route   GET /api/budgets
+// @desc    Get all budgets with their status for a month (defaults to the budget's own month, else current)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { month } = req.query;
+    if (month && monthQuerySchema.validate(month).error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Month must be in YYYY-MM format'
+      });
+    }
+
+    const budgets = await Budget.find({ userId: req.user._id }).sort({ category: 1, month: 1 });
+    const data = await Promise.all(budgets.map(async budget => ({
+      ...budget.toObject(),
+      status: await getBudgetStatus(budget, month || budget.month || undefined)
+    })));
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('Get budgets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/budgets/:id
+// @desc    Get a single budget with its status
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const { month } = req.query;
+    if (month && monthQuerySchema.validate(month).error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Month must be in YYYY-MM format'
+      });
+    }
+
+    const budget = await Budget.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...budget.toObject(),
+        status: await getBudgetStatus(budget, month || budget.month || undefined)
+      }
+    });
+  } catch (error) {
+    logger.error('Get budget error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/budgets
+// @desc    Create budget
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { error, value } = budgetSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const categoryError = await applyBudgetCategory(req.user._id, value);
+    if (categoryError) {
+      return res.status(400).json({
+        success: false,
+        message: categoryError
+      });
+    }
+
+    const existing = await Budget.findOne({
+      userId: req.user._id,
+      category: value.category || null,
+      month: value.month || null
+    });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A budget already exists for this category and month'
+      });
+    }
+
+    const budget = new Budget({
+      ...value,
+      userId: req.user._id
+    });
+
+    await budget.save();
+
+    logger.info(`Budget created: ${budget._id} for user ${req.user._id}`);
+
+    res.status(201).json({
+      success: true,
+      data: budget
+    });
+  } catch (error) {
+    logger.error('Create budget error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/budgets/:id
+// @desc    Update budget
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const { error, value } = budgetSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const categoryError = await applyBudgetCategory(req.user._id, value);
+    if (categoryError) {
+      return res.status(400).json({
+        success: false,
+        message: categoryError
+      });
+    }
+
+    const budget = await Budget.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found'
+      });
+    }
+
+    budget.set(value);
+    await budget.save();
+
+    res.json({
+      success: true,
+      data: budget
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A budget already exists for this category and month'
+      });
+    }
+    logger.error('Update budget error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/budgets/:id
+// @desc    Delete budget
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const budget = await Budget.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Budget deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete budget error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
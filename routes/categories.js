@@ -0,0 +1,202 @@
+const express = require('express');
+const Joi = require('joi');
+const Category = require('../models/Category');
+const { auth } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const {
+  DEFAULT_CATEGORIES,
+  getUserCategories,
+  resolveCategory,
+  validateCategory,
+  applyCategoryChange,
+  deleteCategory
+} = require('../services/categoryService');
+
+const router = express.Router();
+
+// Validation schemas
+const categorySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(50).required(),
+  // Name of a top-level category; omit for a top-level category
+  parent: Joi.string().trim().max(50).allow(null, '').optional(),
+  color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).optional(),
+  icon: Joi.string().max(50).optional(),
+  keywords: Joi.array().items(Joi.string().max(50)).max(50).optional(),
+  archived: Joi.boolean().optional()
+});
+
+const deleteQuerySchema = Joi.object({
+  mergeInto: Joi.string().max(50).optional()
+});
+
+// @route   GET /api/categories
+// @desc    Get built-in and custom categories (?includeArchived=true for archived ones)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const categories = await getUserCategories(req.user._id, {
+      includeArchived: req.query.includeArchived === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: categories,
+      defaults: DEFAULT_CATEGORIES
+    });
+  } catch (error) {
+    logger.error('Get categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/categories
+// @desc    Create a category or subcategory
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { error, value } = categorySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    value.parent = value.parent || null;
+    const invalid = await validateCategory(req.user._id, value);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const category = new Category({
+      ...value,
+      userId: req.user._id
+    });
+
+    await category.save();
+
+    logger.info(`Category created: ${category._id} for user ${req.user._id}`);
+
+    res.status(201).json({
+      success: true,
+      data: category
+    });
+  } catch (error) {
+    logger.error('Create category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/categories/:id
+// @desc    Update a category; renames and moves are applied to existing expenses, budgets and recurring expenses
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const { error, value } = categorySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const category = await Category.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    value.parent = value.parent || null;
+    const invalid = await validateCategory(req.user._id, value, category);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const before = { name: category.name, parent: category.parent };
+    category.set(value);
+    await category.save();
+
+    const moved = await applyCategoryChange(req.user._id, before, category);
+
+    res.json({
+      success: true,
+      data: category,
+      expensesUpdated: moved
+    });
+  } catch (error) {
+    logger.error('Update category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/categories/:id
+// @desc    Delete a category, moving its expenses into ?mergeInto (defaults to the parent, or "other")
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const { error, value } = deleteQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const category = await Category.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const target = await resolveCategory(req.user._id, value.mergeInto || category.parent || 'other');
+    if (target.error) {
+      return res.status(400).json({
+        success: false,
+        message: target.error
+      });
+    }
+
+    const result = await deleteCategory(req.user._id, category, target.value);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully',
+      data: result.value
+    });
+  } catch (error) {
+    logger.error('Delete category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
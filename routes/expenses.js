@@ -1,39 +1,28 @@
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
 const Joi = require('joi');
-const fs = require('fs');
 const Expense = require('../models/Expense');
 const { auth } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
-const { categorizeExpense, detectAnomalies } = require('../services/mlService');
-const { extractReceiptData } = require('../services/ocrService');
+const { categorizeExpense, detectAnomalies, recordCategoryFeedback } = require('../services/mlService');
+const { evaluateBudgets } = require('../services/budgetService');
+const { getExportFormats, streamExpenses } = require('../services/exportService');
+const { expenseCurrencyFields, normalizeCurrency } = require('../services/currencyService');
+const { applyCategory } = require('../services/categoryService');
+const { resolveMerchant } = require('../services/merchantService');
+const { getActiveRules, applyRules } = require('../services/ruleService');
+const { BULK_ACTIONS, MAX_BULK_ITEMS, runBulkOperation } = require('../services/bulkService');
+const { trashExpenses } = require('../services/trashService');
+const { recordExpenseEvent, getExpenseHistory } = require('../services/auditService');
+const { enqueueReceipt, enqueueAttachmentText } = require('../services/receiptQueue');
+const { detectMimeType, storeReceipt, openReceipt, openStoredFile } = require('../services/storageService');
+const { publicAttachment, addAttachment, removeAttachment } = require('../services/attachmentService');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const uploadDir = process.env.UPLOAD_PATH || path.join(__dirname, '..', 'uploads');
-// Ensure upload directory exists
-try {
-  if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true });
-  }
-} catch (e) {
-  logger.error('Failed to ensure upload directory exists:', e);
-}
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'receipt-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
+// Configure multer for file uploads; receipts and attachments are kept in memory until receipt storage has them
 const upload = multer({
-  storage: storage,
+  storage: multer.memoryStorage(),
   limits: {
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760 // 10MB
   },
@@ -54,7 +43,91 @@ const expenseSchema = Joi.object({
   subcategory: Joi.string().max(100).optional(),
   date: Joi.date().required(),
   notes: Joi.string().allow('').max(1000).optional(),
-  receiptImageUrl: Joi.string().uri().optional()
+  receiptImageUrl: Joi.string().uri().optional(),
+  currency: Joi.string().length(3).pattern(/^[A-Za-z]{3}$/).optional()
+});
+
+// PATCH takes any subset of the expense fields, plus the full tag list
+const expensePatchSchema = expenseSchema
+  .fork(['name', 'amount', 'category', 'date'], schema => schema.optional())
+  .keys({
+    subcategory: Joi.string().allow('').max(100).optional(),
+    tags: Joi.array().items(Joi.string().trim().min(1).max(50)).max(50).optional()
+  })
+  .min(1);
+
+const attachmentSchema = Joi.object({
+  label: Joi.string().trim().allow('').max(100).optional()
+});
+
+const bulkSchema = Joi.object({
+  action: Joi.string().valid(...BULK_ACTIONS).required(),
+  ids: Joi.array().items(Joi.string().hex().length(24)).min(1).max(MAX_BULK_ITEMS),
+  // Same filters as GET /api/expenses
+  filter: Joi.object({
+    category: Joi.string().max(100).optional(),
+    startDate: Joi.date().optional(),
+    endDate: Joi.date().optional(),
+    search: Joi.string().max(200).optional(),
+    tags: Joi.alternatives().try(Joi.string().max(500), Joi.array().items(Joi.string().max(50))).optional()
+  }).min(1),
+  category: Joi.string().min(1).max(100)
+    .when('action', { is: 'recategorize', then: Joi.required(), otherwise: Joi.forbidden() }),
+  subcategory: Joi.string().max(100)
+    .when('action', { is: 'recategorize', then: Joi.optional(), otherwise: Joi.forbidden() }),
+  tags: Joi.array().items(Joi.string().trim().min(1).max(50)).min(1).max(20)
+    .when('action', { is: Joi.valid('addTags', 'removeTags'), then: Joi.required(), otherwise: Joi.forbidden() }),
+  days: Joi.number().integer().min(-3650).max(3650).invalid(0)
+    .when('action', { is: 'shiftDate', then: Joi.required(), otherwise: Joi.forbidden() })
+}).xor('ids', 'filter');
+
+// Apply validated expense fields to `expense` (not saved). Returns an error message or null.
+async function applyExpenseUpdate(user, expense, value) {
+  const { name, amount, date, notes, currency } = value;
+
+  // An unchanged category is kept even if it has been archived since
+  if (value.category !== expense.category) {
+    const categoryError = await applyCategory(user._id, value);
+    if (categoryError) {
+      return categoryError;
+    }
+  }
+  const { category, subcategory } = value;
+
+  // Keep the expense's own currency unless the update changes it
+  const money = await expenseCurrencyFields(user, amount, currency || expense.currency, date);
+  if (!money) {
+    return `No exchange rate available for ${normalizeCurrency(currency || expense.currency)}`;
+  }
+
+  // Corrections of AI-assigned categories train the user's personal categorizer
+  const categoryChanged = category !== expense.category || (subcategory || null) !== (expense.subcategory || null);
+  if (expense.aiCategorized && categoryChanged) {
+    try {
+      await recordCategoryFeedback(user._id, expense, { category, subcategory });
+    } catch (feedbackError) {
+      logger.warn('Recording category feedback failed:', feedbackError);
+    }
+    expense.aiCategorized = false;
+  }
+
+  expense.name = name;
+  expense.amount = amount;
+  expense.category = category;
+  expense.subcategory = subcategory;
+  expense.date = date;
+  expense.notes = notes;
+  expense.set(money);
+  return null;
+}
+
+const exportQuerySchema = Joi.object({
+  format: Joi.string().valid(...getExportFormats()).default('csv'),
+  category: Joi.string().max(100).optional(),
+  startDate: Joi.date().optional(),
+  endDate: Joi.date().optional(),
+  search: Joi.string().max(200).optional(),
+  tags: Joi.string().max(500).optional()
 });
 
 // @route   GET /api/expenses
@@ -62,7 +135,7 @@ const expenseSchema = Joi.object({
 // @access  Private
 router.get('/', auth, async (req, res) => {
   try {
-    const { page = 1, limit = 50, category, startDate, endDate, search } = req.query;
+    const { page = 1, limit = 50, category, startDate, endDate, search, tags } = req.query;
     
     const options = {
       page: parseInt(page),
@@ -70,7 +143,8 @@ router.get('/', auth, async (req, res) => {
       category,
       startDate,
       endDate,
-      search
+      search,
+      tags
     };
 
     const result = await Expense.getUserExpenses(req.user._id, options);
@@ -89,6 +163,37 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/expenses/export
+// @desc    Stream all filtered expenses as CSV, Excel-friendly CSV, JSON, JSON Lines or OFX
+// @access  Private
+router.get('/export', auth, async (req, res) => {
+  try {
+    const { error, value } = exportQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const count = await streamExpenses(res, req.user._id, {
+      ...value,
+      currency: req.user.preferences?.currency || 'USD'
+    });
+
+    logger.info(`Exported ${count} expenses as ${value.format} for user ${req.user._id}`);
+  } catch (error) {
+    logger.error('Export expenses error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error during export'
+    });
+  }
+});
+
 // @route   POST /api/expenses
 // @desc    Create new expense
 // @access  Private
@@ -111,30 +216,62 @@ router.post('/', auth, async (req, res) => {
       });
     }
 
-    const { name, amount, category, subcategory, date, notes, receiptImageUrl } = value;
+    const { name, amount, category, date, notes, receiptImageUrl, currency } = value;
+    let { subcategory } = value;
     const normalizedAmount = Math.min(Math.max(parseFloat(amount) || 0, 0), 999999.99);
 
+    const money = await expenseCurrencyFields(req.user, normalizedAmount, currency, date);
+    if (!money) {
+      return res.status(400).json({
+        success: false,
+        message: `No exchange rate available for ${normalizeCurrency(currency)}`
+      });
+    }
+
+    const merchant = await resolveMerchant(req.user._id, name);
+    const ruleResult = applyRules(await getActiveRules(req.user._id), { name, notes, date, ...money }, merchant);
+
     // AI categorization
     let aiCategory = category;
     let confidenceScore = null;
     let aiCategorized = false;
 
-    if (category === 'auto' || !category) {
+    if ((category === 'auto' || !category) && ruleResult.category) {
+      // The user's own rules win over merchant defaults and guesses
+      aiCategory = ruleResult.category;
+      subcategory = subcategory || ruleResult.subcategory;
+    } else if ((category === 'auto' || !category) && merchant && merchant.category) {
+      // The merchant's default category wins over a guess
+      aiCategory = merchant.category;
+      subcategory = subcategory || merchant.subcategory;
+    } else if (category === 'auto' || !category) {
       try {
-        const aiResult = await categorizeExpense(name, normalizedAmount, notes);
+        const aiResult = await categorizeExpense(name, normalizedAmount, notes, { userId: req.user._id });
         aiCategory = aiResult.category;
+        subcategory = subcategory || aiResult.subcategory;
         confidenceScore = aiResult.confidence;
         aiCategorized = true;
       } catch (aiError) {
         logger.warn('AI categorization failed:', aiError);
         aiCategory = 'other';
       }
+    } else {
+      const fields = { category, subcategory };
+      const categoryError = await applyCategory(req.user._id, fields);
+      if (categoryError) {
+        return res.status(400).json({
+          success: false,
+          message: categoryError
+        });
+      }
+      aiCategory = fields.category;
+      subcategory = fields.subcategory;
     }
 
     // Anomaly detection
     let isAnomaly = false;
     try {
-      const anomalyResult = await detectAnomalies(req.user._id, amount, aiCategory);
+      const anomalyResult = await detectAnomalies(req.user._id, money.baseAmount, aiCategory);
       isAnomaly = anomalyResult.isAnomaly;
     } catch (anomalyError) {
       logger.warn('Anomaly detection failed:', anomalyError);
@@ -144,17 +281,23 @@ router.post('/', auth, async (req, res) => {
       userId: req.user._id,
       name,
       amount: normalizedAmount,
+      ...money,
       category: aiCategory,
       subcategory,
+      merchantId: merchant ? merchant._id : null,
       date,
-      notes,
+      notes: notes || ruleResult.notes,
+      tags: ruleResult.tags,
+      reviewed: Boolean(ruleResult.reviewed),
       receiptImageUrl,
       aiCategorized,
       confidenceScore,
-      isAnomaly
+      isAnomaly,
+      metadata: ruleResult.ruleIds.length > 0 ? { appliedRules: ruleResult.ruleIds } : {}
     });
 
     await expense.save();
+    await recordExpenseEvent({ actorId: req.user._id, action: 'create', source: 'manual', after: expense });
 
     // Generate AI insights if anomaly detected
     if (isAnomaly) {
@@ -163,12 +306,16 @@ router.post('/', auth, async (req, res) => {
 
     logger.info(`Expense created: ${expense._id} for user ${req.user._id}`);
 
+    // Report budget thresholds crossed by this expense
+    const budgetAlerts = await evaluateBudgets(req.user._id, expense);
+
     res.status(201).json({
       success: true,
       data: expense,
       aiCategorized,
       confidenceScore,
-      isAnomaly
+      isAnomaly,
+      budgetAlerts
     });
   } catch (error) {
     logger.error('Create expense error:', error);
@@ -179,8 +326,44 @@ router.post('/', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/expenses/bulk
+// @desc    Delete, recategorize, tag, untag or shift the dates of many expenses at once
+// @access  Private
+router.post('/bulk', auth, async (req, res) => {
+  try {
+    const { error, value } = bulkSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const result = await runBulkOperation(req.user._id, value);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const report = result.value;
+    res.status(report.failed > 0 ? 400 : 200).json({
+      success: report.failed === 0,
+      ...(report.failed > 0 && { message: 'Some expenses could not be processed; nothing was changed' }),
+      data: report
+    });
+  } catch (error) {
+    logger.error('Bulk expense operation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   POST /api/expenses/upload-receipt
-// @desc    Upload receipt and extract data using OCR
+// @desc    Upload a receipt and queue it for OCR
 // @access  Private
 router.post('/upload-receipt', auth, upload.single('receipt'), async (req, res) => {
   try {
@@ -190,37 +373,31 @@ router.post('/upload-receipt', auth, upload.single('receipt'), async (req, res)
         message: 'No receipt image provided'
       });
     }
+    // The client's Content-Type is not trusted; the bytes must be an image or a PDF
+    if (!detectMimeType(req.file.buffer)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only image or PDF files are allowed'
+      });
+    }
 
-    // Extract data using OCR
-    const ocrData = await extractReceiptData(req.file.path);
-    
-    // Save OCR data to database for future ML training
-    const clampedAmount = Math.min(Math.max(parseFloat(ocrData.amount) || 0, 0), 999999.99);
-    const normalizedDate = ocrData.date ? new Date(ocrData.date) : new Date();
-    const expense = new Expense({
-      userId: req.user._id,
-      name: ocrData.merchant || 'Unknown Merchant',
-      amount: clampedAmount,
-      // Use a valid enum value; AI categorization can adjust later on edit
-      category: 'other',
-      date: normalizedDate,
-      notes: ocrData.items ? ocrData.items.join(', ') : '',
-      receiptImageUrl: req.file.path,
-      ocrData: ocrData
-    });
+    const { receipt, duplicateOf } = await storeReceipt(req.user._id, req.file);
 
-    await expense.save();
+    // OCR runs in the background; the result is a pending expense to confirm via POST /api/receipts/:id/confirm
+    const job = await enqueueReceipt(req.user._id, receipt);
 
-    res.json({
-      success: true,
-      data: expense,
-      ocrData
-    });
+    res.status(202)
+      .location(`/api/receipts/jobs/${job.id}`)
+      .json({
+        success: true,
+        message: 'Receipt queued for processing',
+        data: { ...job, duplicateOf }
+      });
   } catch (error) {
     logger.error('Receipt upload error:', error);
     res.status(500).json({
       success: false,
-      message: error?.message || 'Server error during receipt processing'
+      message: 'Failed to process receipt'
     });
   }
 });
@@ -249,8 +426,6 @@ router.put('/:id', auth, async (req, res) => {
       });
     }
 
-    const { name, amount, category, subcategory, date, notes } = value;
-
     // Check if expense belongs to user
     const expense = await Expense.findOne({ _id: id, userId: req.user._id });
 
@@ -261,15 +436,17 @@ router.put('/:id', auth, async (req, res) => {
       });
     }
 
-    // Update expense
-    expense.name = name;
-    expense.amount = amount;
-    expense.category = category;
-    expense.subcategory = subcategory;
-    expense.date = date;
-    expense.notes = notes;
+    const before = expense.toObject();
+    const updateError = await applyExpenseUpdate(req.user, expense, value);
+    if (updateError) {
+      return res.status(400).json({
+        success: false,
+        message: updateError
+      });
+    }
 
     await expense.save();
+    await recordExpenseEvent({ actorId: req.user._id, action: 'update', source: 'manual', before, after: expense });
 
     res.json({
       success: true,
@@ -284,14 +461,310 @@ router.put('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   PATCH /api/expenses/:id
+// @desc    Update only the given fields of an expense
+// @access  Private
+router.patch('/:id', auth, async (req, res) => {
+  try {
+    const { error, value } = expensePatchSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const expense = await Expense.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    const fields = {
+      name: expense.name,
+      amount: expense.amount,
+      category: expense.category,
+      subcategory: expense.subcategory,
+      date: expense.date,
+      notes: expense.notes,
+      ...value
+    };
+    // An empty subcategory clears it; a new category starts without the old one's subcategory
+    if (value.subcategory === '' ||
+        (value.category !== undefined && value.category !== expense.category && value.subcategory === undefined)) {
+      delete fields.subcategory;
+    }
+
+    const before = expense.toObject();
+    const updateError = await applyExpenseUpdate(req.user, expense, fields);
+    if (updateError) {
+      return res.status(400).json({
+        success: false,
+        message: updateError
+      });
+    }
+
+    if (value.tags) {
+      expense.tags = [...new Set(value.tags)];
+    }
+
+    await expense.save();
+    await recordExpenseEvent({ actorId: req.user._id, action: 'update', source: 'manual', before, after: expense });
+
+    res.json({
+      success: true,
+      data: expense
+    });
+  } catch (error) {
+    logger.error('Patch expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/expenses/:id/history
+// @desc    Get the change history of an expense, newest first (also for trashed and purged expenses)
+// @access  Private
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    const history = await getExpenseHistory(req.user._id, req.params.id);
+
+    if (history.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    logger.error('Get expense history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/expenses/:id/receipt
+// @desc    Download the uploaded receipt of an expense (?thumbnail=true for a small JPEG of photos)
+// @access  Private
+router.get('/:id/receipt', auth, async (req, res) => {
+  try {
+    const expense = await Expense.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      status: { $in: ['pending', 'confirmed'] }
+    });
+    const file = expense && await openReceipt(expense, { thumbnail: req.query.thumbnail === 'true' });
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receipt not found'
+      });
+    }
+
+    const name = (expense.receipt && expense.receipt.originalName) || 'receipt';
+    res.setHeader('Content-Type', file.contentType);
+    if (file.size) {
+      res.setHeader('Content-Length', file.size);
+    }
+    res.setHeader('Content-Disposition', `inline; filename="${name.replace(/[^\w.-]/g, '_')}"`);
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    file.stream.on('error', error => {
+      logger.error('Receipt stream error:', error);
+      res.destroy(error);
+    });
+    file.stream.pipe(res);
+  } catch (error) {
+    logger.error('Get receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/expenses/:id/attachments
+// @desc    List the documents attached to an expense, with the text read from them
+// @access  Private
+router.get('/:id/attachments', auth, async (req, res) => {
+  try {
+    const expense = await Expense.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      status: { $in: ['pending', 'confirmed'] }
+    }).select('attachments');
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: expense.attachments.map(attachment => publicAttachment(attachment, { includeText: true }))
+    });
+  } catch (error) {
+    logger.error('Get attachments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/expenses/:id/attachments
+// @desc    Attach a document (warranty card, invoice, delivery slip...) to an expense and queue it for OCR
+// @access  Private
+router.post('/:id/attachments', auth, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file provided'
+      });
+    }
+    if (!detectMimeType(req.file.buffer)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only image or PDF files are allowed'
+      });
+    }
+
+    const { error, value } = attachmentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const expense = await Expense.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      status: { $in: ['pending', 'confirmed'] }
+    }).select('userId attachments');
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    const result = await addAttachment(req.user, expense, req.file, value.label);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    // The text is read in the background; the job is at /api/receipts/jobs/:id
+    const job = await enqueueAttachmentText(req.user._id, expense._id, result.value);
+
+    res.status(201).json({
+      success: true,
+      data: publicAttachment(result.value),
+      job
+    });
+  } catch (error) {
+    logger.error('Add attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/expenses/:id/attachments/:attachmentId
+// @desc    Download an attachment (?thumbnail=true for a small JPEG of photos)
+// @access  Private
+router.get('/:id/attachments/:attachmentId', auth, async (req, res) => {
+  try {
+    const expense = await Expense.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      status: { $in: ['pending', 'confirmed'] }
+    }).select('attachments');
+    const attachment = expense && expense.attachments.find(item => String(item._id) === req.params.attachmentId);
+    const file = attachment && await openStoredFile(attachment, { thumbnail: req.query.thumbnail === 'true' });
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const name = attachment.originalName || 'attachment';
+    res.setHeader('Content-Type', file.contentType);
+    if (file.size) {
+      res.setHeader('Content-Length', file.size);
+    }
+    res.setHeader('Content-Disposition', `inline; filename="${name.replace(/[^\w.-]/g, '_')}"`);
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    file.stream.on('error', error => {
+      logger.error('Attachment stream error:', error);
+      res.destroy(error);
+    });
+    file.stream.pipe(res);
+  } catch (error) {
+    logger.error('Get attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/expenses/:id/attachments/:attachmentId
+// @desc    Remove an attachment from an expense and delete its file
+// @access  Private
+router.delete('/:id/attachments/:attachmentId', auth, async (req, res) => {
+  try {
+    const expense = await Expense.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      status: { $in: ['pending', 'confirmed'] }
+    }).select('_id');
+    const removed = expense && await removeAttachment(req.user._id, expense._id, req.params.attachmentId);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Attachment removed'
+    });
+  } catch (error) {
+    logger.error('Remove attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   DELETE /api/expenses/:id
-// @desc    Delete expense
+// @desc    Move expense to the trash (see /api/expenses/trash)
 // @access  Private
 router.delete('/:id', auth, async (req, res) => {
   try {
     const { id } = req.params;
 
-    const expense = await Expense.findOneAndDelete({ _id: id, userId: req.user._id });
+    const expense = await Expense.findOne({ _id: id, userId: req.user._id });
 
     if (!expense) {
       return res.status(404).json({
@@ -300,9 +773,12 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
+    await trashExpenses(req.user._id, [expense._id]);
+    await recordExpenseEvent({ actorId: req.user._id, action: 'delete', source: 'manual', before: expense });
+
     res.json({
       success: true,
-      message: 'Expense deleted successfully'
+      message: 'Expense moved to trash'
     });
   } catch (error) {
     logger.error('Delete expense error:', error);
@@ -324,7 +800,10 @@ router.get('/stats', auth, async (req, res) => {
 
     res.json({
       success: true,
-      data: stats
+      data: {
+        ...stats,
+        currency: req.user.preferences?.currency || 'USD'
+      }
     });
   } catch (error) {
     logger.error('Get stats error:', error);
@@ -0,0 +1,641 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Joi = require('joi');
+const Group = require('../models/Group');
+const GroupExpense = require('../models/GroupExpense');
+const Settlement = require('../models/Settlement');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const { auth } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { computeShares, computeBalances, simplifyDebts } = require('../services/splitService');
+
+const router = express.Router();
+
+// Validation schemas
+const objectId = Joi.string().hex().length(24);
+
+const groupSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required(),
+  memberEmails: Joi.array().items(Joi.string().email()).max(50).optional(),
+  currency: Joi.string().pattern(/^[A-Za-z]{3}$/).optional()
+});
+
+const memberSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const groupExpenseSchema = Joi.object({
+  name: Joi.string().min(1).max(255).required(),
+  amount: Joi.number().positive().precision(2).max(999999.99).required(),
+  category: Joi.string().valid(...Category.DEFAULT_CATEGORIES).optional(),
+  date: Joi.date().required(),
+  notes: Joi.string().allow('').max(1000).optional(),
+  paidBy: objectId.optional(),
+  splitType: Joi.string().valid('equal', 'percentage', 'exact').default('equal'),
+  // Omitted for an equal split between all members
+  splits: Joi.array().items(Joi.object({
+    userId: objectId.required(),
+    percentage: Joi.number().min(0).max(100).optional(),
+    amount: Joi.number().min(0).precision(2).optional()
+  })).max(50).optional()
+});
+
+const settlementSchema = Joi.object({
+  from: objectId.optional(),
+  to: objectId.required(),
+  amount: Joi.number().positive().precision(2).max(999999.99).required(),
+  date: Joi.date().optional(),
+  notes: Joi.string().allow('').max(1000).optional()
+});
+
+const expenseListSchema = Joi.object({
+  // Removed expenses instead of current ones
+  deleted: Joi.boolean().default(false)
+});
+
+const memberFields = 'email firstName lastName';
+const MAX_PENDING_INVITATIONS = 50;
+
+// Groups are only visible to their members
+async function findMemberGroup(req) {
+  return await Group.findOne({ _id: req.params.id, members: req.user._id });
+}
+
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Group not found'
+  });
+}
+
+// Invite the emails that are not members or invited yet. Members' addresses are visible to the
+// group anyway, so skipping them reveals nothing. Returns an error message or null.
+async function inviteEmails(group, emails, invitedBy) {
+  const members = await User.find({ _id: { $in: group.members } }).select('email');
+  const known = new Set([
+    ...members.map(member => member.email),
+    ...group.invitations.map(invitation => invitation.email)
+  ]);
+  const invited = [...new Set(emails.map(email => email.toLowerCase()))].filter(email => !known.has(email));
+
+  if (group.invitations.length + invited.length > MAX_PENDING_INVITATIONS) {
+    return `A group can have at most ${MAX_PENDING_INVITATIONS} pending invitations`;
+  }
+  invited.forEach(email => group.invitations.push({ email, invitedBy }));
+  return null;
+}
+
+function invitationNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Invitation not found'
+  });
+}
+
+function forbidden(res, message) {
+  return res.status(403).json({
+    success: false,
+    message
+  });
+}
+
+// @route   GET /api/groups
+// @desc    Get groups the user belongs to
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const groups = await Group.find({ members: req.user._id })
+      .sort({ updatedAt: -1 })
+      .populate('members', memberFields);
+
+    res.json({
+      success: true,
+      data: groups
+    });
+  } catch (error) {
+    logger.error('Get groups error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/groups/invitations
+// @desc    Get pending invitations to the user's email address
+// @access  Private
+router.get('/invitations', auth, async (req, res) => {
+  try {
+    const groups = await Group.find({ 'invitations.email': req.user.email })
+      .select('name currency invitations')
+      .populate('invitations.invitedBy', 'firstName lastName')
+      .lean();
+
+    const data = groups.map(group => {
+      const invitation = group.invitations.find(entry => entry.email === req.user.email);
+      return {
+        groupId: group._id,
+        name: group.name,
+        currency: group.currency,
+        invitedBy: invitation.invitedBy,
+        invitedAt: invitation.invitedAt
+      };
+    });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('Get group invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/groups
+// @desc    Create group; memberEmails are invited and join once they accept
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { error, value } = groupSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const group = new Group({
+      name: value.name,
+      createdBy: req.user._id,
+      members: [req.user._id],
+      currency: (value.currency || req.user.preferences?.currency || 'USD').toUpperCase()
+    });
+
+    const inviteError = await inviteEmails(group, value.memberEmails || [], req.user._id);
+    if (inviteError) {
+      return res.status(400).json({
+        success: false,
+        message: inviteError
+      });
+    }
+
+    await group.save();
+
+    logger.info(`Group created: ${group._id} by user ${req.user._id}`);
+
+    res.status(201).json({
+      success: true,
+      data: await group.populate('members', memberFields)
+    });
+  } catch (error) {
+    logger.error('Create group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/groups/:id
+// @desc    Get group details
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const group = await findMemberGroup(req);
+    if (!group) {
+      return notFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: await group.populate('members', memberFields)
+    });
+  } catch (error) {
+    logger.error('Get group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/groups/:id/members
+// @desc    Invite someone to the group by email
+// @access  Private
+router.post('/:id/members', auth, async (req, res) => {
+  try {
+    const { error, value } = memberSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const group = await findMemberGroup(req);
+    if (!group) {
+      return notFound(res);
+    }
+
+    const inviteError = await inviteEmails(group, [value.email], req.user._id);
+    if (inviteError) {
+      return res.status(400).json({
+        success: false,
+        message: inviteError
+      });
+    }
+    await group.save();
+
+    // The same answer whether or not the address has an account
+    res.json({
+      success: true,
+      message: 'Invitation sent; they join the group once they accept it',
+      data: await group.populate('members', memberFields)
+    });
+  } catch (error) {
+    logger.error('Add group member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/groups/:id/invitations/accept
+// @desc    Join a group the user's verified email address was invited to
+// @access  Private
+router.post('/:id/invitations/accept', auth, async (req, res) => {
+  try {
+    if (!req.user.emailVerified) {
+      return forbidden(res, 'Verify your email address before accepting group invitations');
+    }
+
+    const group = mongoose.isValidObjectId(req.params.id) && await Group.findOneAndUpdate(
+      { _id: req.params.id, 'invitations.email': req.user.email },
+      { $addToSet: { members: req.user._id }, $pull: { invitations: { email: req.user.email } } },
+      { new: true }
+    );
+    if (!group) {
+      return invitationNotFound(res);
+    }
+
+    logger.info(`User ${req.user._id} joined group ${group._id}`);
+
+    res.json({
+      success: true,
+      data: await group.populate('members', memberFields)
+    });
+  } catch (error) {
+    logger.error('Accept group invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/groups/:id/invitations/decline
+// @desc    Decline an invitation to a group
+// @access  Private
+router.post('/:id/invitations/decline', auth, async (req, res) => {
+  try {
+    const result = mongoose.isValidObjectId(req.params.id) && await Group.updateOne(
+      { _id: req.params.id, 'invitations.email': req.user.email },
+      { $pull: { invitations: { email: req.user.email } } }
+    );
+    if (!result || result.modifiedCount === 0) {
+      return invitationNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation declined'
+    });
+  } catch (error) {
+    logger.error('Decline group invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/groups/:id/members/:userId
+// @desc    Leave the group, or (group creator only) remove another member; their balance must be settled
+// @access  Private
+router.delete('/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const group = await findMemberGroup(req);
+    if (!group) {
+      return notFound(res);
+    }
+
+    if (req.params.userId !== String(req.user._id) && !group.createdBy.equals(req.user._id)) {
+      return forbidden(res, 'Only the group creator can remove other members');
+    }
+
+    const [expenses, settlements] = await Promise.all([
+      GroupExpense.find({ groupId: group._id, deletedAt: null }),
+      Settlement.find({ groupId: group._id })
+    ]);
+    const balance = computeBalances(group.members, expenses, settlements)
+      .find(entry => entry.userId === req.params.userId);
+
+    if (!balance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (balance.balance !== 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Member must be settled up before leaving the group'
+      });
+    }
+
+    group.members.pull(req.params.userId);
+    await group.save();
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+  } catch (error) {
+    logger.error('Remove group member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/groups/:id/expenses
+// @desc    Get group expenses (?deleted=true for removed ones, with who removed them)
+// @access  Private
+router.get('/:id/expenses', auth, async (req, res) => {
+  try {
+    const { error, value } = expenseListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const group = await findMemberGroup(req);
+    if (!group) {
+      return notFound(res);
+    }
+
+    const expenses = await GroupExpense.find({
+      groupId: group._id,
+      deletedAt: value.deleted ? { $ne: null } : null
+    }).sort({ date: -1 });
+
+    res.json({
+      success: true,
+      data: expenses
+    });
+  } catch (error) {
+    logger.error('Get group expenses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/groups/:id/expenses
+// @desc    Add a shared expense split equally, by percentage or by exact shares
+// @access  Private
+router.post('/:id/expenses', auth, async (req, res) => {
+  try {
+    const { error, value } = groupExpenseSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const group = await findMemberGroup(req);
+    if (!group) {
+      return notFound(res);
+    }
+
+    const paidBy = value.paidBy || String(req.user._id);
+    if (!group.members.some(member => member.equals(paidBy))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payer must be a member of this group'
+      });
+    }
+
+    const requested = value.splits || group.members.map(userId => ({ userId: String(userId) }));
+    const shares = computeShares(value.amount, value.splitType, requested, group.members);
+    if (shares.error) {
+      return res.status(400).json({
+        success: false,
+        message: shares.error
+      });
+    }
+
+    const expense = new GroupExpense({
+      groupId: group._id,
+      createdBy: req.user._id,
+      paidBy,
+      name: value.name,
+      amount: value.amount,
+      category: value.category,
+      date: value.date,
+      notes: value.notes,
+      splitType: value.splitType,
+      splits: shares.value
+    });
+
+    await expense.save();
+
+    res.status(201).json({
+      success: true,
+      data: expense
+    });
+  } catch (error) {
+    logger.error('Create group expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/groups/:id/expenses/:expenseId
+// @desc    Remove a group expense (its creator or payer only); it is kept as removed, out of the balances
+// @access  Private
+router.delete('/:id/expenses/:expenseId', auth, async (req, res) => {
+  try {
+    const group = await findMemberGroup(req);
+    if (!group) {
+      return notFound(res);
+    }
+
+    const expense = mongoose.isValidObjectId(req.params.expenseId)
+      ? await GroupExpense.findOne({ _id: req.params.expenseId, groupId: group._id, deletedAt: null })
+      : null;
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+    if (!expense.createdBy.equals(req.user._id) && !expense.paidBy.equals(req.user._id)) {
+      return forbidden(res, 'Only the member who added or paid for an expense can delete it');
+    }
+
+    expense.deletedAt = new Date();
+    expense.deletedBy = req.user._id;
+    await expense.save();
+    logger.info(`Group expense ${expense._id} removed by ${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Expense deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete group expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/groups/:id/balances
+// @desc    Get each member's balance and the transfers that settle the group
+// @access  Private
+router.get('/:id/balances', auth, async (req, res) => {
+  try {
+    const group = await findMemberGroup(req);
+    if (!group) {
+      return notFound(res);
+    }
+
+    const [expenses, settlements] = await Promise.all([
+      GroupExpense.find({ groupId: group._id, deletedAt: null }),
+      Settlement.find({ groupId: group._id })
+    ]);
+    await group.populate('members', memberFields);
+
+    const names = new Map(group.members.map(member => [String(member._id), `${member.firstName} ${member.lastName}`]));
+    const balances = computeBalances(group.members.map(member => member._id), expenses, settlements);
+    const transfers = simplifyDebts(balances);
+
+    res.json({
+      success: true,
+      data: {
+        currency: group.currency,
+        balances: balances.map(entry => ({ ...entry, name: names.get(entry.userId) })),
+        settleUp: transfers.map(transfer => ({
+          ...transfer,
+          fromName: names.get(transfer.from),
+          toName: names.get(transfer.to)
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Get group balances error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/groups/:id/settlements
+// @desc    Get recorded settlements
+// @access  Private
+router.get('/:id/settlements', auth, async (req, res) => {
+  try {
+    const group = await findMemberGroup(req);
+    if (!group) {
+      return notFound(res);
+    }
+
+    const settlements = await Settlement.find({ groupId: group._id }).sort({ date: -1 });
+
+    res.json({
+      success: true,
+      data: settlements
+    });
+  } catch (error) {
+    logger.error('Get settlements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/groups/:id/settlements
+// @desc    Record a payment the user made or received
+// @access  Private
+router.post('/:id/settlements', auth, async (req, res) => {
+  try {
+    const { error, value } = settlementSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const group = await findMemberGroup(req);
+    if (!group) {
+      return notFound(res);
+    }
+
+    const from = value.from || String(req.user._id);
+    const isMember = id => group.members.some(member => member.equals(id));
+    if (!isMember(from) || !isMember(value.to) || from === value.to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Settlements must be between two different group members'
+      });
+    }
+    // A payee recording a payment only lowers what they are owed; nobody books payments for others
+    if (from !== String(req.user._id) && value.to !== String(req.user._id)) {
+      return forbidden(res, 'You can only record payments you made or received');
+    }
+
+    const settlement = new Settlement({
+      groupId: group._id,
+      from,
+      to: value.to,
+      amount: value.amount,
+      date: value.date || new Date(),
+      notes: value.notes,
+      recordedBy: req.user._id
+    });
+
+    await settlement.save();
+
+    res.status(201).json({
+      success: true,
+      data: settlement
+    });
+  } catch (error) {
+    logger.error('Create settlement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,313 @@
+const express = require('express');
+const multer = require('multer');
+const Joi = require('joi');
+const Expense = require('../models/Expense');
+const ImportBatch = require('../models/ImportBatch');
+const { auth } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { previewStatement } = require('../services/importService');
+const { resolveCategory } = require('../services/categoryService');
+const { merchantKey, resolveMerchant } = require('../services/merchantService');
+const { getActiveRules, applyRules } = require('../services/ruleService');
+const { recordExpenseEvents } = require('../services/auditService');
+
+const router = express.Router();
+
+// Statements are parsed in memory and never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760 // 10MB
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|txt|ofx|qfx|qif)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV, OFX or QIF statements are allowed'), false);
+    }
+  }
+});
+
+// Validation schemas
+const columnSchema = Joi.alternatives().try(Joi.string().max(100), Joi.number().integer().min(0));
+
+const importOptionsSchema = Joi.object({
+  format: Joi.string().valid('csv', 'ofx', 'qif').optional(),
+  mapping: Joi.object({
+    date: columnSchema,
+    name: columnSchema,
+    amount: columnSchema,
+    debit: columnSchema,
+    credit: columnSchema,
+    notes: columnSchema,
+    category: columnSchema
+  }).optional(),
+  delimiter: Joi.string().length(1).optional(),
+  hasHeader: Joi.boolean().optional(),
+  dateOrder: Joi.string().valid('dmy', 'mdy').optional(),
+  windowDays: Joi.number().integer().min(0).max(30).optional()
+});
+
+const commitSchema = Joi.object({
+  exclude: Joi.array().items(Joi.number().integer().min(0)).optional(),
+  includeDuplicates: Joi.alternatives().try(
+    Joi.boolean(),
+    Joi.array().items(Joi.number().integer().min(0))
+  ).optional(),
+  categories: Joi.object().pattern(/^\d+$/, Joi.string().max(100)).optional()
+});
+
+// @route   POST /api/expenses/import
+// @desc    Parse a CSV/OFX/QIF statement and return a preview with categories and duplicates
+// @access  Private
+router.post('/', auth, upload.single('statement'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No statement file provided'
+      });
+    }
+
+    // Multipart fields arrive as strings
+    const body = { ...req.body };
+    if (typeof body.mapping === 'string') {
+      try {
+        body.mapping = JSON.parse(body.mapping);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Column mapping must be valid JSON'
+        });
+      }
+    }
+
+    const { error, value } = importOptionsSchema.validate(body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    let preview;
+    try {
+      preview = await previewStatement(req.user._id, req.file.buffer.toString('utf8'), {
+        ...value,
+        filename: req.file.originalname
+      });
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: parseError.message
+      });
+    }
+
+    const batch = new ImportBatch({
+      userId: req.user._id,
+      format: preview.format,
+      filename: req.file.originalname,
+      rows: preview.rows
+    });
+
+    await batch.save();
+
+    const summary = preview.rows.reduce((counts, row) => {
+      counts[row.status] = (counts[row.status] || 0) + 1;
+      return counts;
+    }, {});
+
+    res.status(201).json({
+      success: true,
+      data: batch,
+      summary
+    });
+  } catch (error) {
+    logger.error('Statement import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during statement import'
+    });
+  }
+});
+
+// @route   GET /api/expenses/import/:id
+// @desc    Get an import preview
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const batch = await ImportBatch.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: batch
+    });
+  } catch (error) {
+    logger.error('Get import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/expenses/import/:id/commit
+// @desc    Create expenses from a previewed import
+// @access  Private
+router.post('/:id/commit', auth, async (req, res) => {
+  try {
+    const { error, value } = commitSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    // Resolve category overrides before claiming the batch
+    const overrides = {};
+    for (const [index, name] of Object.entries(value.categories || {})) {
+      const result = await resolveCategory(req.user._id, name);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: `Row ${index}: ${result.error}`
+        });
+      }
+      overrides[index] = result.value;
+    }
+
+    // Claim the batch atomically so a double submit cannot import it twice. It keeps its
+    // expiry until the expenses are in, so a failed or interrupted commit is still cleaned up.
+    const batch = await ImportBatch.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, status: 'pending' },
+      { status: 'committed', committedAt: new Date() },
+      { new: true }
+    );
+
+    if (!batch) {
+      const exists = await ImportBatch.exists({ _id: req.params.id, userId: req.user._id });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'Import has already been committed' : 'Import not found'
+      });
+    }
+
+    const exclude = new Set(value.exclude || []);
+    const includeDuplicates = value.includeDuplicates;
+    const keepDuplicate = row => includeDuplicates === true ||
+      (Array.isArray(includeDuplicates) && includeDuplicates.includes(row.index));
+
+    const selected = batch.rows.filter(row => !exclude.has(row.index) &&
+      (row.status === 'new' || (row.status === 'duplicate' && keepDuplicate(row))));
+
+    // Statements repeat merchants, so each one is resolved once
+    const merchants = new Map();
+    for (const row of selected) {
+      const key = merchantKey(row.name);
+      if (!merchants.has(key)) {
+        merchants.set(key, await resolveMerchant(req.user._id, row.name));
+      }
+    }
+
+    const rules = await getActiveRules(req.user._id);
+
+    const expenses = selected.map(row => {
+      const merchant = merchants.get(merchantKey(row.name));
+      const ruleResult = applyRules(rules, row, merchant);
+      // Explicit overrides win, then the user's rules, then the previewed category
+      const override = overrides[row.index] || (ruleResult.category && ruleResult);
+      return {
+        userId: req.user._id,
+        name: row.name,
+        amount: row.amount,
+        category: override ? override.category : (row.category || 'other'),
+        subcategory: override ? override.subcategory : row.subcategory,
+        merchantId: merchant ? merchant._id : null,
+        date: row.date,
+        notes: row.notes || ruleResult.notes,
+        tags: ruleResult.tags,
+        reviewed: Boolean(ruleResult.reviewed),
+        aiCategorized: !override && Boolean(row.aiCategorized),
+        confidenceScore: override ? undefined : row.confidenceScore,
+        metadata: {
+          source: 'import',
+          importBatchId: batch._id,
+          ...(row.externalId && { externalId: row.externalId }),
+          ...(ruleResult.ruleIds.length > 0 && { appliedRules: ruleResult.ruleIds })
+        }
+      };
+    });
+
+    let created;
+    try {
+      created = expenses.length > 0 ? await Expense.insertMany(expenses) : [];
+    } catch (insertError) {
+      // Undo a partial insert and release the batch for another attempt
+      await Expense.deleteMany({ userId: req.user._id, 'metadata.importBatchId': batch._id });
+      await ImportBatch.updateOne({ _id: batch._id }, { status: 'pending' });
+      throw insertError;
+    }
+
+    batch.committedCount = created.length;
+    batch.expiresAt = undefined;
+    await batch.save();
+    await recordExpenseEvents(created.map(expense => ({
+      actorId: req.user._id,
+      action: 'create',
+      source: 'import',
+      after: expense
+    })));
+
+    logger.info(`Import ${batch._id} committed ${created.length} expenses for user ${req.user._id}`);
+
+    res.json({
+      success: true,
+      data: created,
+      committedCount: created.length,
+      skippedCount: batch.rows.length - created.length
+    });
+  } catch (error) {
+    logger.error('Commit import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during import commit'
+    });
+  }
+});
+
+// @route   DELETE /api/expenses/import/:id
+// @desc    Discard an import preview
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const batch = await ImportBatch.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Import discarded successfully'
+    });
+  } catch (error) {
+    logger.error('Delete import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,232 @@
+const express = require('express');
+const Joi = require('joi');
+const Merchant = require('../models/Merchant');
+const { auth } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { resolveCategory } = require('../services/categoryService');
+const {
+  merchantKey,
+  getTopMerchants,
+  mergeMerchants,
+  backfillMerchants
+} = require('../services/merchantService');
+
+const router = express.Router();
+
+// Validation schemas
+const listQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  startDate: Joi.date().optional(),
+  endDate: Joi.date().optional()
+});
+
+const merchantSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).optional(),
+  // Default category for new expenses; null clears it
+  category: Joi.string().trim().max(100).allow(null, '').optional(),
+  logo: Joi.string().uri().max(500).allow(null, '').optional(),
+  aliases: Joi.array().items(Joi.string().trim().min(1).max(100)).max(50).optional()
+});
+
+const mergeSchema = Joi.object({
+  merchantIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(50).required()
+});
+
+// @route   GET /api/merchants
+// @desc    Get top merchants by spend (?limit, ?startDate, ?endDate)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { error, value } = listQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const merchants = await getTopMerchants(req.user._id, value);
+
+    res.json({
+      success: true,
+      data: merchants
+    });
+  } catch (error) {
+    logger.error('Get merchants error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/merchants/backfill
+// @desc    Link existing expenses that have no merchant yet
+// @access  Private
+router.post('/backfill', auth, async (req, res) => {
+  try {
+    const updated = await backfillMerchants(req.user._id);
+
+    logger.info(`Merchant backfill linked ${updated} expense(s) for user ${req.user._id}`);
+
+    res.json({
+      success: true,
+      data: { expensesUpdated: updated }
+    });
+  } catch (error) {
+    logger.error('Merchant backfill error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/merchants/:id
+// @desc    Get a single merchant
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const merchant = await Merchant.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!merchant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Merchant not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: merchant
+    });
+  } catch (error) {
+    logger.error('Get merchant error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/merchants/:id
+// @desc    Update a merchant's name, default category, logo or aliases
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const { error, value } = merchantSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const merchant = await Merchant.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!merchant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Merchant not found'
+      });
+    }
+
+    if (value.category) {
+      const result = await resolveCategory(req.user._id, value.category);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error
+        });
+      }
+      merchant.category = result.value.category;
+      merchant.subcategory = result.value.subcategory;
+    } else if (value.category !== undefined) {
+      merchant.category = null;
+      merchant.subcategory = undefined;
+    }
+
+    if (value.aliases) {
+      const aliases = [...new Set(value.aliases.map(merchantKey).filter(Boolean))];
+      const clash = await Merchant.findOne({
+        userId: req.user._id,
+        aliases: { $in: aliases },
+        _id: { $ne: merchant._id }
+      });
+      if (clash) {
+        return res.status(400).json({
+          success: false,
+          message: `An alias already belongs to "${clash.name}"; merge the merchants instead`
+        });
+      }
+      merchant.aliases = aliases;
+    }
+
+    if (value.name) {
+      merchant.name = value.name;
+    }
+    if (value.logo !== undefined) {
+      merchant.logo = value.logo || undefined;
+    }
+
+    await merchant.save();
+
+    res.json({
+      success: true,
+      data: merchant
+    });
+  } catch (error) {
+    logger.error('Update merchant error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/merchants/:id/merge
+// @desc    Merge other merchants (and their aliases and expenses) into this one
+// @access  Private
+router.post('/:id/merge', auth, async (req, res) => {
+  try {
+    const { error, value } = mergeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const merchant = await Merchant.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!merchant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Merchant not found'
+      });
+    }
+
+    const result = await mergeMerchants(req.user._id, merchant, value.merchantIds);
+    if (result.merged === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No other merchants found to merge'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: merchant,
+      merged: result.merged,
+      expensesUpdated: result.expenses
+    });
+  } catch (error) {
+    logger.error('Merge merchants error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
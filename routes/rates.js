@@ -0,0 +1,159 @@
+const express = require('express');
+const Joi = require('joi');
+const ExchangeRate = require('../models/ExchangeRate');
+const { auth } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { convertAmount, getFileRates, normalizeCurrency } = require('../services/currencyService');
+
+const router = express.Router();
+
+// Validation schemas
+const currencySchema = Joi.string().pattern(/^[A-Za-z]{3}$/);
+
+const rateSchema = Joi.object({
+  from: currencySchema.required(),
+  to: currencySchema.required(),
+  rate: Joi.number().positive().required(),
+  date: Joi.date().optional()
+});
+
+const convertSchema = Joi.object({
+  amount: Joi.number().min(0).required(),
+  from: currencySchema.required(),
+  to: currencySchema.optional(),
+  date: Joi.date().optional()
+});
+
+// @route   GET /api/rates
+// @desc    Get the user's manual exchange rates and the rates file snapshot
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find({ userId: req.user._id }).sort({ from: 1, to: 1, date: -1 });
+
+    res.json({
+      success: true,
+      data: rates,
+      fileRates: getFileRates()
+    });
+  } catch (error) {
+    logger.error('Get exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/rates/convert
+// @desc    Convert an amount (defaults to the user's base currency)
+// @access  Private
+router.get('/convert', auth, async (req, res) => {
+  try {
+    const { error, value } = convertSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const to = value.to || req.user.preferences?.currency || 'USD';
+    const result = await convertAmount(value.amount, value.from, to, {
+      userId: req.user._id,
+      date: value.date
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: `No exchange rate available from ${normalizeCurrency(value.from)} to ${normalizeCurrency(to)}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: normalizeCurrency(value.from),
+        to: normalizeCurrency(to),
+        ...result
+      }
+    });
+  } catch (error) {
+    logger.error('Convert currency error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/rates
+// @desc    Add a manual exchange rate (1 from = rate to), effective from `date`
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { error, value } = rateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    if (normalizeCurrency(value.from) === normalizeCurrency(value.to)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Currencies must differ'
+      });
+    }
+
+    const rate = new ExchangeRate({
+      ...value,
+      date: value.date || new Date(),
+      userId: req.user._id
+    });
+
+    await rate.save();
+
+    res.status(201).json({
+      success: true,
+      data: rate
+    });
+  } catch (error) {
+    logger.error('Create exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/rates/:id
+// @desc    Delete a manual exchange rate
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const rate = await ExchangeRate.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Exchange rate deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
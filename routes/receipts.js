@@ -0,0 +1,317 @@
+const express = require('express');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const { auth } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { evaluateBudgets } = require('../services/budgetService');
+const { getPendingReceipts, confirmReceipt, discardReceipt, receiptSuggestions } = require('../services/receiptService');
+const { getReceiptJob, cancelReceiptJob, retryReceipt } = require('../services/receiptQueue');
+const { preprocessReceiptImage, getOcrLanguages } = require('../services/ocrService');
+const { withReceiptFile } = require('../services/storageService');
+
+const router = express.Router();
+
+// Validation schemas
+const pendingQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Corrections to the OCR suggestions; anything left out keeps the suggested value
+const confirmSchema = Joi.object({
+  name: Joi.string().min(1).max(255).optional(),
+  amount: Joi.number().positive().precision(2).max(999999.99).optional(),
+  category: Joi.string().min(1).max(100).optional(),
+  subcategory: Joi.string().max(100).optional(),
+  date: Joi.date().optional(),
+  notes: Joi.string().allow('').max(1000).optional(),
+  currency: Joi.string().length(3).pattern(/^[A-Za-z]{3}$/).optional()
+});
+
+// @route   GET /api/receipts/pending
+// @desc    Get uploaded receipts waiting for confirmation, with the OCR suggestions
+// @access  Private
+router.get('/pending', auth, async (req, res) => {
+  try {
+    const { error, value } = pendingQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const result = await getPendingReceipts(req.user._id, value);
+
+    res.json({
+      success: true,
+      data: result.receipts,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Get pending receipts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/receipts/languages
+// @desc    Get the OCR languages installed on the server and the ones the user reads receipts in
+// @access  Private
+router.get('/languages', auth, async (req, res) => {
+  try {
+    const available = getOcrLanguages();
+    const preferred = (req.user.preferences?.ocrLanguages || []).filter(language => available.includes(language));
+
+    res.json({
+      success: true,
+      data: {
+        available,
+        selected: preferred.length > 0 ? preferred : null,
+        locale: req.user.preferences?.locale || null
+      }
+    });
+  } catch (error) {
+    logger.error('Get OCR languages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/receipts/jobs/:id
+// @desc    Get the status of a receipt processing job; completed receipt jobs include the pending expense
+// @access  Private
+router.get('/jobs/:id', auth, async (req, res) => {
+  try {
+    const job = await getReceiptJob(req.user._id, req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    let expense = null;
+    if (job.status === 'completed' && job.type !== 'attachment') {
+      expense = await Expense.findOne({
+        _id: job.expenseId,
+        userId: req.user._id,
+        status: { $in: ['pending', 'confirmed'] }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...job,
+        ...(expense && { expense, suggestions: receiptSuggestions(expense) })
+      }
+    });
+  } catch (error) {
+    logger.error('Get receipt job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/receipts/jobs/:id
+// @desc    Cancel a queued or running receipt processing job
+// @access  Private
+router.delete('/jobs/:id', auth, async (req, res) => {
+  try {
+    const result = await cancelReceiptJob(req.user._id, req.params.id);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.value
+    });
+  } catch (error) {
+    logger.error('Cancel receipt job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/receipts/:id/confirm
+// @desc    Confirm a pending receipt as an expense, applying the user's corrections
+// @access  Private
+router.post('/:id/confirm', auth, async (req, res) => {
+  try {
+    const requestBody = { ...req.body };
+    if (typeof requestBody.subcategory === 'string' && requestBody.subcategory.trim() === '') {
+      delete requestBody.subcategory;
+    }
+
+    const { error, value } = confirmSchema.validate(requestBody);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const pending = await Expense.findOne({ _id: req.params.id, userId: req.user._id, status: 'pending' });
+    if (!pending) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending receipt not found'
+      });
+    }
+    if (pending.ocrStatus === 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: 'The receipt is still being read'
+      });
+    }
+
+    const result = await confirmReceipt(req.user, pending, value);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const { expense, aiCategorized, confidenceScore, isAnomaly } = result.value;
+    logger.info(`Receipt confirmed: ${expense._id} for user ${req.user._id}`);
+
+    const budgetAlerts = await evaluateBudgets(req.user._id, expense);
+
+    res.json({
+      success: true,
+      data: expense,
+      aiCategorized,
+      confidenceScore,
+      isAnomaly,
+      budgetAlerts
+    });
+  } catch (error) {
+    logger.error('Confirm receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/receipts/:id/retry
+// @desc    Queue a pending receipt that could not be read for another try
+// @access  Private
+router.post('/:id/retry', auth, async (req, res) => {
+  try {
+    const job = mongoose.isValidObjectId(req.params.id) && await retryReceipt(req.user._id, req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Failed receipt not found'
+      });
+    }
+
+    res.status(202)
+      .location(`/api/receipts/jobs/${job.id}`)
+      .json({
+        success: true,
+        message: 'Receipt queued for processing',
+        data: job
+      });
+  } catch (error) {
+    logger.error('Retry receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/receipts/:id/preview
+// @desc    Get a receipt image as OCR sees it after preprocessing (PNG)
+// @access  Private
+router.get('/:id/preview', auth, async (req, res) => {
+  try {
+    const expense = await Expense.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      status: { $in: ['pending', 'confirmed'] }
+    });
+    if (!expense || !expense.receipt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receipt not found'
+      });
+    }
+    if (!String(expense.receipt.mimeType).startsWith('image/')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Previews are only available for receipt images'
+      });
+    }
+
+    const processed = await withReceiptFile(expense.receipt, preprocessReceiptImage);
+    if (!processed) {
+      return res.status(503).json({
+        success: false,
+        message: 'Image preprocessing is not available'
+      });
+    }
+
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('X-Deskew-Angle', String(processed.angle));
+    res.send(processed.buffer);
+  } catch (error) {
+    logger.error('Receipt preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/receipts/:id
+// @desc    Discard a pending receipt and its uploaded file
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const discarded = await discardReceipt(req.user._id, req.params.id);
+
+    if (!discarded) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending receipt not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Receipt discarded'
+    });
+  } catch (error) {
+    logger.error('Discard receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
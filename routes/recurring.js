@@ -0,0 +1,349 @@
+const express = require('express');
+const Joi = require('joi');
+const RecurringExpense = require('../models/RecurringExpense');
+const { auth } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { previewOccurrences, nextOccurrence, materializeRecurring } = require('../services/recurringService');
+const { applyCategory } = require('../services/categoryService');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Occurrences before today are created while the request waits, so limit how far back they go
+const MAX_BACKFILL_DAYS = parseInt(process.env.RECURRING_MAX_BACKFILL_DAYS) || 366;
+
+// Validation schemas
+const scheduleSchema = Joi.object({
+  frequency: Joi.string().valid('daily', 'weekly', 'monthly', 'yearly').required(),
+  interval: Joi.number().integer().min(1).max(366).optional(),
+  startDate: Joi.date().required(),
+  endDate: Joi.date().min(Joi.ref('startDate')).optional(),
+  count: Joi.number().integer().min(1).max(1000).optional(),
+  skipDates: Joi.array().items(Joi.date()).max(366).optional()
+});
+
+const recurringSchema = Joi.object({
+  name: Joi.string().min(1).max(255).required(),
+  amount: Joi.number().positive().precision(2).max(999999.99).required(),
+  category: Joi.string().max(100).required(),
+  subcategory: Joi.string().allow('').max(100).optional(),
+  notes: Joi.string().allow('').max(1000).optional(),
+  tags: Joi.array().items(Joi.string().max(50)).max(20).optional(),
+  schedule: scheduleSchema.required()
+});
+
+const previewSchema = Joi.object({
+  schedule: scheduleSchema.required(),
+  count: Joi.number().integer().min(1).max(100).optional()
+});
+
+// Start of the schedule, or the last materialized point for existing templates
+function cursorFor(template) {
+  return template.lastGeneratedAt || new Date(new Date(template.schedule.startDate).getTime() - 1);
+}
+
+function backfillError(schedule) {
+  if (new Date(schedule.startDate).getTime() < Date.now() - MAX_BACKFILL_DAYS * DAY_MS) {
+    return `Start date cannot be more than ${MAX_BACKFILL_DAYS} days in the past`;
+  }
+  return null;
+}
+
+async function findOwned(req) {
+  return await RecurringExpense.findOne({ _id: req.params.id, userId: req.user._id });
+}
+
+// @route   GET /api/recurring
+// @desc    Get all recurring expenses for user
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const recurring = await RecurringExpense.find({ userId: req.user._id }).sort({ nextOccurrence: 1 });
+
+    res.json({
+      success: true,
+      data: recurring
+    });
+  } catch (error) {
+    logger.error('Get recurring expenses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/recurring/preview
+// @desc    Preview occurrences of a schedule before saving it
+// @access  Private
+router.post('/preview', auth, async (req, res) => {
+  try {
+    const { error, value } = previewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const occurrences = previewOccurrences(
+      value.schedule,
+      new Date(new Date(value.schedule.startDate).getTime() - 1),
+      value.count || 10
+    );
+
+    res.json({
+      success: true,
+      data: occurrences
+    });
+  } catch (error) {
+    logger.error('Preview recurring schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/recurring/:id/preview
+// @desc    Preview upcoming occurrences of a recurring expense
+// @access  Private
+router.get('/:id/preview', auth, async (req, res) => {
+  try {
+    const template = await findOwned(req);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring expense not found'
+      });
+    }
+
+    const count = Math.min(Math.max(parseInt(req.query.count) || 10, 1), 100);
+    const after = new Date(Math.max(cursorFor(template).getTime(), Date.now()));
+
+    res.json({
+      success: true,
+      data: previewOccurrences(template.schedule, after, count),
+      isPaused: template.isPaused
+    });
+  } catch (error) {
+    logger.error('Preview recurring expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/recurring
+// @desc    Create recurring expense
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { error, value } = recurringSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const startError = backfillError(value.schedule);
+    if (startError) {
+      return res.status(400).json({
+        success: false,
+        message: startError
+      });
+    }
+
+    const categoryError = await applyCategory(req.user._id, value);
+    if (categoryError) {
+      return res.status(400).json({
+        success: false,
+        message: categoryError
+      });
+    }
+
+    const template = new RecurringExpense({
+      ...value,
+      userId: req.user._id
+    });
+    template.nextOccurrence = nextOccurrence(template.schedule, cursorFor(template));
+
+    await template.save();
+
+    // Occurrences already due (e.g. a start date in the past) are created right away
+    let created = 0;
+    if (template.nextOccurrence && template.nextOccurrence <= new Date()) {
+      created = await materializeRecurring(template);
+    }
+
+    logger.info(`Recurring expense created: ${template._id} for user ${req.user._id}`);
+
+    res.status(201).json({
+      success: true,
+      data: template,
+      created
+    });
+  } catch (error) {
+    logger.error('Create recurring expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/recurring/:id
+// @desc    Update recurring expense (already created expenses are kept as they are)
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const { error, value } = recurringSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const template = await findOwned(req);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring expense not found'
+      });
+    }
+
+    // The scheduler starts from the start date until it has created anything
+    const startError = !template.lastGeneratedAt && backfillError(value.schedule);
+    if (startError) {
+      return res.status(400).json({
+        success: false,
+        message: startError
+      });
+    }
+
+    // An unchanged category is kept even if it has been archived since
+    if (value.category !== template.category) {
+      const categoryError = await applyCategory(req.user._id, value);
+      if (categoryError) {
+        return res.status(400).json({
+          success: false,
+          message: categoryError
+        });
+      }
+    }
+
+    template.set(value);
+    template.nextOccurrence = nextOccurrence(template.schedule, cursorFor(template));
+    await template.save();
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    logger.error('Update recurring expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/recurring/:id/pause
+// @desc    Pause a recurring expense
+// @access  Private
+router.post('/:id/pause', auth, async (req, res) => {
+  try {
+    const template = await findOwned(req);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring expense not found'
+      });
+    }
+
+    template.isPaused = true;
+    await template.save();
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    logger.error('Pause recurring expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/recurring/:id/resume
+// @desc    Resume a paused recurring expense; occurrences missed while paused are not created
+// @access  Private
+router.post('/:id/resume', auth, async (req, res) => {
+  try {
+    const template = await findOwned(req);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring expense not found'
+      });
+    }
+
+    if (template.isPaused) {
+      const now = new Date();
+      template.isPaused = false;
+      template.lastGeneratedAt = new Date(Math.max(cursorFor(template).getTime(), now.getTime()));
+      template.nextOccurrence = nextOccurrence(template.schedule, template.lastGeneratedAt);
+      await template.save();
+    }
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    logger.error('Resume recurring expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/recurring/:id
+// @desc    Delete recurring expense (expenses it already created are kept)
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const template = await RecurringExpense.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring expense not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Recurring expense deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete recurring expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
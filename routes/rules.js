@@ -0,0 +1,264 @@
+const express = require('express');
+const Joi = require('joi');
+const Rule = require('../models/Rule');
+const { auth } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { MAX_PATTERN_LENGTH, prepareRule, dryRunRule } = require('../services/ruleService');
+
+const router = express.Router();
+
+// Validation schemas
+const conditionSchema = Joi.object({
+  field: Joi.string().valid(...Rule.FIELDS).required(),
+  operator: Joi.string().valid(...Rule.OPERATORS).required(),
+  value: Joi.when('operator', {
+    is: 'matches',
+    then: Joi.string().min(1).max(MAX_PATTERN_LENGTH),
+    otherwise: Joi.alternatives().try(
+      Joi.number(),
+      Joi.string().min(1).max(200),
+      Joi.array().items(Joi.number(), Joi.string().min(1).max(200)).min(1).max(50)
+    )
+  }).required()
+});
+
+const ruleSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  enabled: Joi.boolean().optional(),
+  priority: Joi.number().integer().min(-1000).max(1000).optional(),
+  match: Joi.string().valid('all', 'any').optional(),
+  conditions: Joi.array().items(conditionSchema).min(1).max(20).required(),
+  actions: Joi.object({
+    category: Joi.string().trim().max(100).optional(),
+    tags: Joi.array().items(Joi.string().trim().min(1).max(50)).max(20).optional(),
+    notes: Joi.string().trim().max(1000).optional(),
+    reviewed: Joi.boolean().optional()
+  }).min(1).required(),
+  stopProcessing: Joi.boolean().optional()
+});
+
+// A dry run can test a rule before it is saved
+const dryRunSchema = ruleSchema.fork(['name'], schema => schema.optional());
+
+const dryRunQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(100)
+});
+
+// @route   GET /api/rules
+// @desc    Get the user's rules in the order they run
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const rules = await Rule.find({ userId: req.user._id }).sort({ priority: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    logger.error('Get rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/rules
+// @desc    Create a rule
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { error, value } = ruleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const invalid = await prepareRule(req.user._id, value);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const rule = new Rule({
+      ...value,
+      userId: req.user._id
+    });
+
+    await rule.save();
+
+    logger.info(`Rule created: ${rule._id} for user ${req.user._id}`);
+
+    res.status(201).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    logger.error('Create rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/rules/dry-run
+// @desc    Show which existing expenses an unsaved rule would change
+// @access  Private
+router.post('/dry-run', auth, async (req, res) => {
+  try {
+    const query = dryRunQuerySchema.validate(req.query);
+    if (query.error) {
+      return res.status(400).json({
+        success: false,
+        message: query.error.details[0].message
+      });
+    }
+
+    const { error, value } = dryRunSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const invalid = await prepareRule(req.user._id, value);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const report = await dryRunRule(req.user._id, value, query.value);
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error('Rule dry run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/rules/:id/dry-run
+// @desc    Show which existing expenses a saved rule would change
+// @access  Private
+router.post('/:id/dry-run', auth, async (req, res) => {
+  try {
+    const { error, value } = dryRunQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const rule = await Rule.findOne({ _id: req.params.id, userId: req.user._id }).lean();
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    const report = await dryRunRule(req.user._id, rule, value);
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error('Rule dry run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/rules/:id
+// @desc    Update a rule
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const { error, value } = ruleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const rule = await Rule.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    const invalid = await prepareRule(req.user._id, value);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    rule.set(value);
+    await rule.save();
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    logger.error('Update rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/rules/:id
+// @desc    Delete a rule
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const rule = await Rule.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rule deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const express = require('express');
+const Joi = require('joi');
+const Expense = require('../models/Expense');
+const { auth } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { purgeDate, restoreExpenses, purgeExpenses } = require('../services/trashService');
+const { recordExpenseEvent } = require('../services/auditService');
+
+const router = express.Router();
+
+// Validation schemas
+const listQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+// @route   GET /api/expenses/trash
+// @desc    Get trashed expenses, most recently deleted first
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { error, value } = listQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const query = { userId: req.user._id, deletedAt: { $ne: null } };
+    const [expenses, total] = await Promise.all([
+      Expense.find(query)
+        .sort({ deletedAt: -1 })
+        .skip((value.page - 1) * value.limit)
+        .limit(value.limit)
+        .lean(),
+      Expense.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: expenses.map(expense => ({ ...expense, purgeAt: purgeDate(expense.deletedAt) })),
+      pagination: {
+        page: value.page,
+        limit: value.limit,
+        total,
+        pages: Math.ceil(total / value.limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Get trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/expenses/trash/:id/restore
+// @desc    Restore a trashed expense
+// @access  Private
+router.post('/:id/restore', auth, async (req, res) => {
+  try {
+    const restored = await restoreExpenses(req.user._id, [req.params.id]);
+
+    if (restored === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found in trash'
+      });
+    }
+
+    const expense = await Expense.findOne({ _id: req.params.id, userId: req.user._id });
+    await recordExpenseEvent({ actorId: req.user._id, action: 'restore', source: 'manual', after: expense });
+
+    logger.info(`Expense restored: ${req.params.id} for user ${req.user._id}`);
+
+    res.json({
+      success: true,
+      data: expense
+    });
+  } catch (error) {
+    logger.error('Restore expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/expenses/trash/:id
+// @desc    Permanently delete a trashed expense and its receipt
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const purged = await purgeExpenses({ _id: req.params.id, userId: req.user._id }, { actorId: req.user._id });
+
+    if (purged === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found in trash'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Expense permanently deleted'
+    });
+  } catch (error) {
+    logger.error('Purge expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/expenses/trash
+// @desc    Empty the trash
+// @access  Private
+router.delete('/', auth, async (req, res) => {
+  try {
+    const purged = await purgeExpenses({ userId: req.user._id }, { actorId: req.user._id });
+
+    logger.info(`Trash emptied: ${purged} expenses for user ${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Trash emptied',
+      data: { purged }
+    });
+  } catch (error) {
+    logger.error('Empty trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -9,9 +9,24 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const expenseRoutes = require('./routes/expenses');
 const aiRoutes = require('./routes/ai');
+const budgetRoutes = require('./routes/budgets');
+const recurringRoutes = require('./routes/recurring');
+const importRoutes = require('./routes/imports');
+const rateRoutes = require('./routes/rates');
+const groupRoutes = require('./routes/groups');
+const categoryRoutes = require('./routes/categories');
+const merchantRoutes = require('./routes/merchants');
+const ruleRoutes = require('./routes/rules');
+const trashRoutes = require('./routes/trash');
+const activityRoutes = require('./routes/activity');
+const receiptRoutes = require('./routes/receipts');
 const { connectDB } = require('./config/database');
 const { errorHandler } = require('./middleware/errorHandler');
 const { logger } = require('./utils/logger');
+const { startRecurringScheduler } = require('./services/recurringService');
+const { startTrashPurger } = require('./services/trashService');
+const { startReceiptQueue } = require('./services/receiptQueue');
+const { checkMailTransport } = require('./services/mailService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -52,8 +67,19 @@ app.use(express.static(path.join(__dirname, 'public')));
 
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/expenses/import', importRoutes);
+app.use('/api/expenses/trash', trashRoutes);
 app.use('/api/expenses', expenseRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/budgets', budgetRoutes);
+app.use('/api/recurring', recurringRoutes);
+app.use('/api/rates', rateRoutes);
+app.use('/api/groups', groupRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/merchants', merchantRoutes);
+app.use('/api/rules', ruleRoutes);
+app.use('/api/activity', activityRoutes);
+app.use('/api/receipts', receiptRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -74,8 +100,13 @@ app.use(errorHandler);
 
 // Start server
 async function startServer() {
+  checkMailTransport();
+
   try {
     await connectDB();
+    startRecurringScheduler();
+    startTrashPurger();
+    await startReceiptQueue();
   } catch (error) {
     logger.error('MongoDB connection failed, but starting server anyway:', error.message);
     logger.warn('⚠️ Some features may not work without database connection');
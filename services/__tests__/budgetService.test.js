@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const Budget = require('../../models/Budget');
+const Expense = require('../../models/Expense');
+const { getBudgetStatus, evaluateBudgets } = require('../budgetService');
+
+const userId = new mongoose.Types.ObjectId();
+
+function budget(fields) {
+  return new Budget({ userId, name: 'Budget', amount: 100, ...fields });
+}
+
+// Expense.aggregate resolving to the spending of the month the query starts in
+function mockSpent(byMonth) {
+  jest.spyOn(Expense, 'aggregate').mockImplementation(async pipeline => {
+    const month = pipeline[0].$match.date.$gte.toISOString().slice(0, 7);
+    return byMonth[month] === undefined ? [] : [{ _id: null, total: byMonth[month] }];
+  });
+}
+
+function mockBudgets(budgets) {
+  jest.spyOn(Budget, 'find').mockResolvedValue(budgets);
+}
+
+const expense = (amount, fields) => ({ date: new Date('2024-03-10T00:00:00Z'), category: 'food', amount, ...fields });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('evaluateBudgets threshold crossing', () => {
+  test('reports every threshold the expense crossed and the highest one', async() => {
+    mockBudgets([budget({ category: 'food' })]);
+    mockSpent({ '2024-03': 85 });
+
+    const [alert] = await evaluateBudgets(userId, expense(40));
+    expect(alert).toMatchObject({ category: 'food', crossed: [50, 80], threshold: 80, spent: 85, limit: 100 });
+  });
+
+  test('counts landing exactly on a threshold as crossing it', async() => {
+    mockBudgets([budget({ category: 'food' })]);
+    mockSpent({ '2024-03': 50 });
+
+    const [alert] = await evaluateBudgets(userId, expense(10));
+    expect(alert.crossed).toEqual([50]);
+  });
+
+  test('does not alert again for a threshold already passed', async() => {
+    mockBudgets([budget({ category: 'food' })]);
+    mockSpent({ '2024-03': 60 });
+
+    expect(await evaluateBudgets(userId, expense(5))).toEqual([]);
+  });
+
+  test('uses the amount converted to the base currency', async() => {
+    mockBudgets([budget({ category: 'food' })]);
+    mockSpent({ '2024-03': 110 });
+
+    const [alert] = await evaluateBudgets(userId, expense(5, { baseAmount: 30 }));
+    expect(alert.crossed).toEqual([100]);
+  });
+
+  test('skips budgets whose limit rolled over to nothing', async() => {
+    mockBudgets([budget({ category: 'food', rollover: 'full' })]);
+    mockSpent({ '2024-02': 250, '2024-03': 10 });
+
+    expect(await evaluateBudgets(userId, expense(10))).toEqual([]);
+  });
+
+  test.each([
+    ['before', true],
+    ['after', false]
+  ])('lets a budget for the month replace the overall one listed %s it', async(_, specificFirst) => {
+    const overall = budget({ amount: 100 });
+    const march = budget({ amount: 50, month: '2024-03' });
+    mockBudgets(specificFirst ? [march, overall] : [overall, march]);
+    mockSpent({ '2024-03': 45 });
+
+    const alerts = await evaluateBudgets(userId, expense(10));
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ budgetId: march._id, limit: 50, crossed: [80] });
+  });
+});
+
+describe('getBudgetStatus rollover', () => {
+  test.each([
+    ['none', undefined, 70, 0],
+    ['surplus', undefined, 70, 30],
+    ['surplus', undefined, 120, 0],
+    ['full', undefined, 70, 30],
+    ['full', undefined, 120, -20],
+    ['surplus', 50, 20, 50],
+    ['full', 50, 20, 50],
+    ['full', 50, 120, -20]
+  ])('%s rollover with cap %s after spending %d carries %d', async(rollover, rolloverCap, previousSpent, carryOver) => {
+    mockSpent({ '2024-02': previousSpent, '2024-03': 25 });
+
+    const status = await getBudgetStatus(budget({ rollover, rolloverCap }), '2024-03');
+    expect(status).toMatchObject({ carryOver, limit: 100 + carryOver, spent: 25, remaining: 75 + carryOver });
+  });
+
+  test('carries over from December into January', async() => {
+    mockSpent({ '2023-12': 60 });
+
+    const status = await getBudgetStatus(budget({ rollover: 'surplus' }), '2024-01');
+    expect(status.carryOver).toBe(40);
+  });
+
+  test('never carries over into a budget for a single month', async() => {
+    mockSpent({ '2024-02': 0, '2024-03': 0 });
+
+    const status = await getBudgetStatus(budget({ rollover: 'surplus', month: '2024-03' }), '2024-03');
+    expect(status.carryOver).toBe(0);
+  });
+
+  test('reports percent used against the limit after carry-over', async() => {
+    mockSpent({ '2024-02': 150, '2024-03': 40 });
+
+    const status = await getBudgetStatus(budget({ rollover: 'full' }), '2024-03');
+    expect(status).toMatchObject({ limit: 50, percentUsed: 80 });
+  });
+});
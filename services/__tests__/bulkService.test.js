@@ -0,0 +1,43 @@
+const { planUpdates } = require('../bulkService');
+
+const expenses = [
+  { _id: 'e1', date: new Date('2024-03-01T00:00:00Z') },
+  { _id: 'e2', date: '2024-02-28T00:00:00.000Z' }
+];
+
+function updates(operation) {
+  return planUpdates(expenses, operation).map(op => op.updateOne.update);
+}
+
+describe('planUpdates', () => {
+  test('writes one update per expense, filtered by its id', () => {
+    const ops = planUpdates(expenses, { action: 'addTags', tags: ['work'] });
+    expect(ops.map(op => op.updateOne.filter)).toEqual([{ _id: 'e1' }, { _id: 'e2' }]);
+  });
+
+  test('recategorizes as a manual choice and clears a stale subcategory', () => {
+    expect(updates({ action: 'recategorize', category: 'food' })[0])
+      .toEqual({ $set: { category: 'food', aiCategorized: false }, $unset: { subcategory: '' } });
+    expect(updates({ action: 'recategorize', category: 'food', subcategory: 'coffee shops' })[0])
+      .toEqual({ $set: { category: 'food', subcategory: 'coffee shops', aiCategorized: false } });
+  });
+
+  test('adds tags without duplicates and removes them', () => {
+    expect(updates({ action: 'addTags', tags: ['work', 'travel'] })[0])
+      .toEqual({ $addToSet: { tags: { $each: ['work', 'travel'] } } });
+    expect(updates({ action: 'removeTags', tags: ['travel'] })[0])
+      .toEqual({ $pull: { tags: { $in: ['travel'] } } });
+  });
+
+  test('shifts each date by whole days from its own value', () => {
+    const dates = updates({ action: 'shiftDate', days: 2 }).map(update => update.$set.date.toISOString());
+    expect(dates).toEqual(['2024-03-03T00:00:00.000Z', '2024-03-01T00:00:00.000Z']);
+
+    const back = updates({ action: 'shiftDate', days: -1 })[0].$set.date;
+    expect(back.toISOString()).toBe('2024-02-29T00:00:00.000Z');
+  });
+
+  test('plans nothing for deletes, which go to the trash instead', () => {
+    expect(planUpdates(expenses, { action: 'delete' })).toEqual([]);
+  });
+});
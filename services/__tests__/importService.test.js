@@ -0,0 +1,114 @@
+const { parseStatement } = require('../importService');
+
+function day(date) {
+  return date ? date.toISOString().split('T')[0] : null;
+}
+
+describe('parseStatement CSV', () => {
+  test('finds columns by header and keeps quoted delimiters', () => {
+    const csv = [
+      'Date,Description,Amount,Memo',
+      '2024-03-14,"Coffee, Beans & Co",-4.50,Latte',
+      '2024-03-15,Salary,2500.00,'
+    ].join('\n');
+    const { format, transactions } = parseStatement(csv, { filename: 'march.csv' });
+
+    expect(format).toBe('csv');
+    expect(transactions).toHaveLength(2);
+    expect(transactions[0]).toMatchObject({ name: 'Coffee, Beans & Co', amount: -4.5, notes: 'Latte' });
+    expect(day(transactions[0].date)).toBe('2024-03-14');
+    expect(transactions[1].amount).toBe(2500);
+  });
+
+  test('reads semicolon statements with decimal commas and debit/credit columns', () => {
+    const csv = [
+      'Datum;Narration;Withdrawal;Deposit',
+      '14.03.2024;REWE Markt;1.234,56;',
+      '15.03.2024;Refund;;12,00'
+    ].join('\n');
+    const { transactions } = parseStatement(csv, {
+      mapping: { date: 'datum' }
+    });
+
+    expect(transactions.map(row => row.amount)).toEqual([-1234.56, 12]);
+    expect(transactions.map(row => day(row.date))).toEqual(['2024-03-14', '2024-03-15']);
+  });
+
+  test('decides day or month first from the whole date column', () => {
+    const csv = ['date,name,amount', '03/04/2024,A,1.00', '03/25/2024,B,2.00'].join('\n');
+    expect(parseStatement(csv).transactions.map(row => day(row.date))).toEqual(['2024-03-04', '2024-03-25']);
+
+    const dayFirst = ['date,name,amount', '03/04/2024,A,1.00', '25/03/2024,B,2.00'].join('\n');
+    expect(parseStatement(dayFirst).transactions.map(row => day(row.date))).toEqual(['2024-04-03', '2024-03-25']);
+  });
+
+  test('reads parenthesised and DR-suffixed amounts as negative', () => {
+    const csv = ['date,name,amount', '2024-03-01,A,(12.50)', '2024-03-02,B,40.00 DR', '2024-03-03,C,"1,200.00"'].join('\n');
+    expect(parseStatement(csv).transactions.map(row => row.amount)).toEqual([-12.5, -40, 1200]);
+  });
+
+  test('asks for a mapping when the columns cannot be found', () => {
+    expect(() => parseStatement('when,what\n2024-03-01,A')).toThrow(/column mapping/);
+  });
+});
+
+describe('parseStatement OFX', () => {
+  const ofx = `OFXHEADER:100
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20240314120000[-5:EST]
+<TRNAMT>-23.45
+<FITID>2024031401
+<NAME>BLUE BOTTLE COFFEE
+<MEMO>Card purchase
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20240315
+<TRNAMT>100.00
+<FITID>2024031502
+<MEMO>Transfer in
+</STMTTRN>
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+  test('reads transactions with their FITID', () => {
+    const { format, transactions } = parseStatement(ofx, { filename: 'export.qfx' });
+
+    expect(format).toBe('ofx');
+    expect(transactions).toEqual([
+      { date: new Date('2024-03-14T00:00:00Z'), name: 'BLUE BOTTLE COFFEE', amount: -23.45, notes: 'Card purchase', externalId: '2024031401' },
+      { date: new Date('2024-03-15T00:00:00Z'), name: 'Transfer in', amount: 100, notes: undefined, externalId: '2024031502' }
+    ]);
+  });
+
+  test('is detected from the content without a file name', () => {
+    expect(parseStatement(ofx).format).toBe('ofx');
+  });
+});
+
+describe('parseStatement QIF', () => {
+  test('reads records month-first with payee, memo and category', () => {
+    const qif = [
+      '!Type:Bank',
+      'D03/04/2024',
+      'T-1,250.00',
+      'PLandlord',
+      'MMarch rent',
+      'LHousing',
+      'N1001',
+      '^',
+      'D03/05/24',
+      'U-9.99',
+      'MStreaming',
+      '^'
+    ].join('\n');
+    const { format, transactions } = parseStatement(qif);
+
+    expect(format).toBe('qif');
+    expect(transactions).toEqual([
+      { date: new Date('2024-03-04T00:00:00Z'), name: 'Landlord', amount: -1250, notes: 'March rent', category: 'Housing', externalId: '1001' },
+      { date: new Date('2024-03-05T00:00:00Z'), name: 'Streaming', amount: -9.99, notes: undefined, category: undefined, externalId: undefined }
+    ]);
+  });
+});
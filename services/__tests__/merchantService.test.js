@@ -0,0 +1,35 @@
+const { merchantKey } = require('../merchantService');
+
+describe('merchantKey', () => {
+  test.each([
+    ['UBER *TRIP 8H2K', 'uber'],
+    ['Uber BV', 'uber'],
+    ['uber', 'uber'],
+    ['SQ *BLUE BOTTLE', 'blue bottle'],
+    ['PAYPAL *SPOTIFY', 'spotify'],
+    ['STARBUCKS 1234 SEATTLE', 'starbucks'],
+    ['Starbucks Coffee', 'starbucks'],
+    ['AMZN Mktp US*2K4', 'amazon'],
+    ['WAL-MART #5678', 'walmart'],
+    ['McDonald\'s', 'mcdonalds'],
+    ['NETFLIX.COM', 'netflix'],
+    ['https://www.example.com', 'example'],
+    ['The Corner Shop Ltd', 'corner shop']
+  ])('%s gives "%s"', (raw, key) => {
+    expect(merchantKey(raw)).toBe(key);
+  });
+
+  test('keeps leading numbers that are part of the name', () => {
+    expect(merchantKey('7 ELEVEN 33012')).toBe('7 eleven');
+  });
+
+  test('keeps at most four words', () => {
+    expect(merchantKey('Big Bright Green Pleasure Machine Cafe')).toBe('big bright green pleasure');
+  });
+
+  test('is empty when nothing usable is left', () => {
+    expect(merchantKey('')).toBe('');
+    expect(merchantKey(null)).toBe('');
+    expect(merchantKey('Card Payment')).toBe('');
+  });
+});
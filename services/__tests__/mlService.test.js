@@ -0,0 +1,124 @@
+const UserFeedback = require('../../models/UserFeedback');
+const { categorizeExpense, recordCategoryFeedback } = require('../mlService');
+
+// UserFeedback.find(...).sort().limit().select().lean() resolving to the newest corrections first
+function mockFeedback(entries) {
+  const query = {
+    sort: () => query,
+    limit: () => query,
+    select: () => query,
+    lean: async() => [...entries].reverse()
+  };
+  return jest.spyOn(UserFeedback, 'find').mockReturnValue(query);
+}
+
+let nextUser = 0;
+function newUserId() {
+  nextUser++;
+  return `user-${nextUser}`;
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('categorizeExpense keyword map', () => {
+  test('matches built-in keywords without a user', async() => {
+    const result = await categorizeExpense('Uber ride', 18);
+    expect(result.category).toBe('transport');
+    expect(result.confidence).toBeGreaterThan(0);
+  });
+
+  test('lets user categories compete with the built-in map', async() => {
+    const userCategories = [{ category: 'food', subcategory: 'coffee shops', keywords: ['latte', 'espresso'] }];
+    const result = await categorizeExpense('latte espresso', 150, '', { userCategories });
+    expect(result).toMatchObject({ category: 'food', subcategory: 'coffee shops' });
+  });
+
+  test('leans on the amount when no keyword matches', async() => {
+    expect((await categorizeExpense('Zzyzx', 10)).category).toBe('food');
+    expect((await categorizeExpense('Zzyzx', 1000)).category).toBe('utilities');
+  });
+});
+
+describe('categorizeExpense learned from corrections', () => {
+  test('remembers the merchant and grows more confident with repeated corrections', async() => {
+    const userId = newUserId();
+    mockFeedback([
+      { name: 'UBER *EATS 1234', category: 'food' },
+      { name: 'Uber Eats 5678', category: 'food' }
+    ]);
+
+    const result = await categorizeExpense('UBER EATS 9999', 18, '', { userId, userCategories: [] });
+    expect(result).toEqual({ category: 'food', confidence: 0.9, source: 'merchant' });
+  });
+
+  test('takes the latest correction for a merchant', async() => {
+    const userId = newUserId();
+    mockFeedback([
+      { name: 'Costco', category: 'food' },
+      { name: 'Costco', category: 'shopping' }
+    ]);
+
+    const result = await categorizeExpense('COSTCO', 80, '', { userId, userCategories: [] });
+    expect(result).toMatchObject({ category: 'shopping', source: 'merchant' });
+  });
+
+  test('generalizes to new merchants from shared words', async() => {
+    const userId = newUserId();
+    mockFeedback([
+      { name: 'Riverside Climbing Gym', category: 'healthcare' },
+      { name: 'Boulder Climbing Wall', category: 'healthcare' },
+      { name: 'Climbing Shoes Outlet', category: 'healthcare' },
+      { name: 'Corner Bakery', category: 'food' },
+      { name: 'Bakery Express', category: 'food' }
+    ]);
+
+    const result = await categorizeExpense('Northside Climbing Centre', 25, '', { userId, userCategories: [] });
+    expect(result).toMatchObject({ category: 'healthcare', source: 'personal' });
+    expect(result.confidence).toBeGreaterThanOrEqual(0.6);
+  });
+
+  test('ignores learned categories the user no longer has', async() => {
+    const userId = newUserId();
+    mockFeedback([{ name: 'Local Gym', category: 'fitness' }]);
+
+    const result = await categorizeExpense('Local Gym', 40, '', { userId, userCategories: [] });
+    expect(result.source).toBeUndefined();
+    expect(result.category).not.toBe('fitness');
+  });
+
+  test('keeps a learned subcategory only while it exists', async() => {
+    const userId = newUserId();
+    mockFeedback([{ name: 'Blue Bottle', category: 'food', subcategory: 'coffee shops' }]);
+
+    const userCategories = [{ category: 'food', subcategory: 'coffee shops', keywords: [] }];
+    const result = await categorizeExpense('Blue Bottle', 5, '', { userId, userCategories });
+    expect(result).toMatchObject({ category: 'food', subcategory: 'coffee shops', source: 'merchant' });
+  });
+
+  test('uses the keyword map when the personal model fails', async() => {
+    const userId = newUserId();
+    jest.spyOn(UserFeedback, 'find').mockImplementation(() => {
+      throw new Error('connection lost');
+    });
+
+    const result = await categorizeExpense('Uber ride', 18, '', { userId, userCategories: [] });
+    expect(result.category).toBe('transport');
+  });
+
+  test('retrains on the next prediction after a correction', async() => {
+    const userId = newUserId();
+    const find = mockFeedback([{ name: 'Trader Joes', category: 'food' }]);
+    await categorizeExpense('Trader Joes', 30, '', { userId, userCategories: [] });
+    await categorizeExpense('Trader Joes', 30, '', { userId, userCategories: [] });
+    expect(find).toHaveBeenCalledTimes(1);
+
+    jest.spyOn(UserFeedback, 'create').mockResolvedValue({});
+    await recordCategoryFeedback(userId, { _id: 'expense-1', name: 'Trader Joes' }, { category: 'shopping' });
+    mockFeedback([{ name: 'Trader Joes', category: 'food' }, { name: 'Trader Joes', category: 'shopping' }]);
+
+    const result = await categorizeExpense('Trader Joes', 30, '', { userId, userCategories: [] });
+    expect(result).toMatchObject({ category: 'shopping', source: 'merchant' });
+  });
+});
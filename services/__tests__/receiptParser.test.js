@@ -0,0 +1,158 @@
+const { parseReceipt, parseNumber, parseDate, detectCurrency } = require('../receiptParser');
+
+function lines(...text) {
+  return text.join('\n');
+}
+
+describe('parseReceipt line items and totals', () => {
+  const cafe = lines(
+    'Blue Bottle Coffee',
+    '123 Market St, San Francisco',
+    'Tel 415-555-0100',
+    '03/14/2024 09:12',
+    'Latte 2 x 4.50 9.00',
+    'Croissant 3.75',
+    'Subtotal 12.75',
+    'Sales Tax 8.5% 1.08',
+    'Tip 2.00',
+    'Total 15.83',
+    'Visa 15.83',
+    'Change 0.00'
+  );
+
+  test('reads the merchant, date, items and the parts of the total', () => {
+    const result = parseReceipt(cafe);
+
+    expect(result.merchant).toBe('Blue Bottle Coffee');
+    expect(result.date).toBe('2024-03-14');
+    expect(result.items).toEqual([
+      { description: 'Latte', quantity: 2, unitPrice: 4.5, total: 9, confidence: 0.95 },
+      { description: 'Croissant', quantity: 1, unitPrice: 3.75, total: 3.75, confidence: 0.7 }
+    ]);
+    expect(result.subtotal).toBe(12.75);
+    expect(result.taxes).toEqual([{ label: 'Sales Tax 8.5%', rate: 8.5, amount: 1.08, inclusive: false }]);
+    expect(result.tip).toBe(2);
+    expect(result.total).toBe(15.83);
+    expect(result.checks).toMatchObject({ itemsMatchSubtotal: true, totalMatchesParts: true });
+  });
+
+  test('ignores payment and change lines after the total', () => {
+    const { items, total } = parseReceipt(cafe);
+    expect(items.map(item => item.description)).not.toContain('Visa');
+    expect(total).toBe(15.83);
+  });
+
+  test('does not add inclusive taxes on top', () => {
+    const result = parseReceipt(lines('Corner Shop', 'Bread 2.20', 'Milk 1.30', 'incl. VAT 7% 0.23', 'Total 3.50'));
+    expect(result.taxTotal).toBe(0);
+    expect(result.checks.totalMatchesParts).toBe(true);
+  });
+
+  test('computes the total from its parts when no total line is read', () => {
+    const result = parseReceipt(lines('Corner Shop', 'Bread 2.00', 'Milk 1.00', 'Discount -0.50', 'Tax 0.25'));
+    expect(result.total).toBe(2.75);
+    expect(result.confidence.total).toBe(0.5);
+  });
+
+  test('joins a description with the quantity and price on the next line', () => {
+    const { items } = parseReceipt(lines('Blue Bottle Coffee', 'Coffee 3.00', 'Oat Latte', '2 x 3.50 7.00', 'Total 10.00'));
+    expect(items.map(item => item.description)).toEqual(['Coffee', 'Oat Latte']);
+  });
+
+  test('never takes the merchant line as the description of the first item', () => {
+    const { merchant, items } = parseReceipt(lines('Cafe Blue', '2 x 3.50 7.00', 'Muffin 2.50', 'Total 9.50'));
+    expect(merchant).toBe('Cafe Blue');
+    expect(items.map(item => item.description)).not.toContain('Cafe Blue');
+  });
+});
+
+describe('parseReceipt multi-page documents', () => {
+  const invoice = [
+    lines('Acme Supplies Ltd', 'Invoice 2024-117', 'Paper A4 x5 4.00 20.00', 'Toner 45.00', 'Page subtotal 65.00', 'Carried forward 65.00'),
+    lines('Brought forward 65.00', 'Stapler 12.50', 'Labels 2 x 3.25 6.50', 'Subtotal 84.00', 'VAT 20% 16.80', 'Total 100.80')
+  ].join('\f');
+
+  test('collects items from every page and skips carried totals', () => {
+    const result = parseReceipt(invoice);
+
+    expect(result.pages).toBe(2);
+    expect(result.items.map(item => item.total)).toEqual([20, 45, 12.5, 6.5]);
+    expect(result.subtotal).toBe(84);
+    expect(result.total).toBe(100.8);
+    expect(result.checks).toMatchObject({ itemsMatchSubtotal: true, totalMatchesParts: true });
+  });
+
+  test('keeps reading items after a page total', () => {
+    const pages = [lines('Acme Supplies Ltd', 'Pens 3.00', 'Page total 3.00'), lines('Ink 7.00', 'Grand Total 10.00')].join('\f');
+    const result = parseReceipt(pages);
+
+    expect(result.items.map(item => item.description)).toEqual(['Pens', 'Ink']);
+    expect(result.total).toBe(10);
+  });
+});
+
+describe('parseReceipt locales', () => {
+  test.each([
+    ['1,234.50', '.', 1234.5],
+    ['1.234,50', ',', 1234.5],
+    ['1,23,456.00', '.', 123456],
+    ['12,50', '.', 12.5],
+    ['1.234', ',', 1234],
+    ['1.234', '.', 1.234],
+    ['1,234', '.', 1234],
+    ['1\'234.50', '.', 1234.5]
+  ])('parseNumber reads %s (decimal "%s") as %d', (text, decimalSeparator, value) => {
+    expect(parseNumber(text, decimalSeparator)).toBe(value);
+  });
+
+  test.each([
+    ['03/04/2024', false, '2024-03-04'],
+    ['03/04/2024', true, '2024-04-03'],
+    ['25/03/2024', false, '2024-03-25'],
+    ['12.03.24', false, '2024-03-12'],
+    ['2024-03-12', true, '2024-03-12'],
+    ['14 Mar 2024', false, '2024-03-14'],
+    ['March 14, 2024', true, '2024-03-14'],
+    ['14. März 2024', false, '2024-03-14'],
+    ['31/02/2024', true, null]
+  ])('parseDate reads %s (day first: %s) as %s', (text, dayFirst, iso) => {
+    expect(parseDate(text, { dayFirst })).toBe(iso);
+  });
+
+  test('reads a German receipt with decimal commas and day-first dates', () => {
+    const result = parseReceipt(lines(
+      'Bäckerei Schmidt',
+      '05.03.2024 08:15',
+      'Brezel 2 x 0,90 1,80',
+      'Kaffee 2,60',
+      'Summe EUR 4,40',
+      'inkl. MwSt 7% 0,29'
+    ), { locale: 'de-DE' });
+
+    expect(result.date).toBe('2024-03-05');
+    expect(result.items.map(item => item.total)).toEqual([1.8, 2.6]);
+    expect(result.total).toBe(4.4);
+    expect(result.currency).toBe('EUR');
+  });
+
+  test('uses the locale for dates the receipt does not settle', () => {
+    const text = lines('Corner Shop', '04/05/2024', 'Bread 2.00', 'Total 2.00');
+    expect(parseReceipt(text, { locale: 'en-US' }).date).toBe('2024-04-05');
+    expect(parseReceipt(text, { locale: 'en-GB' }).date).toBe('2024-05-04');
+  });
+
+  test('reads Indian lakh grouping and rupee amounts', () => {
+    const result = parseReceipt(lines('Sharma Electronics', 'Television ₹1,23,456.00', 'CGST 9% ₹11,111.04', 'SGST 9% ₹11,111.04', 'Grand Total ₹1,45,678.08'), { locale: 'en-IN' });
+
+    expect(result.items[0].total).toBe(123456);
+    expect(result.taxTotal).toBe(22222.08);
+    expect(result.total).toBe(145678.08);
+    expect(result.currency).toBe('INR');
+  });
+
+  test('resolves ambiguous currency symbols to the user\'s base currency', () => {
+    expect(detectCurrency('Total $12.00', 'CAD')).toEqual({ value: 'CAD', confidence: 0.7 });
+    expect(detectCurrency('Total $12.00', 'EUR').confidence).toBe(0.5);
+    expect(detectCurrency('Total 12.00 GBP', 'USD')).toEqual({ value: 'GBP', confidence: 0.95 });
+  });
+});
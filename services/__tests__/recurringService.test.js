@@ -0,0 +1,47 @@
+const { previewOccurrences, nextOccurrence } = require('../recurringService');
+
+function days(dates) {
+  return dates.map(date => date.toISOString().split('T')[0]);
+}
+
+describe('RecurrenceRule next dates', () => {
+  test('steps daily and weekly by the interval', () => {
+    expect(days(previewOccurrences({ frequency: 'daily', interval: 2, startDate: '2024-03-01' }, null, 3)))
+      .toEqual(['2024-03-01', '2024-03-03', '2024-03-05']);
+    expect(days(previewOccurrences({ frequency: 'weekly', startDate: '2024-03-01' }, null, 3)))
+      .toEqual(['2024-03-01', '2024-03-08', '2024-03-15']);
+  });
+
+  test('clamps monthly dates to short months without drifting', () => {
+    expect(days(previewOccurrences({ frequency: 'monthly', startDate: '2024-01-31' }, null, 4)))
+      .toEqual(['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30']);
+  });
+
+  test('keeps Feb 29 on Feb 28 in common years', () => {
+    expect(days(previewOccurrences({ frequency: 'yearly', startDate: '2024-02-29' }, null, 5)))
+      .toEqual(['2024-02-29', '2025-02-28', '2026-02-28', '2027-02-28', '2028-02-29']);
+  });
+
+  test('returns the first occurrence strictly after a date', () => {
+    const schedule = { frequency: 'monthly', startDate: '2024-01-15' };
+    expect(days([nextOccurrence(schedule, new Date('2024-03-15'))])).toEqual(['2024-04-15']);
+    expect(days([nextOccurrence(schedule, new Date('2024-03-14'))])).toEqual(['2024-03-15']);
+    expect(days([nextOccurrence(schedule, new Date('2023-01-01'))])).toEqual(['2024-01-15']);
+  });
+
+  test('skips excluded dates', () => {
+    const schedule = { frequency: 'weekly', startDate: '2024-03-01', skipDates: ['2024-03-08'] };
+    expect(days(previewOccurrences(schedule, null, 2))).toEqual(['2024-03-01', '2024-03-15']);
+  });
+
+  test('stops at the end date and after count occurrences', () => {
+    expect(days(previewOccurrences({ frequency: 'daily', startDate: '2024-03-01', endDate: '2024-03-03' }, null, 10)))
+      .toEqual(['2024-03-01', '2024-03-02', '2024-03-03']);
+    expect(previewOccurrences({ frequency: 'monthly', startDate: '2024-03-01', count: 2 }, null, 10)).toHaveLength(2);
+    expect(nextOccurrence({ frequency: 'monthly', startDate: '2024-03-01', count: 2 }, new Date('2024-04-01'))).toBeNull();
+  });
+
+  test('rejects unknown frequencies', () => {
+    expect(() => nextOccurrence({ frequency: 'hourly', startDate: '2024-03-01' }, null)).toThrow('Unsupported frequency: hourly');
+  });
+});
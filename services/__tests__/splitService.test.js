@@ -0,0 +1,99 @@
+const { computeShares, computeBalances, simplifyDebts } = require('../splitService');
+
+const members = ['a', 'b', 'c'];
+
+function total(shares) {
+  return Math.round(shares.reduce((sum, share) => sum + share.amount * 100, 0));
+}
+
+describe('computeShares', () => {
+  test('splits equally and gives leftover cents to the first participants', () => {
+    const { value } = computeShares(10, 'equal', members.map(userId => ({ userId })), members);
+    expect(value.map(share => share.amount)).toEqual([3.34, 3.33, 3.33]);
+    expect(total(value)).toBe(1000);
+  });
+
+  test('splits by percentage to the cent', () => {
+    const splits = [{ userId: 'a', percentage: 33.33 }, { userId: 'b', percentage: 33.33 }, { userId: 'c', percentage: 33.34 }];
+    const { value } = computeShares(0.1, 'percentage', splits, members);
+    expect(total(value)).toBe(10);
+    expect(value.map(share => share.percentage)).toEqual([33.33, 33.33, 33.34]);
+  });
+
+  test('rejects percentages that do not add up to 100', () => {
+    const splits = [{ userId: 'a', percentage: 50 }, { userId: 'b', percentage: 40 }];
+    expect(computeShares(10, 'percentage', splits, members).error).toMatch(/add up to 100/);
+  });
+
+  test('takes exact shares only when they add up to the amount', () => {
+    const exact = [{ userId: 'a', amount: 12.5 }, { userId: 'b', amount: 7.5 }];
+    expect(computeShares(20, 'exact', exact, members).value.map(share => share.amount)).toEqual([12.5, 7.5]);
+    expect(computeShares(20.01, 'exact', exact, members).error).toBe('Exact shares must add up to 20.01 (got 20.00)');
+  });
+
+  test('rejects duplicate participants and non-members', () => {
+    expect(computeShares(10, 'equal', [{ userId: 'a' }, { userId: 'a' }], members).error).toMatch(/only once/);
+    expect(computeShares(10, 'equal', [{ userId: 'z' }], members).error).toBe('User z is not a member of this group');
+    expect(computeShares(10, 'equal', [], members).error).toMatch(/At least one/);
+  });
+});
+
+describe('computeBalances', () => {
+  test('credits the payer, debits the participants and applies settlements', () => {
+    const expenses = [
+      { paidBy: 'a', amount: 10, splits: [{ userId: 'a', amount: 3.34 }, { userId: 'b', amount: 3.33 }, { userId: 'c', amount: 3.33 }] }
+    ];
+    const settlements = [{ from: 'b', to: 'a', amount: 3.33 }];
+    expect(computeBalances(members, expenses, settlements)).toEqual([
+      { userId: 'a', balance: 3.33 },
+      { userId: 'b', balance: 0 },
+      { userId: 'c', balance: -3.33 }
+    ]);
+  });
+
+  test('keeps balances summing to zero over many uneven splits', () => {
+    const expenses = Array.from({ length: 30 }, (_, i) => {
+      const { value } = computeShares(0.07 * (i + 1), 'equal', members.map(userId => ({ userId })), members);
+      return { paidBy: members[i % 3], amount: 0.07 * (i + 1), splits: value };
+    });
+    const balances = computeBalances(members, expenses, []);
+    expect(Math.round(balances.reduce((sum, entry) => sum + entry.balance * 100, 0))).toBe(0);
+  });
+});
+
+describe('simplifyDebts', () => {
+  test('settles exact matches directly', () => {
+    const transfers = simplifyDebts([
+      { userId: 'a', balance: 5 },
+      { userId: 'b', balance: -5 },
+      { userId: 'c', balance: 2.5 },
+      { userId: 'd', balance: -2.5 }
+    ]);
+    expect(transfers).toEqual([
+      { from: 'b', to: 'a', amount: 5 },
+      { from: 'd', to: 'c', amount: 2.5 }
+    ]);
+  });
+
+  test('settles every balance in at most members - 1 transfers', () => {
+    const balances = [
+      { userId: 'a', balance: 10.01 },
+      { userId: 'b', balance: -3.34 },
+      { userId: 'c', balance: -3.33 },
+      { userId: 'd', balance: -3.34 }
+    ];
+    const transfers = simplifyDebts(balances);
+    expect(transfers.length).toBeLessThanOrEqual(3);
+
+    const net = new Map(balances.map(({ userId, balance }) => [userId, Math.round(balance * 100)]));
+    transfers.forEach(({ from, to, amount }) => {
+      net.set(from, net.get(from) + Math.round(amount * 100));
+      net.set(to, net.get(to) - Math.round(amount * 100));
+    });
+    expect([...net.values()]).toEqual([0, 0, 0, 0]);
+  });
+
+  test('returns no transfers when everyone is settled', () => {
+    expect(simplifyDebts([{ userId: 'a', balance: 0 }, { userId: 'b', balance: 0 }])).toEqual([]);
+  });
+});
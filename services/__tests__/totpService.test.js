@@ -0,0 +1,81 @@
+const {
+  generateSecret,
+  buildOtpauthUri,
+  generateCode,
+  verifyCode,
+  generateBackupCodes,
+  normalizeBackupCode,
+  encryptSecret,
+  decryptSecret
+} = require('../totpService');
+
+// The RFC 6238 SHA-1 test key, "12345678901234567890", in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP codes', () => {
+  test.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1234567890, '005924'],
+    [2000000000, '279037']
+  ])('matches the RFC 6238 vector at %i seconds', (seconds, code) => {
+    expect(generateCode(RFC_SECRET, seconds * 1000)).toBe(code);
+  });
+
+  test('accepts codes one step either side and returns the matched step', () => {
+    const now = 1234567890 * 1000;
+    const step = Math.floor(1234567890 / 30);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now), now)).toBe(step);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now - 30000), now)).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now + 30000), now)).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now - 60000), now)).toBeNull();
+  });
+
+  test('ignores spaces and rejects malformed codes', () => {
+    expect(verifyCode(RFC_SECRET, '005 924', 1234567890 * 1000)).not.toBeNull();
+    expect(verifyCode(RFC_SECRET, '5924', 1234567890 * 1000)).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef', 1234567890 * 1000)).toBeNull();
+    expect(verifyCode(RFC_SECRET, undefined)).toBeNull();
+  });
+
+  test('generates 160-bit base32 secrets', () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateSecret()).not.toBe(secret);
+  });
+
+  test('builds an otpauth URI with the issuer and settings', () => {
+    const uri = buildOtpauthUri(RFC_SECRET, 'ana@example.com');
+    expect(uri).toMatch(/^otpauth:\/\/totp\/AI%20Expense%20Tracker%3Aana%40example\.com\?/);
+    expect(uri).toContain(`secret=${RFC_SECRET}`);
+    expect(uri).toContain('issuer=AI%20Expense%20Tracker');
+    expect(uri).toContain('digits=6&period=30');
+  });
+});
+
+describe('backup codes', () => {
+  test('generates distinct codes that normalize back to their hex digits', () => {
+    const codes = generateBackupCodes();
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach(code => expect(code).toMatch(/^[a-f0-9]{5}-[a-f0-9]{5}$/));
+    expect(normalizeBackupCode(' AB12C-3D4E5 ')).toBe('ab12c3d4e5');
+  });
+});
+
+describe('secret encryption', () => {
+  test('round-trips with a fresh IV each time', () => {
+    const first = encryptSecret(RFC_SECRET);
+    const second = encryptSecret(RFC_SECRET);
+    expect(first).not.toBe(second);
+    expect(decryptSecret(first)).toBe(RFC_SECRET);
+    expect(decryptSecret(second)).toBe(RFC_SECRET);
+  });
+
+  test('rejects tampered ciphertext', () => {
+    const [iv, tag, encrypted] = encryptSecret(RFC_SECRET).split('.');
+    const bytes = Buffer.from(encrypted, 'base64');
+    bytes[0] ^= 1;
+    expect(() => decryptSecret([iv, tag, bytes.toString('base64')].join('.'))).toThrow();
+  });
+});
@@ -0,0 +1,195 @@
+const User = require('../models/User');
+const Expense = require('../models/Expense');
+const AIInsight = require('../models/AIInsight');
+const Budget = require('../models/Budget');
+const Category = require('../models/Category');
+const RecurringExpense = require('../models/RecurringExpense');
+const ImportBatch = require('../models/ImportBatch');
+const ExchangeRate = require('../models/ExchangeRate');
+const Session = require('../models/Session');
+const Group = require('../models/Group');
+const GroupExpense = require('../models/GroupExpense');
+const Settlement = require('../models/Settlement');
+const UserFeedback = require('../models/UserFeedback');
+const Merchant = require('../models/Merchant');
+const Rule = require('../models/Rule');
+const AuditLog = require('../models/AuditLog');
+const ReceiptCorrection = require('../models/ReceiptCorrection');
+const { logger } = require('../utils/logger');
+const { convertAmount, normalizeCurrency } = require('./currencyService');
+const { computeBalances } = require('./splitService');
+const { deleteExpenseFiles } = require('./storageService');
+const { inTransaction } = require('./bulkService');
+
+// Groups where the user still owes or is owed money
+async function findUnsettledGroups(userId) {
+  const groups = await Group.find({ members: userId });
+  const unsettled = [];
+
+  for (const group of groups) {
+    const [expenses, settlements] = await Promise.all([
+      GroupExpense.find({ groupId: group._id, deletedAt: null }),
+      Settlement.find({ groupId: group._id })
+    ]);
+    const balance = computeBalances(group.members, expenses, settlements)
+      .find(entry => entry.userId === String(userId));
+    if (balance && balance.balance !== 0) {
+      unsettled.push(group);
+    }
+  }
+
+  return unsettled;
+}
+
+// Delete the account and everything it owns, including stored receipt and attachment files
+async function deleteUserAccount(userId) {
+  // Files are deleted once no expense refers to them any more
+  const withFiles = await Expense.find({
+    userId,
+    $or: [{ receiptImageUrl: { $nin: [null, ''] } }, { 'attachments.0': { $exists: true } }]
+  })
+    .withDeleted()
+    .select('userId receipt receiptImageUrl attachments.key attachments.thumbnailKey attachments.hash')
+    .lean();
+
+  const [expenses, insights] = await Promise.all([
+    Expense.deleteMany({ userId }),
+    AIInsight.deleteMany({ userId }),
+    Budget.deleteMany({ userId }),
+    Category.deleteMany({ userId }),
+    RecurringExpense.deleteMany({ userId }),
+    ImportBatch.deleteMany({ userId }),
+    ExchangeRate.deleteMany({ userId }),
+    Session.deleteMany({ userId }),
+    UserFeedback.deleteMany({ userId }),
+    Merchant.deleteMany({ userId }),
+    Rule.deleteMany({ userId }),
+    AuditLog.deleteMany({ userId }),
+    ReceiptCorrection.deleteMany({ userId })
+  ]);
+
+  let filesDeleted = 0;
+  for (const expense of withFiles) {
+    filesDeleted += await deleteExpenseFiles(expense);
+  }
+
+  // Leave shared groups and drop invitations to the account's address;
+  // groups nobody is left in are removed with their history
+  await Group.updateMany({ members: userId }, { $pull: { members: userId } });
+  const account = await User.findById(userId).select('email').lean();
+  if (account) {
+    await Group.updateMany({ 'invitations.email': account.email }, { $pull: { invitations: { email: account.email } } });
+  }
+  const emptyGroups = await Group.find({ members: { $size: 0 } }).select('_id');
+  const emptyGroupIds = emptyGroups.map(group => group._id);
+  if (emptyGroupIds.length > 0) {
+    await Promise.all([
+      GroupExpense.deleteMany({ groupId: { $in: emptyGroupIds } }),
+      Settlement.deleteMany({ groupId: { $in: emptyGroupIds } }),
+      Group.deleteMany({ _id: { $in: emptyGroupIds } })
+    ]);
+  }
+
+  await User.deleteOne({ _id: userId });
+
+  return {
+    expenses: expenses.deletedCount,
+    insights: insights.deletedCount,
+    files: filesDeleted
+  };
+}
+
+// Re-express stored base amounts in a new base currency and make it the user's base currency.
+// Expenses use the rate for their own date; budgets and recurring templates use today's rate.
+// Returns { error } without writing anything when a rate is missing, otherwise { value } with counts.
+// All writes happen in one transaction, so a failure leaves every amount in the old currency.
+async function changeBaseCurrency(user, newCurrency) {
+  const from = normalizeCurrency(user.preferences?.currency || 'USD');
+  const to = normalizeCurrency(newCurrency);
+  if (from === to) {
+    return { value: { from, to, expenses: 0, budgets: 0, recurring: 0 } };
+  }
+
+  const options = { userId: user._id };
+  const expenseUpdates = [];
+  // Trashed expenses are converted too so they are correct if restored
+  const expenses = Expense.find({ userId: user._id }).withDeleted().select('amount currency date').lean().cursor();
+  for await (const expense of expenses) {
+    // Expenses without a currency were recorded in the old base currency
+    const currency = expense.currency || from;
+    const converted = await convertAmount(expense.amount, currency, to, { ...options, date: expense.date });
+    if (!converted) {
+      return { error: `No exchange rate available from ${currency} to ${to}` };
+    }
+    expenseUpdates.push({
+      updateOne: {
+        filter: { _id: expense._id },
+        update: { currency, exchangeRate: converted.rate, baseAmount: converted.amount }
+      }
+    });
+  }
+
+  // Budgets and recurring templates hold plain amounts in the base currency
+  const rate = await convertAmount(1, from, to, options);
+  if (!rate) {
+    return { error: `No exchange rate available from ${from} to ${to}` };
+  }
+  const convert = amount => Math.round(amount * rate.rate * 100) / 100;
+
+  const budgets = await Budget.find({ userId: user._id }).lean();
+  const templates = await RecurringExpense.find({ userId: user._id }).lean();
+  const tooLarge = [...budgets, ...templates].find(doc => convert(doc.amount) > 999999.99);
+  if (tooLarge) {
+    return { error: `"${tooLarge.name}" would exceed the maximum amount in ${to}` };
+  }
+
+  // Converted up front so a retried transaction writes the same values
+  const budgetUpdates = budgets.map(budget => ({
+    updateOne: {
+      filter: { _id: budget._id },
+      update: {
+        amount: convert(budget.amount),
+        ...(typeof budget.rolloverCap === 'number' && { rolloverCap: convert(budget.rolloverCap) })
+      }
+    }
+  }));
+  const templateUpdates = templates.map(template => ({
+    updateOne: {
+      filter: { _id: template._id },
+      update: { amount: convert(template.amount) }
+    }
+  }));
+
+  await inTransaction(async session => {
+    if (expenseUpdates.length > 0) {
+      await Expense.bulkWrite(expenseUpdates, { session });
+    }
+    if (budgetUpdates.length > 0) {
+      await Budget.bulkWrite(budgetUpdates, { session });
+    }
+    if (templateUpdates.length > 0) {
+      await RecurringExpense.bulkWrite(templateUpdates, { session });
+    }
+    await User.updateOne({ _id: user._id }, { 'preferences.currency': to }, { session });
+  });
+  user.set('preferences.currency', to);
+
+  logger.info(`Base currency changed from ${from} to ${to} for user ${user._id}`);
+
+  return {
+    value: {
+      from,
+      to,
+      rate: rate.rate,
+      expenses: expenseUpdates.length,
+      budgets: budgets.length,
+      recurring: templates.length
+    }
+  };
+}
+
+module.exports = {
+  findUnsettledGroups,
+  deleteUserAccount,
+  changeBaseCurrency
+};
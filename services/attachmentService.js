@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const { logger } = require('../utils/logger');
+const { extractDocumentText } = require('./ocrService');
+const { storeFile, withReceiptFile, releaseFile } = require('./storageService');
+
+// OCR text kept per attachment; longer documents are cut off
+const MAX_OCR_TEXT_LENGTH = 20000;
+
+function maxAttachments() {
+  return Math.max(parseInt(process.env.MAX_ATTACHMENTS) || 10, 1);
+}
+
+// Export functions
+
+// What the API shows of an attachment; `includeText` adds the OCR text
+function publicAttachment(attachment, { includeText = false } = {}) {
+  const { _id, label, mimeType, size, originalName, ocrStatus, createdAt } = attachment;
+  return {
+    _id,
+    label: label || null,
+    mimeType,
+    size,
+    originalName,
+    ocrStatus,
+    hasThumbnail: Boolean(attachment.thumbnailKey),
+    createdAt,
+    ...(includeText && { ocrText: attachment.ocrText || '' })
+  };
+}
+
+// Store an uploaded file (a multer memory file) as an attachment of the expense.
+// Returns { error } or { value: attachment }; the attachment's text is read later (see readAttachmentText).
+async function addAttachment(user, expense, file, label) {
+  if ((expense.attachments || []).length >= maxAttachments()) {
+    return { error: `An expense can have at most ${maxAttachments()} attachments` };
+  }
+
+  const stored = await storeFile(user._id, file);
+  const attachment = { ...stored, label: label || undefined, ocrStatus: 'pending' };
+
+  // Atomic, so concurrent uploads cannot push the expense past the limit
+  const updated = await Expense.findOneAndUpdate(
+    {
+      _id: expense._id,
+      userId: user._id,
+      [`attachments.${maxAttachments() - 1}`]: { $exists: false }
+    },
+    { $push: { attachments: attachment } },
+    { new: true }
+  );
+  if (!updated) {
+    await releaseFile(user._id, stored);
+    return { error: `An expense can have at most ${maxAttachments()} attachments` };
+  }
+
+  const added = updated.attachments[updated.attachments.length - 1];
+  logger.info(`Attachment ${added._id} added to expense ${expense._id}`);
+  return { value: added };
+}
+
+// Remove an attachment from the user's expense and delete its file unless another expense has it.
+// Returns false when the attachment is not found.
+async function removeAttachment(userId, expenseId, attachmentId) {
+  if (!mongoose.isValidObjectId(attachmentId)) {
+    return false;
+  }
+  const expense = await Expense.findOneAndUpdate(
+    { _id: expenseId, userId, 'attachments._id': attachmentId },
+    { $pull: { attachments: { _id: attachmentId } } }
+  );
+  if (!expense) {
+    return false;
+  }
+
+  const removed = expense.attachments.find(attachment => attachment._id.equals(attachmentId));
+  await releaseFile(userId, removed);
+  return true;
+}
+
+// OCR an attachment in the user's OCR languages and store the text, which makes the
+// expense findable by words on the document. Returns false when the attachment is gone.
+async function readAttachmentText(user, expenseId, attachmentId) {
+  const expense = await Expense.findOne({ _id: expenseId, userId: user._id, 'attachments._id': attachmentId })
+    .withDeleted()
+    .select('attachments');
+  const attachment = expense && expense.attachments.id(attachmentId);
+  if (!attachment) {
+    return false;
+  }
+
+  const text = await withReceiptFile(attachment, filePath => extractDocumentText(filePath, {
+    languages: (user.preferences || {}).ocrLanguages
+  }));
+
+  const result = await Expense.updateOne(
+    { _id: expenseId, userId: user._id, 'attachments._id': attachmentId },
+    {
+      $set: {
+        'attachments.$.ocrText': text.replace(/\s+/g, ' ').trim().slice(0, MAX_OCR_TEXT_LENGTH),
+        'attachments.$.ocrStatus': 'done'
+      }
+    }
+  );
+  return result.matchedCount > 0;
+}
+
+// Record that an attachment's text could not be read; the file itself is kept
+async function markAttachmentTextFailed(userId, expenseId, attachmentId) {
+  await Expense.updateOne(
+    { _id: expenseId, userId, 'attachments._id': attachmentId },
+    { $set: { 'attachments.$.ocrStatus': 'failed' } }
+  );
+}
+
+// After a restart lost their jobs: mark attachments added before `createdBefore` whose text is
+// still pending as failed, except the ones in `queuedIds`. Returns how many were marked.
+async function failOrphanedAttachmentText(createdBefore, queuedIds) {
+  const expenses = await Expense.find({ 'attachments.ocrStatus': 'pending' })
+    .withDeleted()
+    .select('userId attachments._id attachments.ocrStatus attachments.createdAt')
+    .lean();
+
+  let marked = 0;
+  for (const expense of expenses) {
+    const orphans = expense.attachments.filter(attachment => attachment.ocrStatus === 'pending' &&
+      attachment.createdAt < createdBefore && !queuedIds.has(String(attachment._id)));
+    for (const attachment of orphans) {
+      await markAttachmentTextFailed(expense.userId, expense._id, attachment._id);
+      marked++;
+    }
+  }
+  return marked;
+}
+
+module.exports = {
+  publicAttachment,
+  addAttachment,
+  removeAttachment,
+  readAttachmentText,
+  markAttachmentTextFailed,
+  failOrphanedAttachmentText
+};
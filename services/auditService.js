@@ -0,0 +1,145 @@
+const AuditLog = require('../models/AuditLog');
+const { logger } = require('../utils/logger');
+
+// Expense fields whose changes are recorded
+const TRACKED_FIELDS = [
+  'name', 'amount', 'currency', 'category', 'subcategory', 'date', 'notes', 'tags', 'reviewed', 'receiptImageUrl'
+];
+
+function plain(expense) {
+  return expense && typeof expense.toObject === 'function' ? expense.toObject() : (expense || {});
+}
+
+// Comparable form of a field value; missing, null, '' and [] are all "empty"
+function comparable(value) {
+  if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return JSON.stringify([...value]);
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+function stored(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  return Array.isArray(value) ? [...value] : value;
+}
+
+// Field-level differences between two versions of an expense
+function diffExpense(before, after) {
+  const from = plain(before);
+  const to = plain(after);
+  return TRACKED_FIELDS
+    .filter(field => comparable(from[field]) !== comparable(to[field]))
+    .map(field => ({ field, from: stored(from[field]), to: stored(to[field]) }));
+}
+
+function buildEntry({ actorId, action, source, before, after }) {
+  const expense = plain(after || before);
+  let changes = [];
+  if (action === 'create') {
+    changes = diffExpense(null, after);
+  } else if (action === 'update') {
+    changes = diffExpense(before, after);
+  } else if (action === 'purge') {
+    // Keep the last state of an expense that no longer exists
+    changes = diffExpense(before, null);
+  }
+
+  if (action === 'update' && changes.length === 0) {
+    return null;
+  }
+  return {
+    userId: expense.userId,
+    actorId: actorId || null,
+    entityId: expense._id,
+    action,
+    source,
+    changes,
+    summary: expense.name
+  };
+}
+
+// Export functions
+
+// Record changes to expenses. Each event is { actorId, action, source, before, after }.
+// Auditing never fails the operation it describes.
+async function recordExpenseEvents(events) {
+  try {
+    const entries = events.map(buildEntry).filter(Boolean);
+    if (entries.length > 0) {
+      await AuditLog.insertMany(entries, { ordered: false });
+    }
+    return entries.length;
+  } catch (error) {
+    logger.error('Audit log error:', error);
+    return 0;
+  }
+}
+
+async function recordExpenseEvent(event) {
+  return await recordExpenseEvents([event]);
+}
+
+// History of one expense, newest first
+async function getExpenseHistory(userId, expenseId) {
+  return await AuditLog.find({ userId, entityId: expenseId })
+    .sort({ createdAt: -1 })
+    .populate('actorId', 'firstName lastName email')
+    .lean();
+}
+
+// Paginated activity across all of a user's expenses
+async function getActivityFeed(userId, options = {}) {
+  const { page = 1, limit = 50, action, source, startDate, endDate } = options;
+  const query = { userId };
+  if (action) {
+    query.action = action;
+  }
+  if (source) {
+    query.source = source;
+  }
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) {
+      query.createdAt.$gte = new Date(startDate);
+    }
+    if (endDate) {
+      query.createdAt.$lte = new Date(endDate);
+    }
+  }
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('actorId', 'firstName lastName email')
+      .lean(),
+    AuditLog.countDocuments(query)
+  ]);
+
+  return {
+    entries,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+module.exports = {
+  diffExpense,
+  recordExpenseEvent,
+  recordExpenseEvents,
+  getExpenseHistory,
+  getActivityFeed
+};
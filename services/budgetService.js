@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const Budget = require('../models/Budget');
+const Expense = require('../models/Expense');
+const { logger } = require('../utils/logger');
+
+// Budget evaluation over calendar months (UTC)
+class BudgetEvaluator {
+  monthKey(date) {
+    const d = new Date(date);
+    return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`;
+  }
+
+  monthRange(monthKey) {
+    const [year, month] = monthKey.split('-').map(Number);
+    return {
+      start: new Date(Date.UTC(year, month - 1, 1)),
+      end: new Date(Date.UTC(year, month, 1))
+    };
+  }
+
+  previousMonthKey(monthKey) {
+    const { start } = this.monthRange(monthKey);
+    start.setUTCMonth(start.getUTCMonth() - 1);
+    return this.monthKey(start);
+  }
+
+  async getSpent(userId, category, monthKey) {
+    const { start, end } = this.monthRange(monthKey);
+    const match = {
+      userId: new mongoose.Types.ObjectId(userId),
+      date: { $gte: start, $lt: end }
+    };
+    if (category) {
+      match.category = category;
+    }
+
+    const result = await Expense.aggregate([
+      { $match: match },
+      { $group: { _id: null, total: { $sum: { $ifNull: ['$baseAmount', '$amount'] } } } }
+    ]);
+    return result[0] ? result[0].total : 0;
+  }
+
+  // Amount carried over from the previous month according to the rollover mode
+  async getCarryOver(budget, monthKey) {
+    if (budget.rollover === 'none' || budget.month) {
+      return 0;
+    }
+
+    const previousSpent = await this.getSpent(budget.userId, budget.category, this.previousMonthKey(monthKey));
+    let carry = budget.amount - previousSpent;
+    if (budget.rollover === 'surplus') {
+      carry = Math.max(carry, 0);
+    }
+    if (typeof budget.rolloverCap === 'number') {
+      carry = Math.min(carry, budget.rolloverCap);
+    }
+    return carry;
+  }
+
+  async getStatus(budget, monthKey, spent) {
+    if (spent === undefined) {
+      spent = await this.getSpent(budget.userId, budget.category, monthKey);
+    }
+    const carryOver = await this.getCarryOver(budget, monthKey);
+    const limit = Math.max(budget.amount + carryOver, 0);
+
+    return {
+      month: monthKey,
+      limit,
+      carryOver,
+      spent,
+      remaining: limit - spent,
+      percentUsed: limit > 0 ? Math.round((spent / limit) * 10000) / 100 : (spent > 0 ? 100 : 0)
+    };
+  }
+
+  // Budgets in effect for a month; a month-specific budget replaces the recurring one of the same scope
+  async getApplicableBudgets(userId, monthKey, categories) {
+    const query = {
+      userId,
+      isActive: true,
+      month: { $in: [monthKey, null] }
+    };
+    if (categories) {
+      query.category = { $in: categories };
+    }
+
+    const budgets = await Budget.find(query);
+    const byScope = new Map();
+    budgets.forEach(budget => {
+      const scope = budget.category || 'all';
+      const existing = byScope.get(scope);
+      if (!existing || (budget.month && !existing.month)) {
+        byScope.set(scope, budget);
+      }
+    });
+    return Array.from(byScope.values());
+  }
+
+  // Thresholds crossed by adding the given expense to its month's totals
+  async evaluateExpense(userId, expense) {
+    const monthKey = this.monthKey(expense.date);
+    const budgets = await this.getApplicableBudgets(userId, monthKey, [null, expense.category]);
+    const alerts = [];
+
+    for (const budget of budgets) {
+      const status = await this.getStatus(budget, monthKey);
+      if (status.limit <= 0) {
+        continue;
+      }
+
+      const amount = expense.baseAmount ?? expense.amount;
+      const before = ((status.spent - amount) / status.limit) * 100;
+      const after = (status.spent / status.limit) * 100;
+      const crossed = [...budget.thresholds]
+        .sort((a, b) => a - b)
+        .filter(threshold => before < threshold && after >= threshold);
+
+      if (crossed.length > 0) {
+        alerts.push({
+          budgetId: budget._id,
+          name: budget.name,
+          category: budget.category,
+          threshold: crossed[crossed.length - 1],
+          crossed,
+          ...status
+        });
+      }
+    }
+
+    return alerts;
+  }
+}
+
+const evaluator = new BudgetEvaluator();
+
+// Export functions
+async function getBudgetStatus(budget, monthKey = evaluator.monthKey(new Date())) {
+  return await evaluator.getStatus(budget, monthKey);
+}
+
+async function evaluateBudgets(userId, expense) {
+  try {
+    return await evaluator.evaluateExpense(userId, expense);
+  } catch (error) {
+    logger.error('Budget evaluation error:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  getBudgetStatus,
+  evaluateBudgets
+};
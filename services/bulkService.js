@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const { logger } = require('../utils/logger');
+const { applyCategory } = require('./categoryService');
+const { recordCategoryFeedback } = require('./mlService');
+const { trashExpenses } = require('./trashService');
+const { recordExpenseEvents } = require('./auditService');
+
+const BULK_ACTIONS = ['delete', 'recategorize', 'addTags', 'removeTags', 'shiftDate'];
+const MAX_BULK_ITEMS = parseInt(process.env.MAX_BULK_ITEMS) || 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Run `work(session)` in a transaction. Standalone MongoDB servers cannot run
+// transactions, so there the work runs without one.
+async function inTransaction(work) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async() => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (error.code === 20 || /replica set|Transaction numbers/i.test(error.message)) {
+      logger.warn('Transactions unavailable; running the writes without one');
+      return await work(null);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// Expenses targeted by ids or a listing filter
+async function selectExpenses(userId, operation) {
+  if (operation.ids) {
+    const ids = [...new Set(operation.ids)];
+    const expenses = await Expense.find({ _id: { $in: ids }, userId }).lean();
+    const found = new Set(expenses.map(expense => String(expense._id)));
+    return { value: { expenses, missing: ids.filter(id => !found.has(id)) } };
+  }
+
+  const query = Expense.buildUserQuery(userId, operation.filter);
+  const expenses = await Expense.find(query).limit(MAX_BULK_ITEMS + 1).lean();
+  if (expenses.length > MAX_BULK_ITEMS) {
+    return { error: `The filter matches more than ${MAX_BULK_ITEMS} expenses; narrow it down` };
+  }
+  return { value: { expenses, missing: [] } };
+}
+
+// One bulkWrite operation per expense
+function planUpdates(expenses, operation) {
+  switch (operation.action) {
+  case 'recategorize': {
+    const set = { category: operation.category, aiCategorized: false };
+    const update = operation.subcategory
+      ? { $set: { ...set, subcategory: operation.subcategory } }
+      : { $set: set, $unset: { subcategory: '' } };
+    return expenses.map(expense => ({ updateOne: { filter: { _id: expense._id }, update } }));
+  }
+  case 'addTags':
+    return expenses.map(expense => ({
+      updateOne: { filter: { _id: expense._id }, update: { $addToSet: { tags: { $each: operation.tags } } } }
+    }));
+  case 'removeTags':
+    return expenses.map(expense => ({
+      updateOne: { filter: { _id: expense._id }, update: { $pull: { tags: { $in: operation.tags } } } }
+    }));
+  case 'shiftDate':
+    return expenses.map(expense => ({
+      updateOne: {
+        filter: { _id: expense._id },
+        update: { $set: { date: new Date(new Date(expense.date).getTime() + operation.days * DAY_MS) } }
+      }
+    }));
+  default:
+    return [];
+  }
+}
+
+// Export functions
+
+// Apply one action to many expenses. Either every targeted expense is changed or none is:
+// unknown ids fail the whole request. Returns { error } or { value: report }.
+async function runBulkOperation(userId, operation) {
+  if (operation.action === 'recategorize') {
+    const categoryError = await applyCategory(userId, operation);
+    if (categoryError) {
+      return { error: categoryError };
+    }
+  }
+
+  const selection = await selectExpenses(userId, operation);
+  if (selection.error) {
+    return selection;
+  }
+  const { expenses, missing } = selection.value;
+
+  const results = [
+    ...missing.map(id => ({ id, status: 'failed', message: 'Expense not found' })),
+    ...expenses.map(expense => ({ id: String(expense._id), status: missing.length > 0 ? 'skipped' : 'ok' }))
+  ];
+  const report = {
+    action: operation.action,
+    matched: expenses.length,
+    succeeded: 0,
+    failed: missing.length,
+    results
+  };
+
+  if (missing.length > 0 || expenses.length === 0) {
+    return { value: report };
+  }
+
+  const ids = expenses.map(expense => expense._id);
+  await inTransaction(async session => {
+    if (operation.action === 'delete') {
+      await trashExpenses(userId, ids, { session });
+    } else {
+      await Expense.bulkWrite(planUpdates(expenses, operation), { session });
+    }
+  });
+  report.succeeded = expenses.length;
+
+  if (operation.action === 'delete') {
+    await recordExpenseEvents(expenses.map(expense => ({ actorId: userId, action: 'delete', source: 'bulk', before: expense })));
+  } else {
+    const updated = await Expense.find({ _id: { $in: ids } }).lean();
+    const before = new Map(expenses.map(expense => [String(expense._id), expense]));
+    await recordExpenseEvents(updated.map(expense => ({
+      actorId: userId,
+      action: 'update',
+      source: 'bulk',
+      before: before.get(String(expense._id)),
+      after: expense
+    })));
+  }
+
+  // Recategorized AI guesses are corrections, like an edit through PUT /api/expenses/:id
+  if (operation.action === 'recategorize') {
+    const corrected = expenses.filter(expense => expense.aiCategorized &&
+      (expense.category !== operation.category || (expense.subcategory || null) !== (operation.subcategory || null)));
+    for (const expense of corrected) {
+      try {
+        await recordCategoryFeedback(userId, expense, { category: operation.category, subcategory: operation.subcategory });
+      } catch (feedbackError) {
+        logger.warn('Recording category feedback failed:', feedbackError);
+      }
+    }
+  }
+
+  logger.info(`Bulk ${operation.action} applied to ${expenses.length} expense(s) for user ${userId}`);
+
+  return { value: report };
+}
+
+module.exports = {
+  BULK_ACTIONS,
+  MAX_BULK_ITEMS,
+  inTransaction,
+  planUpdates,
+  runBulkOperation
+};
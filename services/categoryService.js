@@ -0,0 +1,253 @@
+const Category = require('../models/Category');
+const Expense = require('../models/Expense');
+const Budget = require('../models/Budget');
+const RecurringExpense = require('../models/RecurringExpense');
+const UserFeedback = require('../models/UserFeedback');
+const Merchant = require('../models/Merchant');
+const Rule = require('../models/Rule');
+const { logger } = require('../utils/logger');
+const { recordExpenseEvents } = require('./auditService');
+
+const { DEFAULT_CATEGORIES } = Category;
+
+// Where a category's expenses live: top-level categories use `category`,
+// subcategories are stored as { category: parent, subcategory: name }
+function locationOf(category) {
+  return category.parent
+    ? { category: category.parent, subcategory: category.name }
+    : { category: category.name };
+}
+
+function locationFilter(userId, location) {
+  return location.subcategory
+    ? { userId, category: location.category, subcategory: location.subcategory }
+    : { userId, category: location.category };
+}
+
+function locationUpdate(location) {
+  return location.subcategory
+    ? { $set: { category: location.category, subcategory: location.subcategory } }
+    : { $set: { category: location.category } };
+}
+
+// Rules keep their category under `actions`
+function actionsOf(query) {
+  const result = {};
+  for (const [key, value] of Object.entries(query)) {
+    if (key === 'userId') {
+      result[key] = value;
+    } else if (key.startsWith('$')) {
+      result[key] = actionsOf(value);
+    } else {
+      result[`actions.${key}`] = value;
+    }
+  }
+  return result;
+}
+
+// Move expenses, recurring templates, categorizer feedback, merchant and rule defaults from one location to another
+async function relocate(userId, from, to) {
+  const filter = locationFilter(userId, from);
+  let update = locationUpdate(to);
+  if (from.subcategory && !to.subcategory) {
+    update = { ...update, $unset: { subcategory: '' } };
+  }
+
+  // Trashed expenses move too, so they are filed correctly if restored
+  const affected = await Expense.find(filter).withDeleted().lean();
+
+  const [expenses] = await Promise.all([
+    Expense.updateMany(filter, update),
+    RecurringExpense.updateMany(filter, update),
+    UserFeedback.updateMany(filter, update),
+    Merchant.updateMany(filter, update),
+    Rule.updateMany(actionsOf(filter), actionsOf(update))
+  ]);
+
+  await recordExpenseEvents(affected.map(expense => ({
+    actorId: userId,
+    action: 'update',
+    source: 'category',
+    before: expense,
+    after: {
+      ...expense,
+      category: to.category,
+      subcategory: to.subcategory || (from.subcategory ? undefined : expense.subcategory)
+    }
+  })));
+  return expenses.modifiedCount;
+}
+
+// Point budgets at a new top-level category; a budget that would clash with an existing one is dropped
+async function moveBudgets(userId, from, to) {
+  const budgets = await Budget.find({ userId, category: from });
+  let moved = 0;
+  for (const budget of budgets) {
+    const clash = await Budget.exists({ userId, category: to, month: budget.month });
+    if (clash) {
+      await budget.deleteOne();
+    } else {
+      budget.category = to;
+      await budget.save();
+      moved++;
+    }
+  }
+  return moved;
+}
+
+// Export functions
+async function getUserCategories(userId, options = {}) {
+  const query = { userId };
+  if (!options.includeArchived) {
+    query.archived = false;
+  }
+  return await Category.find(query).sort({ parent: 1, name: 1 });
+}
+
+// Resolve a name typed by the user to where the expense is stored.
+// Returns { error } or { value: { category, subcategory?, custom? } }.
+async function resolveCategory(userId, name) {
+  const key = String(name || '').trim().toLowerCase();
+  if (DEFAULT_CATEGORIES.includes(key)) {
+    return { value: { category: key } };
+  }
+
+  const category = await Category.findOne({ userId, nameKey: key });
+  if (!category) {
+    return { error: `Unknown category: ${name}` };
+  }
+  if (category.archived) {
+    return { error: `Category "${category.name}" is archived` };
+  }
+  return { value: { ...locationOf(category), custom: category } };
+}
+
+// Resolve fields.category in place, filling fields.subcategory when a subcategory was picked.
+// Returns an error message or null.
+async function applyCategory(userId, fields) {
+  const result = await resolveCategory(userId, fields.category);
+  if (result.error) {
+    return result.error;
+  }
+  fields.category = result.value.category;
+  if (result.value.subcategory) {
+    fields.subcategory = result.value.subcategory;
+  }
+  return null;
+}
+
+// Like resolveCategory but only accepts top-level categories (used by budgets)
+async function resolveTopLevelCategory(userId, name) {
+  const result = await resolveCategory(userId, name);
+  if (result.value && result.value.subcategory) {
+    return { error: `"${name}" is a subcategory; use its parent "${result.value.category}"` };
+  }
+  return result;
+}
+
+// Check a new or changed category's name and parent; returns an error message or null
+async function validateCategory(userId, fields, existing) {
+  const key = fields.name.trim().toLowerCase();
+  if (DEFAULT_CATEGORIES.includes(key)) {
+    return `"${fields.name}" is a built-in category`;
+  }
+
+  const clash = await Category.findOne({ userId, nameKey: key, _id: { $ne: existing && existing._id } });
+  if (clash) {
+    return `A category named "${clash.name}" already exists`;
+  }
+
+  if (fields.parent) {
+    const parent = await resolveCategory(userId, fields.parent);
+    if (parent.error) {
+      return parent.error;
+    }
+    if (parent.value.subcategory) {
+      return 'Subcategories cannot be nested more than one level';
+    }
+    if (parent.value.category.toLowerCase() === key) {
+      return 'A category cannot be its own parent';
+    }
+    // Keep the parent's canonical spelling
+    fields.parent = parent.value.category;
+  }
+
+  if (existing && Boolean(existing.parent) !== Boolean(fields.parent)) {
+    return 'A category cannot switch between top-level and subcategory';
+  }
+  return null;
+}
+
+// Apply a rename or move of an existing category to everything filed under it
+async function applyCategoryChange(userId, before, after) {
+  const from = locationOf(before);
+  const to = locationOf(after);
+  if (from.category === to.category && from.subcategory === to.subcategory) {
+    return 0;
+  }
+
+  const moved = await relocate(userId, from, to);
+  if (!before.parent) {
+    await Promise.all([
+      Category.updateMany({ userId, parent: before.name }, { parent: after.name }),
+      Budget.updateMany({ userId, category: before.name }, { category: after.name })
+    ]);
+  }
+  return moved;
+}
+
+// Delete a category, moving its expenses, subcategories and budgets into `target`
+// (a resolveCategory value). Top-level categories can only be merged into top-level ones.
+async function deleteCategory(userId, category, target) {
+  const from = locationOf(category);
+  const to = { category: target.category, subcategory: target.subcategory };
+
+  if (!category.parent && to.subcategory) {
+    return { error: 'A top-level category can only be merged into another top-level category' };
+  }
+  if (to.category === from.category && to.subcategory === from.subcategory) {
+    return { error: 'A category cannot be merged into itself' };
+  }
+  if (!category.parent && target.custom && target.custom.parent === category.name) {
+    return { error: 'A category cannot be merged into one of its own subcategories' };
+  }
+
+  const expenses = await relocate(userId, from, to);
+  let budgets = 0;
+  let subcategories = 0;
+  if (!category.parent) {
+    budgets = await moveBudgets(userId, category.name, to.category);
+    const result = await Category.updateMany({ userId, parent: category.name }, { parent: to.category });
+    subcategories = result.modifiedCount;
+  }
+
+  await category.deleteOne();
+
+  logger.info(`Category ${category.name} merged into ${to.subcategory || to.category} for user ${userId}`);
+
+  return { value: { expenses, budgets, subcategories } };
+}
+
+// Custom categories in the shape the auto-categorizer uses
+async function getCategorizerCategories(userId) {
+  const categories = await Category.find({ userId, archived: false }).select('name parent keywords').lean();
+  return categories.map(category => ({
+    ...locationOf(category),
+    // The categorizer matches single words, so names and phrases are split up
+    keywords: [category.name, ...(category.keywords || [])]
+      .flatMap(text => text.toLowerCase().split(/\W+/))
+      .filter(word => word.length > 2)
+  }));
+}
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  getUserCategories,
+  resolveCategory,
+  applyCategory,
+  resolveTopLevelCategory,
+  validateCategory,
+  applyCategoryChange,
+  deleteCategory,
+  getCategorizerCategories
+};
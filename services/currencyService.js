@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const ExchangeRate = require('../models/ExchangeRate');
+const { logger } = require('../utils/logger');
+
+// Exchange-rate lookup: the user's own dated rates first, then the local rates file
+class ExchangeRateTable {
+  constructor() {
+    this.fileRates = null;
+  }
+
+  // Rates file format: { "base": "USD", "date": "YYYY-MM-DD", "rates": { "INR": 83.2, ... } }
+  loadFile() {
+    if (this.fileRates) {
+      return this.fileRates;
+    }
+
+    const file = process.env.EXCHANGE_RATES_FILE || path.join(__dirname, '..', 'config', 'exchangeRates.json');
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      this.fileRates = {
+        base: String(data.base || 'USD').toUpperCase(),
+        date: data.date || null,
+        rates: data.rates || {}
+      };
+    } catch (error) {
+      logger.warn(`Exchange rates file not loaded (${file}):`, error.message);
+      this.fileRates = { base: 'USD', date: null, rates: {} };
+    }
+    return this.fileRates;
+  }
+
+  fileRate(from, to) {
+    const { base, rates } = this.loadFile();
+    const fromRate = from === base ? 1 : rates[from];
+    const toRate = to === base ? 1 : rates[to];
+    if (!fromRate || !toRate) {
+      return null;
+    }
+    return toRate / fromRate;
+  }
+
+  async manualRate(userId, from, to, date) {
+    if (!userId) {
+      return null;
+    }
+
+    const rate = await ExchangeRate.findOne({
+      userId,
+      $or: [{ from, to }, { from: to, to: from }],
+      date: { $lte: date }
+    }).sort({ date: -1 });
+
+    if (!rate) {
+      return null;
+    }
+    return rate.from === from ? rate.rate : 1 / rate.rate;
+  }
+
+  async getRate(from, to, options = {}) {
+    if (from === to) {
+      return { rate: 1, source: 'identity' };
+    }
+
+    const manual = await this.manualRate(options.userId, from, to, options.date || new Date());
+    if (manual) {
+      return { rate: manual, source: 'manual' };
+    }
+
+    const fileRate = this.fileRate(from, to);
+    if (fileRate) {
+      return { rate: fileRate, source: 'file' };
+    }
+
+    return null;
+  }
+}
+
+const rateTable = new ExchangeRateTable();
+
+// Export functions
+function normalizeCurrency(currency) {
+  return String(currency || '').trim().toUpperCase();
+}
+
+async function getExchangeRate(from, to, options = {}) {
+  return await rateTable.getRate(normalizeCurrency(from), normalizeCurrency(to), options);
+}
+
+// Converts an amount into `to`; returns null when no rate is known
+async function convertAmount(amount, from, to, options = {}) {
+  const result = await getExchangeRate(from, to, options);
+  if (!result) {
+    return null;
+  }
+  return {
+    amount: Math.round(amount * result.rate * 100) / 100,
+    rate: result.rate,
+    source: result.source
+  };
+}
+
+// Currency fields for an expense; null when no exchange rate to the user's base currency is known
+async function expenseCurrencyFields(user, amount, currency, date) {
+  const baseCurrency = normalizeCurrency(user.preferences?.currency || 'USD');
+  const expenseCurrency = normalizeCurrency(currency || baseCurrency);
+  const converted = await convertAmount(amount, expenseCurrency, baseCurrency, { userId: user._id, date });
+
+  if (!converted) {
+    return null;
+  }
+  return {
+    currency: expenseCurrency,
+    exchangeRate: converted.rate,
+    baseAmount: converted.amount
+  };
+}
+
+function getFileRates() {
+  return rateTable.loadFile();
+}
+
+function formatMoney(amount, currency) {
+  try {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: normalizeCurrency(currency) || 'USD'
+    }).format(amount || 0);
+  } catch (error) {
+    return `${normalizeCurrency(currency)} ${Number(amount || 0).toFixed(2)}`;
+  }
+}
+
+module.exports = {
+  normalizeCurrency,
+  getExchangeRate,
+  convertAmount,
+  expenseCurrencyFields,
+  getFileRates,
+  formatMoney
+};
@@ -0,0 +1,185 @@
+const { once } = require('events');
+const Expense = require('../models/Expense');
+
+const CSV_COLUMNS = ['date', 'name', 'amount', 'currency', 'base_amount', 'category', 'subcategory', 'tags', 'notes', 'id'];
+
+// Spreadsheet apps execute cells that start with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function dayKey(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+function csvCell(value, guardFormulas) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (guardFormulas && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function ofxText(value, maxLength) {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/[\r\n]+/g, ' ')
+    .slice(0, maxLength);
+}
+
+function ofxDate(date) {
+  return dayKey(date).replace(/-/g, '');
+}
+
+// Expenses recorded before multi-currency support are in the base currency
+function baseAmount(expense) {
+  return expense.baseAmount ?? expense.amount;
+}
+
+function csvRow(expense, currency, guardFormulas) {
+  return [
+    dayKey(expense.date),
+    expense.name,
+    expense.amount.toFixed(2),
+    expense.currency || currency,
+    baseAmount(expense).toFixed(2),
+    expense.category,
+    expense.subcategory,
+    (expense.tags || []).join(';'),
+    expense.notes,
+    expense._id
+  ].map((value, i) => csvCell(value, guardFormulas && i !== 2 && i !== 4)).join(',');
+}
+
+// One writer per format: header, rows and footer are streamed in order
+const writers = {
+  csv: ({ currency }) => ({
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: () => `${CSV_COLUMNS.join(',')}\n`,
+    row: expense => `${csvRow(expense, currency, true)}\n`,
+    footer: () => ''
+  }),
+  // Excel needs a BOM to read UTF-8 (₹, non-Latin names) and prefers CRLF line endings
+  xlsx: ({ currency }) => ({
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: () => `\uFEFF${CSV_COLUMNS.join(',')}\r\n`,
+    row: expense => `${csvRow(expense, currency, true)}\r\n`,
+    footer: () => ''
+  }),
+  json: () => ({
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    header: () => '[',
+    row: (expense, index) => `${index > 0 ? ',' : ''}\n${JSON.stringify(expense)}`,
+    footer: () => '\n]\n'
+  }),
+  jsonl: () => ({
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'jsonl',
+    header: () => '',
+    row: expense => `${JSON.stringify(expense)}\n`,
+    footer: () => ''
+  }),
+  ofx: ({ currency, startDate, endDate }) => ({
+    contentType: 'application/x-ofx',
+    extension: 'ofx',
+    header: () => [
+      'OFXHEADER:100',
+      'DATA:OFXSGML',
+      'VERSION:102',
+      'SECURITY:NONE',
+      'ENCODING:USASCII',
+      'CHARSET:1252',
+      'COMPRESSION:NONE',
+      'OLDFILEUID:NONE',
+      'NEWFILEUID:NONE',
+      '',
+      '<OFX>',
+      '<SIGNONMSGSRSV1><SONRS>',
+      '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+      `<DTSERVER>${ofxDate(new Date())}`,
+      '<LANGUAGE>ENG',
+      '</SONRS></SIGNONMSGSRSV1>',
+      '<BANKMSGSRSV1><STMTTRNRS>',
+      '<TRNUID>0',
+      '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+      '<STMTRS>',
+      `<CURDEF>${currency}`,
+      '<BANKACCTFROM><BANKID>AIEXPENSE<ACCTID>EXPENSES<ACCTTYPE>CHECKING</BANKACCTFROM>',
+      '<BANKTRANLIST>',
+      `<DTSTART>${ofxDate(startDate || new Date(0))}`,
+      `<DTEND>${ofxDate(endDate || new Date())}`,
+      ''
+    ].join('\n'),
+    row: expense => [
+      '<STMTTRN>',
+      '<TRNTYPE>DEBIT',
+      `<DTPOSTED>${ofxDate(expense.date)}`,
+      `<TRNAMT>-${baseAmount(expense).toFixed(2)}`,
+      `<FITID>${expense._id}`,
+      `<NAME>${ofxText(expense.name, 32)}`,
+      `<MEMO>${ofxText([expense.category, expense.notes].filter(Boolean).join(' - '), 255)}`,
+      ...(expense.currency && expense.currency !== currency
+        ? [`<ORIGCURRENCY><CURRATE>${expense.exchangeRate}<CURSYM>${expense.currency}</ORIGCURRENCY>`]
+        : []),
+      '</STMTTRN>',
+      ''
+    ].join('\n'),
+    footer: () => '</BANKTRANLIST>\n</STMTRS>\n</STMTTRNRS></BANKMSGSRSV1>\n</OFX>\n'
+  })
+};
+
+// Export functions
+function getExportFormats() {
+  return Object.keys(writers);
+}
+
+// Streams every matching expense to an HTTP response without loading the set into memory
+async function streamExpenses(res, userId, options = {}) {
+  const writer = writers[options.format](options);
+  const query = Expense.buildUserQuery(userId, options);
+  const cursor = Expense.find(query)
+    .sort({ date: -1, _id: -1 })
+    .select('-ocrData -attachments.ocrText -__v')
+    .lean()
+    .cursor();
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+    cursor.close().catch(() => {});
+  });
+
+  res.setHeader('Content-Type', writer.contentType);
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="expenses-${dayKey(new Date())}.${writer.extension}"`
+  );
+
+  const write = async chunk => {
+    if (chunk && !closed && !res.write(chunk)) {
+      await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    }
+  };
+
+  let count = 0;
+  await write(writer.header());
+  for await (const expense of cursor) {
+    if (closed) {
+      break;
+    }
+    await write(writer.row(expense, count));
+    count++;
+  }
+  await write(writer.footer());
+  res.end();
+
+  return count;
+}
+
+module.exports = {
+  getExportFormats,
+  streamExpenses
+};
@@ -0,0 +1,454 @@
+const Expense = require('../models/Expense');
+const { categorizeExpense } = require('./mlService');
+const { resolveCategory, getCategorizerCategories } = require('./categoryService');
+const { logger } = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ROWS = 5000;
+
+// Header names recognised when no explicit column mapping is given
+const DEFAULT_COLUMNS = {
+  date: ['date', 'transaction date', 'txn date', 'posting date', 'value date'],
+  name: ['name', 'description', 'payee', 'narration', 'merchant', 'particulars', 'details'],
+  amount: ['amount', 'transaction amount', 'value'],
+  debit: ['debit', 'withdrawal', 'withdrawal amt.', 'withdrawal amount', 'paid out'],
+  credit: ['credit', 'deposit', 'deposit amt.', 'deposit amount', 'paid in'],
+  notes: ['notes', 'memo', 'reference', 'remarks'],
+  category: ['category']
+};
+
+// Parses bank statements into plain transaction rows
+class StatementParser {
+  detectFormat(filename, text) {
+    const ext = (filename || '').toLowerCase().split('.').pop();
+    if (ext === 'ofx' || ext === 'qfx' || /<OFX>/i.test(text)) {
+      return 'ofx';
+    }
+    if (ext === 'qif' || /^!Type:/im.test(text)) {
+      return 'qif';
+    }
+    return 'csv';
+  }
+
+  parseAmount(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    let text = String(value).trim();
+    if (!text) {
+      return null;
+    }
+
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+      negative = true;
+      text = text.slice(1, -1);
+    }
+    if (/\s*(dr|debit)\.?$/i.test(text)) {
+      negative = true;
+    }
+    text = text.replace(/(cr|dr|debit|credit)\.?$/i, '').replace(/[^\d.,-]/g, '');
+    if (text.startsWith('-')) {
+      negative = !negative;
+      text = text.slice(1);
+    }
+
+    // A trailing ",dd" group means a decimal comma (1.234,56)
+    if (/,\d{1,2}$/.test(text) && !/\.\d{1,2}$/.test(text)) {
+      text = text.replace(/\./g, '').replace(',', '.');
+    } else {
+      text = text.replace(/,/g, '');
+    }
+
+    const amount = parseFloat(text);
+    if (isNaN(amount)) {
+      return null;
+    }
+    return negative ? -amount : amount;
+  }
+
+  // Decide between day-first and month-first from the whole column so every row agrees
+  detectDateOrder(values, fallback = 'dmy') {
+    for (const value of values) {
+      const match = String(value || '').match(/^(\d{1,2})[/.-](\d{1,2})[/.'-]/);
+      if (!match) {
+        continue;
+      }
+      if (parseInt(match[1]) > 12) {
+        return 'dmy';
+      }
+      if (parseInt(match[2]) > 12) {
+        return 'mdy';
+      }
+    }
+    return fallback;
+  }
+
+  parseDate(value, order = 'dmy') {
+    const text = String(value || '').trim();
+    if (!text) {
+      return null;
+    }
+
+    let match = text.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+    if (match) {
+      return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+    }
+
+    match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.'-]\s*(\d{2,4})/);
+    if (match) {
+      let year = parseInt(match[3]);
+      if (year < 100) {
+        year += 2000;
+      }
+      const [day, month] = order === 'mdy' ? [+match[2], +match[1]] : [+match[1], +match[2]];
+      if (month < 1 || month > 12 || day < 1 || day > 31) {
+        return null;
+      }
+      return new Date(Date.UTC(year, month - 1, day));
+    }
+
+    const parsed = new Date(text);
+    return isNaN(parsed.getTime()) ? null : parsed;
+  }
+
+  splitCSVLine(line, delimiter) {
+    const cells = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          current += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        cells.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    cells.push(current.trim());
+    return cells;
+  }
+
+  // Resolve a mapping entry (header name or zero-based index) to a column index
+  resolveColumn(headers, entry) {
+    if (entry === undefined || entry === null || entry === '') {
+      return -1;
+    }
+    if (typeof entry === 'number' || /^\d+$/.test(String(entry))) {
+      return parseInt(entry);
+    }
+    return headers.indexOf(String(entry).trim().toLowerCase());
+  }
+
+  parseCSV(text, options = {}) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+    if (lines.length === 0) {
+      return [];
+    }
+
+    const delimiter = options.delimiter ||
+      [',', ';', '\t', '|'].sort((a, b) => lines[0].split(b).length - lines[0].split(a).length)[0];
+    const hasHeader = options.hasHeader !== false;
+    const headers = hasHeader ? this.splitCSVLine(lines[0], delimiter).map(h => h.toLowerCase()) : [];
+    const body = (hasHeader ? lines.slice(1) : lines).map(line => this.splitCSVLine(line, delimiter));
+
+    const mapping = options.mapping || {};
+    const columns = {};
+    Object.keys(DEFAULT_COLUMNS).forEach(field => {
+      columns[field] = mapping[field] !== undefined
+        ? this.resolveColumn(headers, mapping[field])
+        : headers.findIndex(header => DEFAULT_COLUMNS[field].includes(header));
+    });
+
+    if (columns.date < 0 || columns.name < 0 || (columns.amount < 0 && columns.debit < 0)) {
+      throw new Error('Could not find date, name and amount columns; provide a column mapping');
+    }
+
+    const order = options.dateOrder || this.detectDateOrder(body.map(cells => cells[columns.date]));
+    const cell = (cells, field) => (columns[field] >= 0 ? cells[columns[field]] : undefined);
+
+    return body.map(cells => {
+      let amount;
+      if (columns.debit >= 0 || columns.credit >= 0) {
+        const debit = this.parseAmount(cell(cells, 'debit'));
+        const credit = this.parseAmount(cell(cells, 'credit'));
+        amount = debit ? -Math.abs(debit) : (credit ? Math.abs(credit) : this.parseAmount(cell(cells, 'amount')));
+      } else {
+        amount = this.parseAmount(cell(cells, 'amount'));
+      }
+
+      return {
+        date: this.parseDate(cell(cells, 'date'), order),
+        name: cell(cells, 'name'),
+        amount,
+        notes: cell(cells, 'notes'),
+        category: cell(cells, 'category')
+      };
+    });
+  }
+
+  parseOFX(text) {
+    const tag = (block, name) => {
+      const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+      return match ? match[1].trim() : undefined;
+    };
+
+    const blocks = text.split(/<STMTTRN>/i).slice(1).map(block => block.split(/<\/STMTTRN>/i)[0]);
+    return blocks.map(block => {
+      const posted = tag(block, 'DTPOSTED') || '';
+      const name = tag(block, 'NAME') || tag(block, 'PAYEE') || tag(block, 'MEMO');
+      const memo = tag(block, 'MEMO');
+      return {
+        date: this.parseDate(posted.slice(0, 8)),
+        name,
+        amount: this.parseAmount(tag(block, 'TRNAMT')),
+        notes: memo && memo !== name ? memo : undefined,
+        externalId: tag(block, 'FITID')
+      };
+    });
+  }
+
+  parseQIF(text) {
+    const records = text.split(/^\^\s*$/m)
+      .map(record => record.split(/\r?\n/).filter(line => line && !line.startsWith('!')))
+      .filter(record => record.length > 0);
+
+    const raw = records.map(record => {
+      const fields = {};
+      record.forEach(line => {
+        fields[line[0]] = line.slice(1).trim();
+      });
+      return fields;
+    });
+
+    // QIF comes from US software, so ambiguous dates are month-first
+    const order = this.detectDateOrder(raw.map(fields => fields.D), 'mdy');
+    return raw.map(fields => ({
+      date: this.parseDate(fields.D, order),
+      name: fields.P || fields.M,
+      amount: this.parseAmount(fields.T || fields.U),
+      notes: fields.P && fields.M ? fields.M : undefined,
+      category: fields.L,
+      externalId: fields.N
+    }));
+  }
+
+  parse(text, format, options = {}) {
+    switch (format) {
+    case 'ofx':
+      return this.parseOFX(text);
+    case 'qif':
+      return this.parseQIF(text);
+    default:
+      return this.parseCSV(text, options);
+    }
+  }
+}
+
+// Flags statement rows that are likely already recorded
+class DuplicateDetector {
+  normalize(name) {
+    return String(name || '')
+      .toLowerCase()
+      .replace(/[^a-z\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  levenshtein(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let diagonal = previous[0];
+      previous[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const temp = previous[j];
+        previous[j] = Math.min(
+          previous[j] + 1,
+          previous[j - 1] + 1,
+          diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        diagonal = temp;
+      }
+    }
+    return previous[b.length];
+  }
+
+  // Best of token overlap and edit-distance ratio, 0..1
+  similarity(a, b) {
+    const left = this.normalize(a);
+    const right = this.normalize(b);
+    if (!left || !right) {
+      return 0;
+    }
+    if (left === right || left.includes(right) || right.includes(left)) {
+      return 1;
+    }
+
+    const leftTokens = new Set(left.split(' '));
+    const rightTokens = new Set(right.split(' '));
+    const shared = [...leftTokens].filter(token => rightTokens.has(token)).length;
+    const jaccard = shared / new Set([...leftTokens, ...rightTokens]).size;
+    const edit = 1 - this.levenshtein(left, right) / Math.max(left.length, right.length);
+
+    return Math.max(jaccard, edit);
+  }
+
+  isMatch(row, candidate, windowDays, threshold) {
+    if (Math.abs(row.amount - candidate.amount) > 0.009) {
+      return 0;
+    }
+    if (Math.abs(row.date - new Date(candidate.date)) > windowDays * DAY_MS) {
+      return 0;
+    }
+    const score = this.similarity(row.name, candidate.name);
+    return score >= threshold ? score : 0;
+  }
+
+  async flag(userId, rows, options = {}) {
+    const windowDays = options.windowDays || 3;
+    const threshold = options.threshold || 0.6;
+    const candidates = rows.filter(row => row.status === 'new');
+    if (candidates.length === 0) {
+      return rows;
+    }
+
+    const times = candidates.map(row => row.date.getTime());
+    const existing = await Expense.find({
+      userId,
+      date: {
+        $gte: new Date(Math.min(...times) - windowDays * DAY_MS),
+        $lte: new Date(Math.max(...times) + windowDays * DAY_MS)
+      }
+    }).select('name amount date metadata.externalId').lean();
+
+    const seen = [];
+    candidates.forEach(row => {
+      let best = null;
+      existing.forEach(expense => {
+        const externalMatch = row.externalId && expense.metadata && expense.metadata.externalId === row.externalId;
+        const score = externalMatch ? 1 : this.isMatch(row, expense, windowDays, threshold);
+        if (score > 0 && (!best || score > best.score)) {
+          best = { score, expenseId: expense._id };
+        }
+      });
+
+      // Repeated rows inside the same statement
+      if (!best) {
+        seen.forEach(other => {
+          const score = row.externalId && other.externalId === row.externalId
+            ? 1
+            : this.isMatch(row, other, 0, 1);
+          if (score > 0 && !best) {
+            best = { score, rowIndex: other.index };
+          }
+        });
+      }
+
+      if (best) {
+        row.status = 'duplicate';
+        row.duplicateScore = Math.round(best.score * 100) / 100;
+        if (best.expenseId) {
+          row.duplicateOf = best.expenseId;
+        }
+        if (best.rowIndex !== undefined) {
+          row.duplicateOfRow = best.rowIndex;
+        }
+      }
+      seen.push(row);
+    });
+
+    return rows;
+  }
+}
+
+const parser = new StatementParser();
+const duplicateDetector = new DuplicateDetector();
+
+// Export functions
+
+// Parse a CSV, OFX or QIF statement into transactions: { date, name, amount, notes, category, externalId },
+// outflows negative when the statement signs them. `format` is detected from `filename` and the text if not given.
+function parseStatement(text, options = {}) {
+  const format = options.format || parser.detectFormat(options.filename, text);
+  return { format, transactions: parser.parse(text, format, options) };
+}
+
+async function previewStatement(userId, text, options = {}) {
+  const { format, transactions: parsed } = parseStatement(text, options);
+
+  if (parsed.length > MAX_ROWS) {
+    throw new Error(`Statements are limited to ${MAX_ROWS} transactions`);
+  }
+
+  // Negative amounts are outflows, unless the statement only has positive amounts
+  const signed = parsed.some(row => row.amount < 0);
+  const rows = [];
+  const userCategories = await getCategorizerCategories(userId);
+  const resolvedNames = new Map();
+
+  for (const [index, entry] of parsed.entries()) {
+    const row = { index, externalId: entry.externalId, status: 'new' };
+    rows.push(row);
+
+    if (!entry.date || !entry.name || entry.amount === null || entry.amount === undefined) {
+      row.status = 'error';
+      row.error = 'Missing or unreadable date, name or amount';
+      row.name = entry.name;
+      continue;
+    }
+
+    row.date = entry.date;
+    row.name = String(entry.name).slice(0, 255);
+    row.notes = entry.notes ? String(entry.notes).slice(0, 1000) : undefined;
+    row.amount = Math.min(Math.abs(entry.amount), 999999.99);
+
+    if ((signed && entry.amount > 0) || row.amount === 0) {
+      row.status = 'income';
+      continue;
+    }
+
+    // A category column is used when it names one of the user's categories
+    const categoryName = entry.category ? String(entry.category).trim().toLowerCase() : '';
+    if (categoryName && !resolvedNames.has(categoryName)) {
+      resolvedNames.set(categoryName, await resolveCategory(userId, categoryName));
+    }
+    const mapped = resolvedNames.get(categoryName);
+    if (mapped && mapped.value) {
+      row.category = mapped.value.category;
+      row.subcategory = mapped.value.subcategory;
+      row.aiCategorized = false;
+    } else {
+      try {
+        const aiResult = await categorizeExpense(row.name, row.amount, row.notes, { userId, userCategories });
+        row.category = aiResult.category;
+        row.subcategory = aiResult.subcategory;
+        row.confidenceScore = aiResult.confidence;
+        row.aiCategorized = true;
+      } catch (aiError) {
+        logger.warn('AI categorization failed during import:', aiError);
+        row.category = 'other';
+      }
+    }
+  }
+
+  await duplicateDetector.flag(userId, rows, options);
+
+  return { format, rows };
+}
+
+module.exports = {
+  parseStatement,
+  previewStatement
+};
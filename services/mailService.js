@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'AI Expense Tracker <no-reply@localhost>';
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || './outbox';
+const APP_URL = (process.env.APP_URL || process.env.FRONTEND_URL || 'http://localhost:5500').replace(/\/+$/, '');
+
+// Outgoing mail; transports receive { from, to, subject, text } and deliver it
+class Mailer {
+  constructor() {
+    this.transports = new Map();
+    this.register('file', message => this.writeToOutbox(message));
+    this.register('log', async message => {
+      // Never log the body: it carries one-time tokens
+      logger.info(`Mail to ${message.to}: ${message.subject}`);
+    });
+  }
+
+  register(name, send) {
+    this.transports.set(name, send);
+  }
+
+  // Development default: every message becomes an .eml file in the outbox directory
+  async writeToOutbox(message) {
+    await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+
+    const slug = message.subject.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const file = path.join(OUTBOX_DIR, `${Date.now()}-${slug}.eml`);
+    const content = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      message.text
+    ].join('\r\n');
+
+    await fs.promises.writeFile(file, content);
+    logger.info(`Mail to ${message.to} written to ${file}`);
+  }
+
+  // Production has no default: 'file' and 'log' never reach the recipient
+  transportName() {
+    return process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? null : 'file');
+  }
+
+  async send(message) {
+    const name = this.transportName();
+    if (!name) {
+      throw new Error('No mail transport configured; set MAIL_TRANSPORT');
+    }
+    const transport = this.transports.get(name);
+    if (!transport) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    await transport({ from: MAIL_FROM, ...message });
+  }
+}
+
+const mailer = new Mailer();
+
+// Export functions
+function registerTransport(name, send) {
+  mailer.register(name, send);
+}
+
+// Called at startup so a production server that cannot deliver mail says so before anyone needs it
+function checkMailTransport() {
+  const name = mailer.transportName();
+  if (!name) {
+    logger.warn('⚠️ MAIL_TRANSPORT is not set: verification and password reset emails will not be sent');
+  } else if (process.env.NODE_ENV === 'production' && (name === 'file' || name === 'log')) {
+    logger.warn(`⚠️ MAIL_TRANSPORT is '${name}': verification and password reset emails will not reach users`);
+  }
+}
+
+// Delivery failures are logged rather than thrown so auth flows never reveal them
+async function sendMail(message) {
+  try {
+    await mailer.send(message);
+    return true;
+  } catch (error) {
+    logger.error('Send mail error:', error);
+    return false;
+  }
+}
+
+async function sendVerificationEmail(user, token) {
+  const link = `${APP_URL}/?verify=${encodeURIComponent(token)}`;
+  return await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Please confirm your email address for AI Expense Tracker by opening this link:',
+      '',
+      link,
+      '',
+      'If you did not create an account you can ignore this message.'
+    ].join('\n')
+  });
+}
+
+async function sendPasswordResetEmail(user, token) {
+  const link = `${APP_URL}/?reset=${encodeURIComponent(token)}`;
+  return await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Someone asked to reset the password for your AI Expense Tracker account. To choose a new password open:',
+      '',
+      link,
+      '',
+      'The link can be used once and expires soon. If you did not ask for a reset you can ignore this message.'
+    ].join('\n')
+  });
+}
+
+module.exports = {
+  registerTransport,
+  checkMailTransport,
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
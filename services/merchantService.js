@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const Merchant = require('../models/Merchant');
+const Expense = require('../models/Expense');
+const { logger } = require('../utils/logger');
+
+// Payment processors that prefix the real merchant, e.g. "SQ *BLUE BOTTLE"
+const PROCESSOR_PREFIXES = new Set(['sq', 'tst', 'paypal', 'pp', 'sp', 'iz', 'zettle', 'sumup', 'pos']);
+
+// Legal-entity suffixes and statement filler that never tell merchants apart
+const STOP_WORDS = new Set([
+  'inc', 'llc', 'ltd', 'limited', 'bv', 'gmbh', 'plc', 'corp', 'pvt', 'pty', 'sarl', 'ag',
+  'the', 'www', 'com', 'purchase', 'debit', 'card', 'payment'
+]);
+
+// Statement abbreviations of well-known merchants
+const KNOWN_ALIASES = {
+  'amzn': 'amazon',
+  'amzn mktp': 'amazon',
+  'amazon mktplace': 'amazon',
+  'amazon marketplace': 'amazon',
+  'wal mart': 'walmart',
+  'wm supercenter': 'walmart',
+  'walmart supercenter': 'walmart',
+  'mcdonald s': 'mcdonalds',
+  'starbucks coffee': 'starbucks',
+  'netflix com': 'netflix',
+  'google play': 'google'
+};
+
+const MAX_KEY_WORDS = 4;
+
+function titleCase(key) {
+  return key.replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+// Export functions
+
+// Normalized key for a raw merchant string: "UBER *TRIP 8H2K", "Uber BV" and "uber" all give "uber"
+function merchantKey(raw) {
+  let text = String(raw || '').toLowerCase().replace(/['’]/g, '');
+
+  if (text.includes('*')) {
+    const parts = text.split('*').map(part => part.trim()).filter(Boolean);
+    const first = (parts[0] || '').replace(/[^a-z]/g, '');
+    // "SQ *SHOP" names the shop after the star; "UBER *TRIP 8H2K" has a trip descriptor after it
+    text = PROCESSOR_PREFIXES.has(first) ? parts.slice(1).join(' ') : (parts[0] || '');
+  }
+
+  text = text.replace(/https?:\/\//g, ' ').replace(/\.(com|net|org|io)\b/g, ' ');
+
+  const words = [];
+  for (const token of text.split(/[^a-z0-9]+/).filter(Boolean)) {
+    // Store numbers and reference codes end the name ("STARBUCKS 1234 SEATTLE")
+    if (/\d/.test(token) && words.some(word => /[a-z]/.test(word))) {
+      break;
+    }
+    if (!STOP_WORDS.has(token)) {
+      words.push(token);
+    }
+  }
+
+  const kept = words.slice(0, MAX_KEY_WORDS);
+  for (let length = kept.length; length > 0; length--) {
+    const known = KNOWN_ALIASES[kept.slice(0, length).join(' ')];
+    if (known) {
+      return known;
+    }
+  }
+  return kept.join(' ');
+}
+
+// Find or create the user's merchant for a raw name; returns null when nothing usable is left
+async function resolveMerchant(userId, rawName) {
+  const key = merchantKey(rawName);
+  if (!key || key === 'unknown merchant') {
+    return null;
+  }
+
+  try {
+    const existing = await Merchant.findOne({ userId, aliases: key });
+    if (existing) {
+      return existing;
+    }
+    return await Merchant.create({ userId, name: titleCase(key), aliases: [key] });
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 11000) {
+      return await Merchant.findOne({ userId, aliases: key });
+    }
+    logger.error('Merchant normalization error:', error);
+    return null;
+  }
+}
+
+// Spend per merchant, largest first
+async function getTopMerchants(userId, options = {}) {
+  const match = {
+    userId: new mongoose.Types.ObjectId(userId),
+    merchantId: { $ne: null }
+  };
+  if (options.startDate || options.endDate) {
+    match.date = {};
+    if (options.startDate) {
+      match.date.$gte = new Date(options.startDate);
+    }
+    if (options.endDate) {
+      match.date.$lte = new Date(options.endDate);
+    }
+  }
+
+  return await Expense.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$merchantId',
+        total: { $sum: { $ifNull: ['$baseAmount', '$amount'] } },
+        count: { $sum: 1 },
+        lastDate: { $max: '$date' }
+      }
+    },
+    { $sort: { total: -1 } },
+    { $limit: options.limit || 20 },
+    { $lookup: { from: 'merchants', localField: '_id', foreignField: '_id', as: 'merchant' } },
+    { $unwind: '$merchant' },
+    { $project: { _id: 0, merchant: 1, total: 1, count: 1, lastDate: 1 } }
+  ]);
+}
+
+// Fold other merchants into `target`: their aliases and expenses move over and they are deleted
+async function mergeMerchants(userId, target, sourceIds) {
+  const sources = await Merchant.find({
+    _id: { $in: sourceIds, $ne: target._id },
+    userId
+  });
+  if (sources.length === 0) {
+    return { merged: 0, expenses: 0 };
+  }
+
+  const ids = sources.map(source => source._id);
+  const aliases = sources.flatMap(source => source.aliases);
+
+  const result = await Expense.updateMany({ userId, merchantId: { $in: ids } }, { merchantId: target._id });
+  // Sources go first so their aliases are free for the unique index
+  await Merchant.deleteMany({ _id: { $in: ids }, userId });
+
+  aliases.forEach(alias => target.aliases.addToSet(alias));
+  if (!target.category) {
+    const withCategory = sources.find(source => source.category);
+    if (withCategory) {
+      target.category = withCategory.category;
+      target.subcategory = withCategory.subcategory;
+    }
+  }
+  if (!target.logo) {
+    target.logo = sources.map(source => source.logo).find(Boolean);
+  }
+  await target.save();
+
+  logger.info(`Merged ${sources.length} merchant(s) into ${target._id} for user ${userId}`);
+
+  return { merged: sources.length, expenses: result.modifiedCount };
+}
+
+// Link existing expenses that predate merchant normalization
+async function backfillMerchants(userId) {
+  const cache = new Map();
+  let updated = 0;
+  const expenses = Expense.find({ userId, merchantId: null }).select('name').lean().cursor();
+
+  for await (const expense of expenses) {
+    const key = merchantKey(expense.name);
+    if (!cache.has(key)) {
+      cache.set(key, await resolveMerchant(userId, expense.name));
+    }
+    const merchant = cache.get(key);
+    if (merchant) {
+      await Expense.updateOne({ _id: expense._id }, { merchantId: merchant._id });
+      updated++;
+    }
+  }
+
+  return updated;
+}
+
+module.exports = {
+  merchantKey,
+  resolveMerchant,
+  getTopMerchants,
+  mergeMerchants,
+  backfillMerchants
+};
@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const Expense = require('../models/Expense');
+const UserFeedback = require('../models/UserFeedback');
 const { logger } = require('../utils/logger');
+const { DEFAULT_CATEGORIES, getCategorizerCategories } = require('./categoryService');
 
 // Simple ML-based categorization using TF-IDF and keyword matching
 class ExpenseCategorizer {
@@ -18,9 +20,8 @@ class ExpenseCategorizer {
   }
 
   // Calculate TF-IDF score for text
-  calculateTFIDF(text, category) {
+  calculateTFIDF(text, categoryKeywords) {
     const words = text.toLowerCase().split(/\W+/).filter(word => word.length > 2);
-    const categoryKeywords = this.categories[category] || [];
     
     let score = 0;
     words.forEach(word => {
@@ -32,16 +33,23 @@ class ExpenseCategorizer {
     return score / words.length;
   }
 
-  // Categorize expense using ML approach
-  async categorize(expenseName, amount, notes = '') {
+  // Categorize expense using ML approach.
+  // userCategories ({ category, subcategory?, keywords }) compete with the built-in keyword map.
+  async categorize(expenseName, amount, notes = '', userCategories = []) {
     const text = `${expenseName} ${notes}`.toLowerCase();
     let bestCategory = 'other';
+    let bestSubcategory;
     let bestScore = 0;
 
-    for (const [category, keywords] of Object.entries(this.categories)) {
-      if (category === 'other') continue;
+    const candidates = [
+      ...Object.entries(this.categories).map(([category, keywords]) => ({ category, keywords })),
+      ...userCategories
+    ];
+
+    for (const { category, subcategory, keywords } of candidates) {
+      if (keywords.length === 0) continue;
       
-      let score = this.calculateTFIDF(text, category);
+      let score = this.calculateTFIDF(text, keywords);
       
       // Add amount-based heuristics
       if (category === 'food' && amount < 100) score += 0.1;
@@ -51,11 +59,13 @@ class ExpenseCategorizer {
       if (score > bestScore) {
         bestScore = score;
         bestCategory = category;
+        bestSubcategory = subcategory;
       }
     }
 
     // If no good match, use amount-based fallback
     if (bestScore < 0.1) {
+      bestSubcategory = undefined;
       if (amount < 20) bestCategory = 'food';
       else if (amount < 100) bestCategory = 'shopping';
       else if (amount < 500) bestCategory = 'utilities';
@@ -64,11 +74,168 @@ class ExpenseCategorizer {
 
     return {
       category: bestCategory,
+      ...(bestSubcategory && { subcategory: bestSubcategory }),
       confidence: Math.min(bestScore * 2, 1.0)
     };
   }
 }
 
+// Per-user categorizer trained from the user's corrections: merchant memory plus
+// multinomial naive Bayes over name/notes tokens. Consulted before the keyword map.
+class PersonalCategorizer {
+  constructor() {
+    this.models = new Map();
+    this.maxCachedUsers = 500;
+    // Retrain periodically so other server instances pick up new feedback
+    this.maxModelAgeMs = 10 * 60 * 1000;
+    this.maxFeedback = 2000;
+    this.minBayesExamples = 5;
+    this.minConfidence = 0.6;
+  }
+
+  tokenize(text) {
+    return String(text || '').toLowerCase().split(/\W+/).filter(word => word.length > 2 && !/^\d+$/.test(word));
+  }
+
+  // Same merchant regardless of store numbers, punctuation or case
+  merchantKey(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z\s]/g, ' ').split(/\s+/).filter(Boolean).slice(0, 3).join(' ');
+  }
+
+  labelOf(entry) {
+    return JSON.stringify([entry.category, entry.subcategory || null]);
+  }
+
+  train(feedback) {
+    const merchants = new Map();
+    const classCounts = new Map();
+    const tokenCounts = new Map();
+    const tokenTotals = new Map();
+    const vocabulary = new Set();
+
+    feedback.forEach(entry => {
+      const label = this.labelOf(entry);
+
+      // The latest correction wins; repeated agreement raises confidence
+      const key = this.merchantKey(entry.name);
+      if (key) {
+        const memory = merchants.get(key);
+        if (memory && memory.label === label) {
+          memory.streak++;
+        } else {
+          merchants.set(key, { label, streak: 1 });
+        }
+      }
+
+      classCounts.set(label, (classCounts.get(label) || 0) + 1);
+      if (!tokenCounts.has(label)) {
+        tokenCounts.set(label, new Map());
+      }
+      const counts = tokenCounts.get(label);
+      this.tokenize(`${entry.name} ${entry.notes || ''}`).forEach(token => {
+        counts.set(token, (counts.get(token) || 0) + 1);
+        tokenTotals.set(label, (tokenTotals.get(label) || 0) + 1);
+        vocabulary.add(token);
+      });
+    });
+
+    return {
+      merchants,
+      classCounts,
+      tokenCounts,
+      tokenTotals,
+      vocabulary,
+      examples: feedback.length,
+      trainedAt: Date.now()
+    };
+  }
+
+  async getModel(userId) {
+    const key = String(userId);
+    const cached = this.models.get(key);
+    if (cached && Date.now() - cached.trainedAt < this.maxModelAgeMs) {
+      return cached;
+    }
+
+    const feedback = await UserFeedback.find({ userId })
+      .sort({ createdAt: -1 })
+      .limit(this.maxFeedback)
+      .select('name notes category subcategory')
+      .lean();
+    const model = this.train(feedback.reverse());
+
+    this.models.delete(key);
+    this.models.set(key, model);
+    if (this.models.size > this.maxCachedUsers) {
+      this.models.delete(this.models.keys().next().value);
+    }
+    return model;
+  }
+
+  invalidate(userId) {
+    this.models.delete(String(userId));
+  }
+
+  bayes(model, tokens) {
+    const known = tokens.filter(token => model.vocabulary.has(token));
+    if (model.examples < this.minBayesExamples || model.classCounts.size < 2 || known.length === 0) {
+      return null;
+    }
+
+    // Log posteriors with Laplace smoothing, then normalize to probabilities
+    const vocabularySize = model.vocabulary.size;
+    const scores = Array.from(model.classCounts.entries()).map(([label, count]) => {
+      const counts = model.tokenCounts.get(label);
+      const total = model.tokenTotals.get(label) || 0;
+      let score = Math.log(count / model.examples);
+      known.forEach(token => {
+        score += Math.log(((counts.get(token) || 0) + 1) / (total + vocabularySize));
+      });
+      return { label, score };
+    });
+
+    const max = Math.max(...scores.map(entry => entry.score));
+    const sum = scores.reduce((acc, entry) => acc + Math.exp(entry.score - max), 0);
+    const best = scores.reduce((a, b) => (b.score > a.score ? b : a));
+    return { label: best.label, confidence: 1 / sum };
+  }
+
+  // Returns { category, subcategory?, confidence, source } or null when the model is not confident
+  async predict(userId, name, notes, isValid) {
+    const model = await this.getModel(userId);
+    if (model.examples === 0) {
+      return null;
+    }
+
+    const toResult = (label, confidence, source) => {
+      const [category, subcategory] = JSON.parse(label);
+      if (!isValid(category, subcategory)) {
+        return null;
+      }
+      return {
+        category,
+        ...(subcategory && { subcategory }),
+        confidence: Math.round(confidence * 100) / 100,
+        source
+      };
+    };
+
+    const memory = model.merchants.get(this.merchantKey(name));
+    if (memory) {
+      const result = toResult(memory.label, Math.min(0.7 + 0.1 * memory.streak, 0.99), 'merchant');
+      if (result) {
+        return result;
+      }
+    }
+
+    const guess = this.bayes(model, this.tokenize(`${name} ${notes || ''}`));
+    if (guess && guess.confidence >= this.minConfidence) {
+      return toResult(guess.label, guess.confidence, 'personal');
+    }
+    return null;
+  }
+}
+
 // Anomaly detection using statistical methods
 class AnomalyDetector {
   async detectAnomalies(userId, amount, category) {
@@ -84,7 +251,7 @@ class AnomalyDetector {
         return { isAnomaly: false, reason: 'Insufficient data' };
       }
 
-      const amounts = expenses.map(exp => exp.amount);
+      const amounts = expenses.map(exp => exp.baseAmount ?? exp.amount);
       const mean = amounts.reduce((sum, val) => sum + val, 0) / amounts.length;
       const variance = amounts.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / amounts.length;
       const stdDev = Math.sqrt(variance);
@@ -127,7 +294,7 @@ class ExpenseForecaster {
               year: { $year: '$date' },
               month: { $month: '$date' }
             },
-            total: { $sum: '$amount' }
+            total: { $sum: { $ifNull: ['$baseAmount', '$amount'] } }
           }
         },
         { $sort: { '_id.year': 1, '_id.month': 1 } }
@@ -180,12 +347,53 @@ class ExpenseForecaster {
 }
 
 const categorizer = new ExpenseCategorizer();
+const personalCategorizer = new PersonalCategorizer();
 const anomalyDetector = new AnomalyDetector();
 const forecaster = new ExpenseForecaster();
 
 // Export functions
-async function categorizeExpense(name, amount, notes) {
-  return await categorizer.categorize(name, amount, notes);
+// options.userId enables the user's learned model and their own categories; callers categorizing
+// many expenses can pass options.userCategories from getCategorizerCategories to avoid reloading them
+async function categorizeExpense(name, amount, notes, options = {}) {
+  let userCategories = options.userCategories || [];
+  if (!options.userCategories && options.userId) {
+    userCategories = await getCategorizerCategories(options.userId);
+  }
+
+  if (options.userId) {
+    // Learned labels may point at categories that were deleted or archived since
+    const isValid = (category, subcategory) => subcategory
+      ? userCategories.some(entry => entry.category === category && entry.subcategory === subcategory)
+      : DEFAULT_CATEGORIES.includes(category) || userCategories.some(entry => entry.category === category && !entry.subcategory);
+    try {
+      const learned = await personalCategorizer.predict(options.userId, name, notes, isValid);
+      if (learned) {
+        return learned;
+      }
+    } catch (error) {
+      logger.warn('Personal categorizer failed:', error);
+    }
+  }
+
+  return await categorizer.categorize(name, amount, notes, userCategories);
+}
+
+// Record a user's correction of an AI-assigned category and retrain their model on next use
+async function recordCategoryFeedback(userId, expense, correction) {
+  const feedback = await UserFeedback.create({
+    userId,
+    expenseId: expense._id,
+    name: expense.name,
+    notes: expense.notes,
+    amount: expense.amount,
+    previousCategory: expense.category,
+    previousSubcategory: expense.subcategory,
+    confidenceScore: expense.confidenceScore,
+    category: correction.category,
+    subcategory: correction.subcategory
+  });
+  personalCategorizer.invalidate(userId);
+  return feedback;
 }
 
 async function detectAnomalies(userId, amount, category) {
@@ -198,6 +406,7 @@ async function forecastExpenses(userId, category, months = 3) {
 
 module.exports = {
   categorizeExpense,
+  recordCategoryFeedback,
   detectAnomalies,
   forecastExpenses
 };
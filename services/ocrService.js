@@ -4,138 +4,450 @@ const path = require('path');
 const { logger } = require('../utils/logger');
 const { fromPath } = require('pdf2pic');
 const pdfParse = require('pdf-parse');
+const { parseReceipt } = require('./receiptParser');
 
-// OCR service for receipt processing
-class OCRService {
-  constructor() {
-    this.worker = null;
+// Tesseract language data (<lang>.traineddata) is read from here, never downloaded
+const LANG_PATH = process.env.OCR_LANG_PATH || path.join(__dirname, '..');
+
+// Pages with less text than this are treated as scanned images
+const MIN_PAGE_TEXT_LENGTH = 20;
+
+// Preprocessed images are scaled to fit this size
+const PREPROCESS_MAX_SIZE = 2000;
+// Narrower receipt crops are enlarged (at most twice) before binarization so thin strokes survive
+const PREPROCESS_MIN_WIDTH = 1200;
+// Share of the receipt's border cut off each side, so the paper edge is not read as text
+const CROP_MARGIN = 0.02;
+const MAX_SKEW_DEGREES = 10;
+// Receipt thumbnails fit this size
+const THUMBNAIL_SIZE = 320;
+
+// sharp is optional; without it images go to Tesseract as they are and only its own deskew applies
+let sharpModule;
+function loadSharp() {
+  if (sharpModule === undefined) {
+    try {
+      sharpModule = require('sharp');
+    } catch (error) {
+      logger.warn('sharp is not installed; receipt images will not be preprocessed');
+      sharpModule = null;
+    }
+  }
+  return sharpModule;
+}
+
+// Languages with a .traineddata file in OCR_LANG_PATH, e.g. ['deu', 'eng', 'hin']
+function availableLanguages() {
+  try {
+    return fs.readdirSync(LANG_PATH)
+      .filter(file => file.endsWith('.traineddata'))
+      .map(file => path.basename(file, '.traineddata'))
+      .sort();
+  } catch (error) {
+    logger.warn(`OCR language data directory ${LANG_PATH} is not readable:`, error.message);
+    return [];
+  }
+}
+
+// The requested languages that are installed, else OCR_LANGUAGES, else English
+function resolveLanguages(languages) {
+  const available = availableLanguages();
+  const installed = list => (list || []).filter(language => available.includes(language));
+  const configured = (process.env.OCR_LANGUAGES || 'eng').split(/[+,\s]+/).filter(Boolean);
+  const resolved = installed(languages);
+  if (resolved.length > 0) {
+    return resolved;
+  }
+  return installed(configured).length > 0 ? installed(configured) : ['eng'];
+}
+
+function preprocessingEnabled() {
+  return process.env.OCR_PREPROCESS !== 'false';
+}
+
+// Otsu's threshold separating ink from paper in 8-bit grayscale pixels
+function otsuThreshold(pixels) {
+  const histogram = new Array(256).fill(0);
+  let sum = 0;
+  for (const value of pixels) {
+    histogram[value]++;
+    sum += value;
   }
 
-  async initializeWorker() {
-    if (!this.worker) {
-      // Tesseract.js v5: createWorker without language arg; then loadLanguage + initialize
-      this.worker = await Tesseract.createWorker();
-      await this.worker.loadLanguage('eng');
-      await this.worker.initialize('eng');
+  let threshold = 128;
+  let best = 0;
+  let backgroundWeight = 0;
+  let backgroundSum = 0;
+  for (let value = 0; value < 256; value++) {
+    backgroundWeight += histogram[value];
+    backgroundSum += value * histogram[value];
+    const foregroundWeight = pixels.length - backgroundWeight;
+    if (backgroundWeight === 0 || foregroundWeight === 0) {
+      continue;
+    }
+    const meanDifference = backgroundSum / backgroundWeight - (sum - backgroundSum) / foregroundWeight;
+    const between = backgroundWeight * foregroundWeight * meanDifference * meanDifference;
+    if (between > best) {
+      best = between;
+      threshold = value;
     }
-    return this.worker;
   }
+  return threshold;
+}
 
-  async extractText(imagePath) {
-    try {
-      const ext = path.extname(imagePath).toLowerCase();
-      if (ext === '.pdf') {
-        const buffer = fs.readFileSync(imagePath);
-        const result = await pdfParse(buffer);
-        return result.text || '';
+// Longest run of indexes whose count reaches `minimum`, bridging gaps of up to `maxGap`
+// (a row through a line of text is darker than the paper around it)
+function longestRun(counts, minimum, maxGap) {
+  let best = null;
+  let start = null;
+  let last = null;
+  for (let index = 0; index <= counts.length; index++) {
+    const hit = index < counts.length && counts[index] >= minimum;
+    if (hit && start !== null && index - last - 1 > maxGap) {
+      // Gap too wide: close the current run
+      if (!best || last - start > best.end - best.start) {
+        best = { start, end: last };
+      }
+      start = null;
+    }
+    if (hit) {
+      start = start === null ? index : start;
+      last = index;
+    } else if (index === counts.length && start !== null && (!best || last - start > best.end - best.start)) {
+      best = { start, end: last };
+    }
+  }
+  return best;
+}
+
+// The receipt's border: the largest block of mostly paper-bright rows and columns.
+// Null when the photo is all paper or nothing receipt-like stands out.
+function findReceiptBounds(pixels, width, height, threshold) {
+  const brightRows = new Float64Array(height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (pixels[y * width + x] > threshold) {
+        brightRows[y]++;
       }
-      const worker = await this.initializeWorker();
-      const imageBuffer = fs.readFileSync(imagePath);
-      const { data: { text } } = await worker.recognize(imageBuffer);
-      return text;
-    } catch (error) {
-      logger.error('OCR text extraction failed:', error);
-      throw error;
     }
   }
+  const rows = longestRun(brightRows, width * 0.15, Math.ceil(height * 0.03));
+  if (!rows) {
+    return null;
+  }
 
-  // Parse extracted text to find structured data
-  parseReceiptData(text) {
-    const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-    
-    let merchant = '';
-    let amount = 0;
-    let date = '';
-    let items = [];
-    
-    // Common patterns for receipt parsing
-    const amountPattern = /(\$|₹|€|£)?\s*(\d+\.?\d*)/g;
-    const datePattern = /(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})|(\d{4}[\/\-]\d{1,2}[\/\-]\d{1,2})/;
-    const totalPattern = /(total|subtotal|amount|sum|balance)/i;
-    
-    // Find merchant name (usually first line or line with common business words)
-    const businessWords = ['restaurant', 'cafe', 'store', 'shop', 'market', 'pharmacy', 'gas', 'station'];
-    for (const line of lines.slice(0, 5)) {
-      if (businessWords.some(word => line.toLowerCase().includes(word)) || 
-          line.length > 5 && line.length < 50) {
-        merchant = line;
-        break;
+  const brightColumns = new Float64Array(width);
+  for (let y = rows.start; y <= rows.end; y++) {
+    for (let x = 0; x < width; x++) {
+      if (pixels[y * width + x] > threshold) {
+        brightColumns[x]++;
       }
     }
-    
-    // Find amount (look for numbers with currency symbols)
-    let amounts = [];
-    for (const line of lines) {
-      const matches = line.match(amountPattern);
-      if (matches) {
-        matches.forEach(match => {
-          const num = parseFloat(match.replace(/[^\d.]/g, ''));
-          if (num > 0) amounts.push(num);
-        });
+  }
+  const columns = longestRun(brightColumns, (rows.end - rows.start + 1) * 0.3, Math.ceil(width * 0.03));
+  if (!columns) {
+    return null;
+  }
+
+  const bounds = {
+    left: columns.start,
+    top: rows.start,
+    width: columns.end - columns.start + 1,
+    height: rows.end - rows.start + 1
+  };
+  const coverage = (bounds.width * bounds.height) / (width * height);
+  return coverage < 0.05 || coverage > 0.95 ? null : bounds;
+}
+
+// Average gray of the photo's outermost pixels: the table around a receipt, or the paper of a scan
+function borderShade(pixels, width, height) {
+  let sum = 0;
+  for (let x = 0; x < width; x++) {
+    sum += pixels[x] + pixels[(height - 1) * width + x];
+  }
+  for (let y = 0; y < height; y++) {
+    sum += pixels[y * width] + pixels[y * width + width - 1];
+  }
+  return Math.round(sum / (2 * (width + height)));
+}
+
+// Skew of the text lines in degrees: the angle at which ink pixels fall into the sharpest rows
+function estimateSkew(pixels, width, height, threshold, bounds) {
+  const area = bounds || { left: 0, top: 0, width, height };
+  // Sample about 250k pixels so large photos stay fast
+  const step = Math.max(1, Math.floor(Math.sqrt((area.width * area.height) / 250000)));
+  // Ink is dark with paper on both sides; wide dark areas (the table around a tilted receipt) are not
+  const reach = Math.ceil(width / 100) + 4;
+  const bright = (x, y) => x >= 0 && x < width && pixels[y * width + x] > threshold;
+  const xs = [];
+  const ys = [];
+  for (let y = area.top; y < area.top + area.height; y += step) {
+    for (let x = area.left; x < area.left + area.width; x += step) {
+      if (pixels[y * width + x] <= threshold && bright(x - reach, y) && bright(x + reach, y)) {
+        xs.push(x - area.left);
+        ys.push(y - area.top);
       }
     }
-    
-    // Get the largest amount (usually the total)
-    if (amounts.length > 0) {
-      amount = Math.max(...amounts);
-    }
-    
-    // Find date
-    for (const line of lines) {
-      const dateMatch = line.match(datePattern);
-      if (dateMatch) {
-        date = dateMatch[0];
+  }
+  if (xs.length < 100) {
+    return 0;
+  }
+
+  const score = angle => {
+    const tan = Math.tan((angle * Math.PI) / 180);
+    const offset = Math.ceil((Math.abs(tan) * area.width) / step);
+    const bins = new Float64Array(Math.ceil(area.height / step) + 2 * offset + 2);
+    for (let i = 0; i < xs.length; i++) {
+      bins[Math.round((ys[i] - xs[i] * tan) / step) + offset]++;
+    }
+    return bins.reduce((total, count) => total + count * count, 0);
+  };
+  const bestOf = angles => angles.reduce((best, angle) => {
+    const value = score(angle);
+    return value > best.value ? { angle, value } : best;
+  }, { angle: 0, value: score(0) }).angle;
+
+  const coarse = [];
+  for (let angle = -MAX_SKEW_DEGREES; angle <= MAX_SKEW_DEGREES; angle += 0.5) {
+    coarse.push(angle);
+  }
+  const best = bestOf(coarse);
+  const fine = [];
+  for (let angle = best - 0.4; angle <= best + 0.4; angle += 0.1) {
+    fine.push(Math.round(angle * 10) / 10);
+  }
+  return bestOf(fine);
+}
+
+// Clean up a photo for OCR: EXIF rotation, grayscale, crop to the receipt, deskew,
+// contrast normalization and binarization. Returns null when sharp is unavailable.
+async function preprocessImage(imageBuffer) {
+  const sharp = loadSharp();
+  if (!sharp) {
+    return null;
+  }
+
+  let { data, info } = await sharp(imageBuffer)
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .resize({ width: PREPROCESS_MAX_SIZE, height: PREPROCESS_MAX_SIZE, fit: 'inside', withoutEnlargement: true })
+    .toColourspace('b-w')
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  let threshold = otsuThreshold(data);
+  let bounds = findReceiptBounds(data, info.width, info.height, threshold);
+  const angle = estimateSkew(data, info.width, info.height, threshold, bounds);
+
+  if (angle !== 0) {
+    // Lines slope down by `angle`; turn them back level, then find the now upright receipt again.
+    // The corners rotation uncovers get the border's shade so they do not look like paper.
+    const shade = borderShade(data, info.width, info.height);
+    ({ data, info } = await sharp(data, { raw: { width: info.width, height: info.height, channels: 1 } })
+      .rotate(-angle, { background: { r: shade, g: shade, b: shade } })
+      .toColourspace('b-w')
+      .raw()
+      .toBuffer({ resolveWithObject: true }));
+    threshold = otsuThreshold(data);
+    bounds = findReceiptBounds(data, info.width, info.height, threshold);
+  }
+
+  let image = sharp(data, { raw: { width: info.width, height: info.height, channels: 1 } });
+  if (bounds) {
+    const marginX = Math.round(bounds.width * CROP_MARGIN);
+    const marginY = Math.round(bounds.height * CROP_MARGIN);
+    image = image.extract({
+      left: bounds.left + marginX,
+      top: bounds.top + marginY,
+      width: bounds.width - 2 * marginX,
+      height: bounds.height - 2 * marginY
+    });
+  }
+  // normalise() outputs sRGB, so go back to one channel before reading the pixels
+  let normalized = await image.normalise().toColourspace('b-w').raw().toBuffer({ resolveWithObject: true });
+  if (normalized.info.width < PREPROCESS_MIN_WIDTH) {
+    const scale = Math.min(PREPROCESS_MIN_WIDTH / normalized.info.width, 2);
+    normalized = await sharp(normalized.data, {
+      raw: { width: normalized.info.width, height: normalized.info.height, channels: 1 }
+    })
+      .resize({ width: Math.round(normalized.info.width * scale), kernel: 'lanczos3' })
+      .toColourspace('b-w')
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+  }
+  const buffer = await sharp(normalized.data, {
+    raw: { width: normalized.info.width, height: normalized.info.height, channels: 1 }
+  })
+    .threshold(otsuThreshold(normalized.data) + 1)
+    .png()
+    .toBuffer();
+
+  return {
+    buffer,
+    width: normalized.info.width,
+    height: normalized.info.height,
+    angle,
+    cropped: Boolean(bounds)
+  };
+}
+
+// Text of one PDF page, one line per row of text items
+async function renderPageText(pageData) {
+  const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  let lastY;
+  let text = '';
+  for (const item of content.items) {
+    text += lastY === undefined || lastY === item.transform[5] ? item.str : '\n' + item.str;
+    lastY = item.transform[5];
+  }
+  return text;
+}
+
+// OCR service for receipt processing
+class OCRService {
+  constructor() {
+    // Worker pools by language combination ('eng', 'hin+eng'), least recently used first
+    this.schedulers = new Map();
+  }
+
+  // A pool of OCR_WORKERS Tesseract workers for `languages`, so receipts are recognized in parallel.
+  // At most OCR_MAX_LANGUAGE_POOLS pools are kept; the least recently used one is shut down.
+  async initializeScheduler(languages) {
+    const key = languages.join('+');
+    let schedulerPromise = this.schedulers.get(key);
+    if (schedulerPromise) {
+      this.schedulers.delete(key);
+      this.schedulers.set(key, schedulerPromise);
+      return await schedulerPromise;
+    }
+
+    schedulerPromise = (async() => {
+      const scheduler = Tesseract.createScheduler();
+      const size = Math.max(parseInt(process.env.OCR_WORKERS) || 2, 1);
+      for (let i = 0; i < size; i++) {
+        const worker = await Tesseract.createWorker(key, Tesseract.OEM.LSTM_ONLY, {
+          langPath: LANG_PATH,
+          gzip: false,
+          cacheMethod: 'none'
+        });
+        scheduler.addWorker(worker);
+      }
+      logger.info(`OCR worker pool ready for ${key} (${size} workers)`);
+      return scheduler;
+    })().catch(error => {
+      this.schedulers.delete(key);
+      throw error;
+    });
+    this.schedulers.set(key, schedulerPromise);
+
+    const maxPools = Math.max(parseInt(process.env.OCR_MAX_LANGUAGE_POOLS) || 3, 1);
+    for (const [oldKey, oldPromise] of this.schedulers) {
+      if (this.schedulers.size <= maxPools) {
         break;
       }
+      this.schedulers.delete(oldKey);
+      oldPromise.then(scheduler => scheduler.terminate()).catch(() => {});
     }
-    
-    // Extract items (lines that look like product descriptions)
-    for (const line of lines) {
-      // Skip lines that are clearly not items
-      if (line.match(/^(total|subtotal|tax|discount|amount|date|time|receipt|thank|you)/i)) {
-        continue;
+
+    return await schedulerPromise;
+  }
+
+  async recognize(imageBuffer, languages) {
+    const scheduler = await this.initializeScheduler(languages);
+
+    let processed = null;
+    if (preprocessingEnabled()) {
+      try {
+        processed = await preprocessImage(imageBuffer);
+      } catch (error) {
+        logger.warn('Receipt image preprocessing failed, using the original:', error.message);
       }
-      
-      // Skip lines that are just numbers or currency
-      if (line.match(/^[\d\s\$₹€£\.]+$/)) {
-        continue;
+    }
+
+    // Tesseract deskews unprocessed images itself
+    const { data: { text } } = await scheduler.addJob(
+      'recognize',
+      processed ? processed.buffer : imageBuffer,
+      { rotateAuto: !processed }
+    );
+    return text;
+  }
+
+  // Text of each PDF page: the text layer where there is one, OCR of the rasterized page otherwise.
+  // Pages are joined with form feeds so the parser can tell them apart.
+  async extractPdfText(pdfPath, languages) {
+    const maxPages = parseInt(process.env.PDF_MAX_PAGES) || 10;
+    const pages = [];
+    const result = await pdfParse(fs.readFileSync(pdfPath), {
+      max: maxPages,
+      pagerender: async pageData => {
+        const text = await renderPageText(pageData);
+        pages.push(text);
+        return text;
       }
-      
-      // Skip very short lines
-      if (line.length < 3) {
+    });
+    const pageCount = Math.min(result.numpages || pages.length, maxPages);
+
+    let convert = null;
+    for (let index = 0; index < pageCount; index++) {
+      if ((pages[index] || '').replace(/\s/g, '').length >= MIN_PAGE_TEXT_LENGTH) {
         continue;
       }
-      
-      // Add as item if it looks like a product
-      if (line.length > 3 && line.length < 100) {
-        items.push(line);
+      // Scanned page without a text layer
+      convert = convert || fromPath(pdfPath, {
+        density: parseInt(process.env.PDF_RASTER_DENSITY) || 300,
+        format: 'png',
+        preserveAspectRatio: true
+      });
+      let image;
+      try {
+        image = await convert(index + 1, { responseType: 'buffer' });
+      } catch (error) {
+        // pdf2pic shells out to GraphicsMagick, which uses Ghostscript for PDFs
+        throw new Error(`Could not rasterize PDF page ${index + 1} (GraphicsMagick and Ghostscript are required): ${error.message}`);
       }
+      pages[index] = await this.recognize(image.buffer, languages);
     }
-    
-    return {
-      merchant: merchant || 'Unknown Merchant',
-      amount: amount,
-      date: date || new Date().toISOString().split('T')[0],
-      items: items.slice(0, 10), // Limit to 10 items
-      rawText: text
-    };
+
+    logger.info(`PDF text extracted from ${pageCount} pages (${convert ? 'with' : 'without'} OCR)`);
+    return pages.slice(0, pageCount).map(text => text || '').join('\n\f\n');
   }
 
-  async processReceipt(imagePath) {
+  async extractText(imagePath, languages = resolveLanguages()) {
     try {
-      logger.info(`Processing receipt: ${imagePath}`);
+      const ext = path.extname(imagePath).toLowerCase();
+      if (ext === '.pdf') {
+        return await this.extractPdfText(imagePath, languages);
+      }
+      return await this.recognize(fs.readFileSync(imagePath), languages);
+    } catch (error) {
+      logger.error('OCR text extraction failed:', error);
+      throw error;
+    }
+  }
+
+  // Parse extracted text into structured receipt data: merchant, date, line items, tax, tip, discounts and total
+  parseReceiptData(text, options = {}) {
+    return parseReceipt(text, options);
+  }
+
+  async processReceipt(imagePath, options = {}) {
+    try {
+      const languages = resolveLanguages(options.languages);
+      logger.info(`Processing receipt: ${imagePath} (${languages.join('+')})`);
       
       // Extract text using OCR
-      const text = await this.extractText(imagePath);
+      const text = await this.extractText(imagePath, languages);
       logger.info(`OCR extracted ${text.length} characters`);
       
       // Parse structured data
-      const parsedData = this.parseReceiptData(text);
+      const parsedData = this.parseReceiptData(text, { locale: options.locale, currency: options.currency });
       
       logger.info(`Parsed receipt data:`, {
         merchant: parsedData.merchant,
         amount: parsedData.amount,
-        itemsCount: parsedData.items.length
+        itemsCount: parsedData.items.length,
+        totalConfidence: parsedData.confidence.total
       });
       
       return parsedData;
@@ -146,9 +458,13 @@ class OCRService {
   }
 
   async cleanup() {
-    if (this.worker) {
-      await this.worker.terminate();
-      this.worker = null;
+    const pools = [...this.schedulers.values()];
+    this.schedulers.clear();
+    for (const schedulerPromise of pools) {
+      const scheduler = await schedulerPromise.catch(() => null);
+      if (scheduler) {
+        await scheduler.terminate();
+      }
     }
   }
 }
@@ -156,8 +472,39 @@ class OCRService {
 const ocrService = new OCRService();
 
 // Export functions
-async function extractReceiptData(imagePath) {
-  return await ocrService.processReceipt(imagePath);
+
+// `options`: languages to OCR with (installed ones only, e.g. ['hin', 'eng']), plus the locale
+// and base currency that decide ambiguous numbers, dates and currency symbols
+async function extractReceiptData(imagePath, options = {}) {
+  return await ocrService.processReceipt(imagePath, options);
+}
+
+// Plain text of a document (image or PDF), e.g. an expense attachment; `options.languages` as above
+async function extractDocumentText(filePath, options = {}) {
+  return await ocrService.extractText(filePath, resolveLanguages(options.languages));
+}
+
+// OCR languages installed in OCR_LANG_PATH
+function getOcrLanguages() {
+  return availableLanguages();
+}
+
+// The image OCR would see for a receipt photo, as PNG; null when preprocessing is unavailable
+async function preprocessReceiptImage(imagePath) {
+  return await preprocessImage(fs.readFileSync(imagePath));
+}
+
+// A small upright JPEG of a receipt photo; null without sharp
+async function createThumbnail(imageBuffer) {
+  const sharp = loadSharp();
+  if (!sharp) {
+    return null;
+  }
+  return await sharp(imageBuffer)
+    .rotate()
+    .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 70 })
+    .toBuffer();
 }
 
 // Cleanup on process exit
@@ -176,5 +523,9 @@ process.on('SIGTERM', async () => {
 });
 
 module.exports = {
-  extractReceiptData
+  extractReceiptData,
+  extractDocumentText,
+  preprocessReceiptImage,
+  createThumbnail,
+  getOcrLanguages
 };
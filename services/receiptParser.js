@@ -0,0 +1,450 @@
+// Turns OCR text of a receipt into line items, subtotal, tax, tip, discounts and a total
+
+// ISO codes recognized on receipts, e.g. "EUR 12,50" or "Total 450.00 INR"
+const CURRENCY_CODES = [
+  'USD', 'EUR', 'GBP', 'INR', 'JPY', 'CNY', 'AUD', 'CAD', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK',
+  'HUF', 'BRL', 'MXN', 'ZAR', 'SGD', 'HKD', 'NZD', 'AED', 'SAR', 'THB', 'KRW', 'RUB', 'TRY', 'IDR',
+  'MYR', 'PHP', 'VND', 'NGN', 'EGP', 'PKR', 'BDT', 'LKR', 'NPR', 'ILS'
+];
+// Currency symbols; ambiguous ones list their currencies with the likeliest first
+const CURRENCY_MARKERS = [
+  { pattern: /R\$/g, currencies: ['BRL'] },
+  { pattern: /(?<!R)\$/g, currencies: ['USD', 'CAD', 'AUD', 'NZD', 'SGD', 'HKD', 'MXN'] },
+  { pattern: /₹/g, currencies: ['INR'] },
+  { pattern: /\brs\.?(?=\s*\d)/gi, currencies: ['INR', 'PKR', 'LKR', 'NPR'] },
+  { pattern: /€/g, currencies: ['EUR'] },
+  { pattern: /£/g, currencies: ['GBP'] },
+  { pattern: /¥|円/g, currencies: ['JPY', 'CNY'] },
+  { pattern: /₩/g, currencies: ['KRW'] },
+  { pattern: /₽/g, currencies: ['RUB'] },
+  { pattern: /₺/g, currencies: ['TRY'] },
+  { pattern: /₦/g, currencies: ['NGN'] },
+  { pattern: /฿/g, currencies: ['THB'] },
+  { pattern: /₫/g, currencies: ['VND'] },
+  { pattern: /₱/g, currencies: ['PHP'] },
+  { pattern: /₪/g, currencies: ['ILS'] },
+  { pattern: /zł/gi, currencies: ['PLN'] },
+  { pattern: /kč/gi, currencies: ['CZK'] },
+  { pattern: /\d\s*kr\b|\bkr\.?\s*\d/gi, currencies: ['SEK', 'NOK', 'DKK'] }
+];
+const CURRENCY_SYMBOL = `[$₹€£¥₩₽₺₦฿₫₱₪]|r\\$|rs\\.?|zł|kč|kr\\.?|${CURRENCY_CODES.join('|')}`;
+// "1,234.50", "1.234,50", "1'234.50", lakh grouping "1,23,456.78", or plain "12.50" / "12,50"
+const AMOUNT_NUMBER = '\\d{1,2}(?:,\\d{2})+,\\d{3}(?:\\.\\d{1,2})?|\\d{1,3}(?:[.,\'’]\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{2})?';
+
+// A money amount at the end of a line: "7.00", "$1,234.50", "₹ 450", "12,50 €", "3.20-"
+const TRAILING_AMOUNT_PATTERN = new RegExp(
+  `(-)?\\s*(${CURRENCY_SYMBOL})?\\s*(${AMOUNT_NUMBER})\\s*(${CURRENCY_SYMBOL})?\\s*(-)?\\s*$`, 'i'
+);
+const DATE_PATTERN = /(\d{1,2})([/\-.])(\d{1,2})\2(\d{2,4})|(\d{4})[/\-.](\d{1,2})[/\-.](\d{1,2})/;
+// Month names in English, German, French, Spanish, Italian and Hindi
+const MONTH_NAMES = [
+  ['january', 'januar', 'jänner', 'janvier', 'enero', 'gennaio', 'jan', 'जनवरी'],
+  ['february', 'februar', 'février', 'fevrier', 'febrero', 'febbraio', 'feb', 'févr', 'फ़रवरी', 'फरवरी'],
+  ['march', 'märz', 'maerz', 'mars', 'marzo', 'mar', 'mär', 'मार्च'],
+  ['april', 'avril', 'abril', 'aprile', 'apr', 'avr', 'अप्रैल'],
+  ['may', 'mai', 'mayo', 'maggio', 'मई'],
+  ['june', 'juni', 'juin', 'junio', 'giugno', 'jun', 'जून'],
+  ['july', 'juli', 'juillet', 'julio', 'luglio', 'jul', 'juil', 'जुलाई'],
+  ['august', 'août', 'aout', 'agosto', 'aug', 'ago', 'अगस्त'],
+  ['september', 'septembre', 'septiembre', 'settembre', 'sept', 'sep', 'set', 'सितंबर', 'सितम्बर'],
+  ['october', 'oktober', 'octobre', 'octubre', 'ottobre', 'oct', 'okt', 'ott', 'अक्टूबर'],
+  ['november', 'novembre', 'noviembre', 'nov', 'नवंबर', 'नवम्बर'],
+  ['december', 'dezember', 'décembre', 'decembre', 'diciembre', 'dicembre', 'dec', 'dez', 'dic', 'दिसंबर', 'दिसम्बर']
+];
+const MONTH_NUMBERS = new Map(MONTH_NAMES.flatMap((names, index) => names.map(name => [name, index + 1])));
+// Longest names first so "march" wins over "mar"; \b does not work for Devanagari, hence the lookarounds
+const MONTH = `(?<![\\p{L}\\p{M}])(${[...MONTH_NUMBERS.keys()].sort((a, b) => b.length - a.length).join('|')})(?![\\p{L}\\p{M}])\\.?`;
+// "14 Mar 2024", "14-Mar-24", "14. März 2024", "14th March, 2024"
+const DAY_MONTH_PATTERN = new RegExp(`(?<!\\d)(\\d{1,2})(?:st|nd|rd|th)?\\.?[\\s\\-/]*${MONTH},?[\\s\\-/]*(\\d{4}|\\d{2})(?!\\d)`, 'iu');
+// "March 14, 2024", "Mar 14 2024"
+const MONTH_DAY_PATTERN = new RegExp(`${MONTH}\\s*(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})(?!\\d)`, 'iu');
+// "2 x 3.50", "2 @ 3.50", "2x3.50"
+const QUANTITY_PATTERN = new RegExp(`(\\d+(?:[.,]\\d+)?)\\s*[x@*]\\s*((?:${CURRENCY_SYMBOL})?\\s*(?:${AMOUNT_NUMBER}))\\s*$`, 'i');
+const LEADING_QUANTITY_PATTERN = /^(\d{1,3})\s+(?=[a-z])/i;
+
+const CARRIED_PATTERN = /\b((carried|brought|balance)\s+(forward|fwd|over|b\/f|c\/f)|c\/f|b\/f|page\s+(sub\s*-?\s*)?total|continued)\b/i;
+const SUBTOTAL_PATTERN = /\b(sub\s*-?\s*total|total\s+before\s+tax|taxable\s+(amount|value)|zwischensumme)\b/i;
+const TOTAL_PATTERN = /\b(grand\s*total|total(\s+(amount|due|payable))?|amount\s+(due|payable)|net\s+payable|balance\s+due|to\s+pay|summe|gesamt)\b/i;
+const TAX_PATTERN = /\b(tax|gst|cgst|sgst|igst|utgst|vat|hst|pst|cess|mwst|ust)\b/i;
+const INCLUSIVE_TAX_PATTERN = /\b(incl(uded|usive)?|inc|inkl)\b/i;
+const TIP_PATTERN = /\b(tip|gratuity|service\s+charge|trinkgeld)\b/i;
+const DISCOUNT_PATTERN = /\b(discount|disc|savings|coupon|promo|you\s+saved|rabatt)\b/i;
+const ROUNDING_PATTERN = /\b(round(ing|ed)?\s*(off)?)\b/i;
+// Payment and change lines come after the total and are not part of the purchase
+const PAYMENT_PATTERN = /\b(cash|change|tendered|card|visa|mastercard|amex|upi|paid|payment|debit|credit|rückgeld)\b/i;
+const HEADER_NOISE_PATTERN = /\b(receipt|total|invoice|tax|gst|vat|tel|phone|fax|welcome|order|table|cashier|server)\b|www\.|https?:/i;
+const BUSINESS_WORDS = ['restaurant', 'cafe', 'store', 'shop', 'market', 'pharmacy', 'gas', 'station'];
+// Leading lines that can hold the merchant name and address
+const HEADER_LINES = 5;
+
+const TOLERANCE = 0.02;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function closeTo(a, b) {
+  return Math.abs(a - b) <= TOLERANCE;
+}
+
+// Decimal separator and day/month order of a locale such as 'de-DE' or 'en-IN'
+function localeConventions(locale) {
+  try {
+    const decimal = new Intl.NumberFormat(locale).formatToParts(1.5).find(part => part.type === 'decimal');
+    const dateParts = new Intl.DateTimeFormat(locale, { timeZone: 'UTC' })
+      .formatToParts(new Date(Date.UTC(2024, 10, 22)))
+      .map(part => part.type);
+    return {
+      decimalSeparator: decimal ? decimal.value : '.',
+      dayFirst: dateParts.indexOf('day') < dateParts.indexOf('month')
+    };
+  } catch (error) {
+    return { decimalSeparator: '.', dayFirst: false };
+  }
+}
+
+// The decimal separator a receipt's own two-decimal amounts use; `fallback` when they do not tell
+function detectDecimalSeparator(text, fallback) {
+  // Followed by neither a digit nor a separator, so "12.03.2024" and "1,234" do not count
+  const dots = (text.match(/\d\.\d{2}(?![\d.,])/g) || []).length;
+  const commas = (text.match(/\d,\d{2}(?![\d.,])/g) || []).length;
+  if (dots === commas) {
+    return fallback;
+  }
+  return dots > commas ? '.' : ',';
+}
+
+// Currency of the receipt from ISO codes, else from the most frequent symbol. Ambiguous symbols
+// such as "$" resolve to the user's base currency when it is one of theirs.
+function detectCurrency(text, baseCurrency) {
+  const codes = (text.match(/\b[A-Z]{3}\b/g) || []).filter(code => CURRENCY_CODES.includes(code));
+  if (codes.length > 0) {
+    const counts = codes.reduce((acc, code) => acc.set(code, (acc.get(code) || 0) + 1), new Map());
+    const [code] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+    return { value: code, confidence: 0.95 };
+  }
+
+  let best = null;
+  for (const marker of CURRENCY_MARKERS) {
+    const count = (text.match(marker.pattern) || []).length;
+    if (count > 0 && (!best || count > best.count)) {
+      best = { currencies: marker.currencies, count };
+    }
+  }
+  if (!best) {
+    return { value: null, confidence: 0 };
+  }
+  if (best.currencies.length === 1) {
+    return { value: best.currencies[0], confidence: 0.9 };
+  }
+  return best.currencies.includes(baseCurrency)
+    ? { value: baseCurrency, confidence: 0.7 }
+    : { value: best.currencies[0], confidence: 0.5 };
+}
+
+// "1,234.50" -> 1234.5; "1.234,50" -> 1234.5; "1,23,456" -> 123456; "12,50" -> 12.5.
+// A single separator followed by three digits groups thousands unless it is `decimalSeparator`.
+function parseNumber(text, decimalSeparator = '.') {
+  const clean = String(text).replace(/[^\d.,]/g, '');
+  if (!/\d/.test(clean)) {
+    return NaN;
+  }
+  const lastDot = clean.lastIndexOf('.');
+  const lastComma = clean.lastIndexOf(',');
+  let decimalIndex = -1;
+  if (lastDot !== -1 && lastComma !== -1) {
+    decimalIndex = Math.max(lastDot, lastComma);
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const separator = lastDot !== -1 ? '.' : ',';
+    const parts = clean.split(separator);
+    if (parts.length === 2 && (parts[1].length !== 3 || separator === decimalSeparator)) {
+      decimalIndex = clean.lastIndexOf(separator);
+    }
+  }
+  if (decimalIndex === -1) {
+    return parseFloat(clean.replace(/[.,]/g, ''));
+  }
+  const whole = clean.slice(0, decimalIndex).replace(/[.,]/g, '') || '0';
+  return parseFloat(`${whole}.${clean.slice(decimalIndex + 1)}`);
+}
+
+// The money amount a line ends with, or null. Plain integers only count next to a currency
+// symbol, so phone numbers, GSTINs and invoice numbers are not mistaken for prices.
+function trailingAmount(line, decimalSeparator) {
+  const match = line.match(TRAILING_AMOUNT_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const [whole, leadingMinus, symbol, digits, trailingSymbol, trailingMinus] = match;
+  const hasDecimals = /[.,]\d{2}$/.test(digits);
+  if (!hasDecimals && !symbol && !trailingSymbol) {
+    return null;
+  }
+  // An amount glued to other characters ("GSTIN 29ABCDE1234.00") is not a price
+  const before = line.slice(0, line.length - whole.length);
+  if (/[a-z\d.,]$/i.test(before) && !/^[\s-]/.test(whole) && !symbol) {
+    return null;
+  }
+  const value = parseNumber(digits, decimalSeparator);
+  if (!Number.isFinite(value)) {
+    return null;
+  }
+  return {
+    value: leadingMinus || trailingMinus ? -value : value,
+    label: before.replace(/[:\s]+$/, '').trim()
+  };
+}
+
+function isoDate(year, month, day) {
+  if (year < 100) {
+    year += 2000;
+  }
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+function hasDate(line) {
+  return DATE_PATTERN.test(line) || DAY_MONTH_PATTERN.test(line) || MONTH_DAY_PATTERN.test(line);
+}
+
+// ISO date from "12/03/2024", "2024-03-12", "12.03.24", "14 Mar 2024" or "March 14, 2024".
+// Numeric dates are read day first with dots or when `dayFirst`, month first otherwise,
+// unless one part cannot be a month.
+function parseDate(line, { dayFirst = false } = {}) {
+  const dayMonth = line.match(DAY_MONTH_PATTERN);
+  if (dayMonth) {
+    return isoDate(Number(dayMonth[3]), MONTH_NUMBERS.get(dayMonth[2].toLowerCase()), Number(dayMonth[1]));
+  }
+  const monthDay = line.match(MONTH_DAY_PATTERN);
+  if (monthDay) {
+    return isoDate(Number(monthDay[3]), MONTH_NUMBERS.get(monthDay[1].toLowerCase()), Number(monthDay[2]));
+  }
+
+  const match = line.match(DATE_PATTERN);
+  if (!match) {
+    return null;
+  }
+  if (match[5]) {
+    return isoDate(Number(match[5]), Number(match[6]), Number(match[7]));
+  }
+  const [first, second] = [Number(match[1]), Number(match[3])];
+  const readDayFirst = first > 12 || (second <= 12 && (dayFirst || match[2] === '.'));
+  return readDayFirst
+    ? isoDate(Number(match[4]), second, first)
+    : isoDate(Number(match[4]), first, second);
+}
+
+function taxRate(label) {
+  const match = label.match(/(\d+(?:[.,]\d+)?)\s*%/);
+  return match ? parseFloat(match[1].replace(',', '.')) : null;
+}
+
+// Tax a rate implies on `base`; inclusive taxes are already part of it
+function taxAmount(base, tax) {
+  const amount = tax.inclusive ? base - base / (1 + tax.rate / 100) : base * tax.rate / 100;
+  return round(amount);
+}
+
+function isHeaderNoise(line) {
+  const letters = (line.match(/[a-z]/gi) || []).length;
+  return letters < 2 ||
+    letters < line.replace(/\s/g, '').length / 2 ||
+    hasDate(line) ||
+    HEADER_NOISE_PATTERN.test(line);
+}
+
+// Merchant name: the first header line that reads like a name, preferring ones with business words
+function findMerchant(lines) {
+  const candidates = lines.slice(0, HEADER_LINES).filter(line => !isHeaderNoise(line) && line.length > 2 && line.length < 50);
+  const business = candidates.find(line => BUSINESS_WORDS.some(word => line.toLowerCase().includes(word)));
+  if (candidates.length === 0) {
+    return { value: null, confidence: 0 };
+  }
+  return { value: candidates[0], confidence: business === candidates[0] ? 0.9 : 0.7 };
+}
+
+// Description, quantity and unit price of an item line whose total has been split off
+function parseItem(label, total, decimalSeparator) {
+  let description = label;
+  let quantity = 1;
+  let unitPrice = total;
+  let confidence = 0.7;
+
+  const quantityMatch = label.match(QUANTITY_PATTERN);
+  const leadingMatch = label.match(LEADING_QUANTITY_PATTERN);
+  if (quantityMatch) {
+    quantity = parseNumber(quantityMatch[1], decimalSeparator);
+    unitPrice = parseNumber(quantityMatch[2], decimalSeparator);
+    description = label.slice(0, quantityMatch.index).trim();
+    confidence = closeTo(quantity * unitPrice, total) ? 0.95 : 0.5;
+  } else if (leadingMatch) {
+    quantity = parseInt(leadingMatch[1]);
+    unitPrice = round(total / quantity);
+    description = label.slice(leadingMatch[0].length).trim();
+    confidence = 0.8;
+  }
+
+  return {
+    description: description.replace(/[\s.:-]+$/, ''),
+    quantity,
+    unitPrice: round(unitPrice),
+    total: round(total),
+    confidence
+  };
+}
+
+// Export functions
+
+// Parse receipt text into structured data with a confidence between 0 and 1 per field.
+// `locale` decides ambiguous numbers and dates ("1.234", "03/04/2024") when the receipt does
+// not; `currency`, the user's base currency, decides ambiguous symbols such as "$".
+function parseReceipt(text, { locale = 'en-US', currency = null } = {}) {
+  // Devanagari digits read as ASCII ones
+  const normalized = String(text || '').replace(/[०-९]/g, digit => String(digit.charCodeAt(0) - 0x966));
+  const conventions = localeConventions(locale);
+  const decimalSeparator = detectDecimalSeparator(normalized, conventions.decimalSeparator);
+  const detectedCurrency = detectCurrency(normalized, currency);
+
+  // Pages of a multi-page document are separated by form feeds
+  const pages = normalized.split('\f')
+    .map(page => page.split('\n').map(line => line.trim()).filter(line => line.length > 0));
+  const lines = pages.flat();
+
+  const items = [];
+  const taxes = [];
+  const discounts = [];
+  const totals = [];
+  let subtotal = null;
+  // Discounts listed before the subtotal are already taken off it
+  let discountedInSubtotal = 0;
+  let tip = null;
+  let rounding = 0;
+  let date = null;
+  let pendingDescription = null;
+  let afterTotal = false;
+  let largest = 0;
+  // Header lines before the first amount name the merchant; they never describe an item
+  let inHeader = true;
+  let lineNumber = 0;
+
+  for (const pageLines of pages) {
+    // A page total or a total carried forward does not end the items on the next page
+    afterTotal = false;
+    pendingDescription = null;
+    for (const line of pageLines) {
+      date = date || parseDate(line, conventions);
+      lineNumber++;
+
+      const amount = trailingAmount(line, decimalSeparator);
+      if (!amount) {
+        // A description whose quantity and price follow on the next line
+        const header = inHeader && lineNumber <= HEADER_LINES;
+        pendingDescription = /[a-z]{3,}/i.test(line) && !isHeaderNoise(line) && !afterTotal && !header ? line : null;
+        continue;
+      }
+      inHeader = false;
+
+      const { label, value } = amount;
+      if (!afterTotal) {
+        largest = Math.max(largest, value);
+      }
+      const inclusive = INCLUSIVE_TAX_PATTERN.test(label);
+      if (CARRIED_PATTERN.test(label)) {
+        // Running totals repeated at page breaks are neither items nor the total
+      } else if (SUBTOTAL_PATTERN.test(label)) {
+        subtotal = value;
+        discountedInSubtotal = round(discounts.reduce((sum, discount) => sum + discount.amount, 0));
+      } else if (TAX_PATTERN.test(label) && !(TOTAL_PATTERN.test(label) && inclusive)) {
+        // "Tax total" is a tax line, "Total incl. VAT" is the total
+        taxes.push({ label, rate: taxRate(label), amount: value, inclusive });
+      } else if (TOTAL_PATTERN.test(label)) {
+        totals.push({ label, value });
+        afterTotal = true;
+      } else if (TIP_PATTERN.test(label)) {
+        tip = round((tip || 0) + value);
+      } else if (DISCOUNT_PATTERN.test(label) || (value < 0 && !afterTotal)) {
+        discounts.push({ label, amount: Math.abs(value) });
+      } else if (ROUNDING_PATTERN.test(label)) {
+        rounding = round(rounding + value);
+      } else if (afterTotal || PAYMENT_PATTERN.test(label) || hasDate(line)) {
+        continue;
+      } else if (/[a-z]{2,}/i.test(label)) {
+        items.push(parseItem(label, value, decimalSeparator));
+      } else if (pendingDescription && QUANTITY_PATTERN.test(label)) {
+        items.push(parseItem(`${pendingDescription} ${label}`, value, decimalSeparator));
+      }
+      pendingDescription = null;
+    }
+  }
+
+  const itemsSum = round(items.reduce((sum, item) => sum + item.total, 0));
+  const taxTotal = round(taxes.filter(tax => !tax.inclusive).reduce((sum, tax) => sum + tax.amount, 0));
+  const discountTotal = round(discounts.reduce((sum, discount) => sum + discount.amount, 0));
+  const base = subtotal !== null ? subtotal : itemsSum;
+  const expectedTotal = round(base + taxTotal + (tip || 0) - (discountTotal - discountedInSubtotal) + rounding);
+
+  // The total: a labeled grand total, else the last labeled total, else what the parts add up to
+  let total = null;
+  let totalConfidence = 0;
+  const labeled = totals.find(entry => /grand/i.test(entry.label)) || totals[totals.length - 1];
+  if (labeled) {
+    total = labeled.value;
+    totalConfidence = closeTo(total, expectedTotal) ? 0.98 : 0.8;
+  } else if (base > 0) {
+    total = expectedTotal;
+    totalConfidence = subtotal !== null ? 0.6 : 0.5;
+  } else if (largest > 0) {
+    total = largest;
+    totalConfidence = 0.3;
+  }
+
+  const subtotalMatchesItems = subtotal !== null && items.length > 0 &&
+    closeTo(round(itemsSum - discountedInSubtotal), subtotal);
+  const itemsMatch = subtotalMatchesItems ||
+    (items.length > 0 && (closeTo(itemsSum, base) || (total !== null && closeTo(itemsSum, total))));
+  const merchant = findMerchant(lines);
+
+  return {
+    merchant: merchant.value || 'Unknown Merchant',
+    date: date || new Date().toISOString().split('T')[0],
+    amount: total || 0,
+    currency: detectedCurrency.value,
+    items,
+    subtotal,
+    taxes: taxes.map(({ label, rate, amount, inclusive }) => ({ label, rate, amount, inclusive })),
+    taxTotal,
+    tip,
+    discounts,
+    discountTotal,
+    total,
+    pages: pages.length,
+    checks: {
+      itemsSum,
+      expectedTotal,
+      itemsMatchSubtotal: subtotalMatchesItems,
+      itemsMatchTotal: itemsMatch,
+      totalMatchesParts: total !== null && closeTo(total, expectedTotal)
+    },
+    confidence: {
+      merchant: merchant.confidence,
+      date: date ? 0.9 : 0,
+      currency: detectedCurrency.confidence,
+      total: totalConfidence,
+      subtotal: subtotal === null ? 0 : (subtotalMatchesItems ? 0.95 : 0.7),
+      tax: taxes.length === 0 ? 0 : (taxes.every(tax => tax.rate === null ||
+        closeTo(taxAmount(base, tax), tax.amount)) ? 0.9 : 0.6),
+      items: items.length === 0 ? 0 : (itemsMatch ? 0.9 : 0.5)
+    },
+    rawText: text
+  };
+}
+
+module.exports = {
+  parseReceipt,
+  parseNumber,
+  parseDate,
+  detectCurrency
+};
@@ -0,0 +1,462 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { logger } = require('../utils/logger');
+const Expense = require('../models/Expense');
+const {
+  addPendingReceipt,
+  readPendingReceipt,
+  markReceiptFailed,
+  failOrphanedReceipts,
+  discardReceipt
+} = require('./receiptService');
+const { readAttachmentText, markAttachmentTextFailed, failOrphanedAttachmentText } = require('./attachmentService');
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+const REDIS_QUEUE_KEY = 'receipt-jobs:queue';
+// Another instance may have saved a receipt but not yet its job
+const ORPHAN_GRACE_MS = 60 * 1000;
+
+function redisJobKey(id) {
+  return `receipt-jobs:${id}`;
+}
+
+function settings() {
+  return {
+    concurrency: Math.max(parseInt(process.env.RECEIPT_QUEUE_CONCURRENCY) || 2, 1),
+    maxAttempts: Math.max(parseInt(process.env.RECEIPT_JOB_ATTEMPTS) || 3, 1),
+    backoffMs: parseInt(process.env.RECEIPT_JOB_BACKOFF_MS) || 5000,
+    ttlMs: parseInt(process.env.RECEIPT_JOB_TTL_MS) || 60 * 60 * 1000,
+    staleMs: parseInt(process.env.RECEIPT_JOB_STALE_MS) || 10 * 60 * 1000
+  };
+}
+
+// What the API shows of a job; the stored file and owner stay internal
+function publicJob(job) {
+  const { id, type, status, attempts, maxAttempts, error, expenseId, attachmentId, originalName, createdAt, updatedAt, finishedAt } = job;
+  return { id, type, status, attempts, maxAttempts, error, expenseId, attachmentId, originalName, createdAt, updatedAt, finishedAt };
+}
+
+// Jobs and the waiting list in this process's memory
+class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+    this.waiting = [];
+  }
+
+  async save(job, ttlMs) {
+    this.jobs.set(job.id, { job, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+  }
+
+  async get(id) {
+    const entry = this.jobs.get(id);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.jobs.delete(id);
+      return null;
+    }
+    return { ...entry.job };
+  }
+
+  async push(id) {
+    this.waiting.push(id);
+  }
+
+  async pop() {
+    return this.waiting.shift() || null;
+  }
+
+  async remove(id) {
+    this.waiting = this.waiting.filter(waitingId => waitingId !== id);
+  }
+
+  async isWaiting(id) {
+    return this.waiting.includes(id);
+  }
+
+  // Put a job at the back of the waiting list, once
+  async requeue(id) {
+    await this.remove(id);
+    await this.push(id);
+  }
+
+  async unfinished() {
+    return [...this.jobs.values()].map(entry => entry.job).filter(job => !FINISHED_STATUSES.includes(job.status));
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [id, entry] of this.jobs) {
+      if (entry.expiresAt && entry.expiresAt <= now) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  async close() {}
+}
+
+// Jobs and the waiting list in Redis, so several app instances can share the work
+class RedisJobStore {
+  constructor(url) {
+    const { createClient } = require('redis');
+    this.ready = false;
+    this.client = createClient({
+      url,
+      socket: {
+        // Give up quickly at start-up so the queue can fall back to memory; keep reconnecting afterwards
+        reconnectStrategy: retries => (!this.ready && retries >= 3 ? new Error('Redis unavailable') : Math.min(retries * 200, 2000))
+      }
+    });
+    this.client.on('error', error => logger.error('Receipt queue Redis error:', error.message));
+  }
+
+  async connect() {
+    await this.client.connect();
+    this.ready = true;
+  }
+
+  async save(job, ttlMs) {
+    await this.client.set(redisJobKey(job.id), JSON.stringify(job), ttlMs ? { PX: ttlMs } : {});
+  }
+
+  async get(id) {
+    const raw = await this.client.get(redisJobKey(id));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async push(id) {
+    await this.client.rPush(REDIS_QUEUE_KEY, id);
+  }
+
+  async pop() {
+    return await this.client.lPop(REDIS_QUEUE_KEY);
+  }
+
+  async remove(id) {
+    await this.client.lRem(REDIS_QUEUE_KEY, 0, id);
+  }
+
+  async isWaiting(id) {
+    return (await this.client.lPos(REDIS_QUEUE_KEY, id)) !== null;
+  }
+
+  // Put a job at the back of the waiting list, once, even when several instances do it at the same time
+  async requeue(id) {
+    await this.client.multi().lRem(REDIS_QUEUE_KEY, 0, id).rPush(REDIS_QUEUE_KEY, id).exec();
+  }
+
+  async unfinished() {
+    const jobs = [];
+    for await (const key of this.client.scanIterator({ MATCH: redisJobKey('*'), COUNT: 100 })) {
+      if (key === REDIS_QUEUE_KEY) {
+        continue;
+      }
+      const raw = await this.client.get(key);
+      const job = raw && JSON.parse(raw);
+      if (job && !FINISHED_STATUSES.includes(job.status)) {
+        jobs.push(job);
+      }
+    }
+    return jobs;
+  }
+
+  prune() {}
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+// Runs receipt OCR outside the request: uploads are queued and up to
+// RECEIPT_QUEUE_CONCURRENCY receipts are processed at a time, with retries.
+// 'receipt' jobs turn an uploaded receipt into a pending expense; 'attachment' jobs
+// read the text of a document attached to an existing expense.
+class ReceiptQueue {
+  constructor() {
+    this.store = new MemoryJobStore();
+    this.active = 0;
+    this.timer = null;
+  }
+
+  async start(intervalMs) {
+    if (this.timer) {
+      return;
+    }
+
+    if (process.env.RECEIPT_QUEUE_DRIVER === 'redis') {
+      const store = new RedisJobStore(process.env.REDIS_URL || 'redis://localhost:6379');
+      try {
+        await store.connect();
+        this.store = store;
+      } catch (error) {
+        logger.warn('Receipt queue could not connect to Redis, keeping jobs in memory:', error.message);
+      }
+    }
+
+    try {
+      await this.recover();
+    } catch (error) {
+      logger.error('Receipt queue recovery error:', error);
+    }
+
+    // Picks up retries and, with Redis, jobs queued by other instances
+    this.timer = setInterval(() => {
+      this.store.prune();
+      this.drain();
+    }, intervalMs);
+    this.timer.unref();
+    this.drain();
+    logger.info(`🧾 Receipt queue started (${this.store instanceof RedisJobStore ? 'redis' : 'memory'}, ${settings().concurrency} at a time)`);
+  }
+
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.store.close();
+  }
+
+  // After a crash or restart: jobs left running or waiting by an instance that stopped go back in the
+  // queue, and pending receipts and attachments whose job was lost (all of them with the memory store)
+  // are marked failed, so the user can retry or discard them
+  async recover() {
+    const { staleMs } = settings();
+    const now = Date.now();
+    const unfinished = await this.store.unfinished();
+
+    let requeued = 0;
+    for (const job of unfinished) {
+      if (now - new Date(job.updatedAt).getTime() < staleMs) {
+        continue;
+      }
+      if (job.status === 'processing' || !(await this.store.isWaiting(job.id))) {
+        await this.store.save({ ...job, status: 'queued', updatedAt: new Date().toISOString() });
+        await this.store.requeue(job.id);
+        requeued++;
+      }
+    }
+
+    const createdBefore = new Date(now - (this.store instanceof RedisJobStore ? ORPHAN_GRACE_MS : 0));
+    const receipts = await failOrphanedReceipts(createdBefore, new Set(unfinished
+      .filter(job => job.type !== 'attachment').map(job => job.expenseId)));
+    const attachments = await failOrphanedAttachmentText(createdBefore, new Set(unfinished
+      .filter(job => job.type === 'attachment').map(job => job.attachmentId)));
+
+    if (requeued + receipts + attachments > 0) {
+      logger.warn(`Receipt queue recovered ${requeued} stalled job(s); ${receipts} receipt(s) and ` +
+        `${attachments} attachment(s) lost their job and were marked failed`);
+    }
+  }
+
+  async finish(job, fields) {
+    const now = new Date().toISOString();
+    const finished = { ...job, ...fields, updatedAt: now, finishedAt: now };
+    await this.store.save(finished, settings().ttlMs);
+    return finished;
+  }
+
+  // Clean up after a job that did not complete: a cancelled receipt is discarded with its file, a
+  // failed one stays pending for the user to retry or discard, an attachment stays on its expense without text
+  async abandon(job, { cancelled = false } = {}) {
+    if (job.type === 'attachment') {
+      await markAttachmentTextFailed(job.userId, job.expenseId, job.attachmentId);
+    } else if (cancelled) {
+      await discardReceipt(job.userId, job.expenseId);
+    } else {
+      await markReceiptFailed(job.userId, job.expenseId);
+    }
+  }
+
+  // `fields`: the pending receipt's `expenseId`, or `type: 'attachment'` with the `expenseId` and `attachmentId`
+  async enqueue(userId, fields) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type: 'receipt',
+      userId: String(userId),
+      expenseId: null,
+      ...fields,
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: settings().maxAttempts,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null
+    };
+
+    await this.store.save(job);
+    await this.store.push(job.id);
+    this.drain();
+    return job;
+  }
+
+  async getJob(userId, id) {
+    const job = await this.store.get(id);
+    return job && job.userId === String(userId) ? job : null;
+  }
+
+  // Start queued jobs until the pool is full
+  async drain() {
+    const { concurrency } = settings();
+    while (this.active < concurrency) {
+      this.active++;
+      let id = null;
+      try {
+        id = await this.store.pop();
+      } catch (error) {
+        logger.error('Receipt queue error:', error);
+      }
+      if (!id) {
+        this.active--;
+        return;
+      }
+      this.process(id).catch(error => logger.error(`Receipt job ${id} error:`, error)).finally(() => {
+        this.active--;
+        this.drain();
+      });
+    }
+  }
+
+  async process(id) {
+    const job = await this.store.get(id);
+    // Cancelled or expired while waiting
+    if (!job || job.status !== 'queued') {
+      return;
+    }
+
+    job.status = 'processing';
+    job.attempts += 1;
+    job.updatedAt = new Date().toISOString();
+    await this.store.save(job);
+
+    try {
+      const user = await User.findById(job.userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+      if (job.type === 'attachment') {
+        const found = await readAttachmentText(user, job.expenseId, job.attachmentId);
+        await this.finish(job, { status: found ? 'completed' : 'failed', error: found ? null : 'Attachment not found' });
+        return;
+      }
+      const expense = await readPendingReceipt(user, job.expenseId);
+
+      // Cancelled while OCR was running: throw the result away
+      const latest = await this.store.get(id);
+      if (latest && latest.status === 'cancelled') {
+        await discardReceipt(user._id, job.expenseId);
+        return;
+      }
+      if (!expense) {
+        await this.finish(job, { status: 'failed', error: 'Receipt not found' });
+        return;
+      }
+      await this.finish(job, { status: 'completed', error: null });
+      logger.info(`Receipt job ${id} completed: expense ${expense._id}`);
+    } catch (error) {
+      logger.warn(`Receipt job ${id} attempt ${job.attempts} failed: ${error.message}`);
+
+      const latest = await this.store.get(id);
+      if (latest && latest.status === 'cancelled') {
+        await this.abandon(job, { cancelled: true });
+        return;
+      }
+      if (job.attempts < job.maxAttempts) {
+        await this.store.save({ ...job, status: 'queued', error: error.message, updatedAt: new Date().toISOString() });
+        const retry = setTimeout(() => {
+          this.store.push(id).then(() => this.drain()).catch(pushError => logger.error('Receipt queue error:', pushError));
+        }, settings().backoffMs * job.attempts);
+        retry.unref();
+        return;
+      }
+
+      await this.abandon(job);
+      await this.finish(job, { status: 'failed', error: error.message });
+    }
+  }
+
+  // A running job finishes its OCR, but the result is discarded
+  async cancel(job) {
+    if (FINISHED_STATUSES.includes(job.status)) {
+      return { error: `Job is already ${job.status}` };
+    }
+
+    await this.store.remove(job.id);
+    const cancelled = await this.finish(job, { status: 'cancelled' });
+    if (job.status === 'queued') {
+      await this.abandon(job, { cancelled: true });
+    }
+    return { value: cancelled };
+  }
+}
+
+const queue = new ReceiptQueue();
+
+// Export functions
+
+// Queue a stored receipt (see storageService.storeReceipt) as a pending expense to be read; returns the new job
+async function enqueueReceipt(userId, receipt) {
+  const expense = await addPendingReceipt(userId, receipt);
+  return publicJob(await queue.enqueue(userId, { expenseId: String(expense._id), originalName: receipt.originalName }));
+}
+
+// Queue a pending receipt that could not be read for another try; returns the new job,
+// or null when the user has no such failed receipt
+async function retryReceipt(userId, expenseId) {
+  const expense = await Expense.findOneAndUpdate(
+    { _id: expenseId, userId, status: 'pending', ocrStatus: 'failed' },
+    { ocrStatus: 'pending' }
+  );
+  if (!expense) {
+    return null;
+  }
+  return publicJob(await queue.enqueue(userId, { expenseId: String(expense._id), originalName: expense.receipt.originalName }));
+}
+
+// Queue reading the text of an expense attachment (see attachmentService.addAttachment); returns the new job
+async function enqueueAttachmentText(userId, expenseId, attachment) {
+  return publicJob(await queue.enqueue(userId, {
+    type: 'attachment',
+    expenseId: String(expenseId),
+    attachmentId: String(attachment._id),
+    originalName: attachment.originalName
+  }));
+}
+
+// A user's job, or null when it does not exist, has expired or belongs to someone else
+async function getReceiptJob(userId, id) {
+  const job = await queue.getJob(userId, id);
+  return job ? publicJob(job) : null;
+}
+
+// Returns { error } or { value: job }; null when the job is not found
+async function cancelReceiptJob(userId, id) {
+  const job = await queue.getJob(userId, id);
+  if (!job) {
+    return null;
+  }
+  const result = await queue.cancel(job);
+  return result.error ? result : { value: publicJob(result.value) };
+}
+
+async function startReceiptQueue() {
+  await queue.start(parseInt(process.env.RECEIPT_QUEUE_POLL_MS) || 1000);
+}
+
+async function stopReceiptQueue() {
+  await queue.stop();
+}
+
+module.exports = {
+  enqueueReceipt,
+  retryReceipt,
+  enqueueAttachmentText,
+  getReceiptJob,
+  cancelReceiptJob,
+  startReceiptQueue,
+  stopReceiptQueue
+};
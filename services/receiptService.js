@@ -0,0 +1,290 @@
+const Expense = require('../models/Expense');
+const ReceiptCorrection = require('../models/ReceiptCorrection');
+const { logger } = require('../utils/logger');
+const { extractReceiptData } = require('./ocrService');
+const { resolveMerchant } = require('./merchantService');
+const { getActiveRules, applyRules } = require('./ruleService');
+const { applyCategory } = require('./categoryService');
+const { categorizeExpense, detectAnomalies } = require('./mlService');
+const { expenseCurrencyFields, normalizeCurrency } = require('./currencyService');
+const { recordExpenseEvent } = require('./auditService');
+const { receiptUrl, withReceiptFile, deleteExpenseFiles } = require('./storageService');
+
+function dayOf(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : null;
+}
+
+// What the parser suggested for each field and how sure it was
+function receiptSuggestions(expense) {
+  const ocrData = expense.ocrData || {};
+  const confidence = ocrData.confidence || {};
+  return {
+    name: { value: expense.name, confidence: confidence.merchant ?? null },
+    amount: { value: expense.amount, confidence: confidence.total ?? null },
+    date: { value: dayOf(expense.date), confidence: confidence.date ?? null },
+    currency: { value: ocrData.currency || null, confidence: confidence.currency ?? null },
+    category: { value: expense.category, subcategory: expense.subcategory || null },
+    items: ocrData.items || []
+  };
+}
+
+// Store the fields the user changed when confirming a receipt, next to what the parser read
+async function recordParserCorrections(userId, suggested, expense) {
+  const ocrData = expense.ocrData || {};
+  const confidence = ocrData.confidence || {};
+  const fields = [];
+
+  if (suggested.name.trim().toLowerCase() !== expense.name.trim().toLowerCase()) {
+    fields.push({ field: 'merchant', parsed: ocrData.merchant, corrected: expense.name, confidence: confidence.merchant });
+  }
+  if (suggested.amount !== expense.amount) {
+    fields.push({ field: 'amount', parsed: ocrData.amount, corrected: expense.amount, confidence: confidence.total });
+  }
+  if (dayOf(suggested.date) !== dayOf(expense.date)) {
+    fields.push({ field: 'date', parsed: ocrData.date, corrected: dayOf(expense.date), confidence: confidence.date });
+  }
+  if (ocrData.currency && ocrData.currency !== expense.currency) {
+    fields.push({ field: 'currency', parsed: ocrData.currency, corrected: expense.currency, confidence: confidence.currency });
+  }
+  if (fields.length === 0) {
+    return null;
+  }
+
+  try {
+    return await ReceiptCorrection.create({
+      userId,
+      expenseId: expense._id,
+      rawText: typeof ocrData.rawText === 'string' ? ocrData.rawText.slice(0, 20000) : undefined,
+      fields
+    });
+  } catch (error) {
+    logger.warn('Failed to record receipt correction:', error);
+    return null;
+  }
+}
+
+// Export functions
+
+// Record an uploaded receipt (see storageService.storeReceipt) as a pending expense while OCR reads it.
+// The placeholder name, amount and date are replaced by readPendingReceipt.
+async function addPendingReceipt(userId, receipt) {
+  const expense = new Expense({
+    userId,
+    name: (receipt.originalName || 'Receipt').slice(0, 255),
+    amount: 0,
+    category: 'other',
+    date: new Date(),
+    status: 'pending',
+    ocrStatus: 'pending',
+    receipt
+  });
+  expense.receiptImageUrl = receiptUrl(expense._id);
+
+  await expense.save();
+  return expense;
+}
+
+// Read a pending receipt's file and fill the expense with the parser's suggestions, in the user's
+// OCR languages and with their locale deciding ambiguous numbers and dates.
+// Returns null when the receipt was discarded or read in the meantime.
+async function readPendingReceipt(user, expenseId) {
+  const pending = await Expense.findOne({ _id: expenseId, userId: user._id, status: 'pending', ocrStatus: 'pending' })
+    .select('receipt')
+    .lean();
+  if (!pending) {
+    return null;
+  }
+
+  const preferences = user.preferences || {};
+  const ocrData = await withReceiptFile(pending.receipt, filePath => extractReceiptData(filePath, {
+    languages: preferences.ocrLanguages,
+    locale: preferences.locale,
+    currency: preferences.currency
+  }));
+
+  const amount = Math.min(Math.max(parseFloat(ocrData.amount) || 0, 0), 999999.99);
+  const date = ocrData.date ? new Date(ocrData.date) : new Date();
+  const merchant = await resolveMerchant(user._id, ocrData.merchant);
+  const name = merchant ? merchant.name : (ocrData.merchant || 'Unknown Merchant');
+  const notes = (ocrData.items || []).map(item => item.description).filter(Boolean).join(', ').slice(0, 1000);
+  const ruleResult = applyRules(await getActiveRules(user._id), { name, notes, amount, date }, merchant);
+
+  // Suggested category: the user's rules, then the merchant's default; the rest is decided on confirm
+  const suggested = ruleResult.category ? ruleResult : (merchant && merchant.category ? merchant : {});
+  const expense = await Expense.findOneAndUpdate(
+    { _id: expenseId, userId: user._id, status: 'pending', ocrStatus: 'pending' },
+    {
+      $set: {
+        name,
+        amount,
+        category: suggested.category || 'other',
+        ...(suggested.subcategory && { subcategory: suggested.subcategory }),
+        merchantId: merchant ? merchant._id : null,
+        date,
+        notes,
+        ocrStatus: 'done',
+        ocrData
+      }
+    },
+    { new: true, runValidators: true }
+  );
+  if (expense) {
+    await recordExpenseEvent({ actorId: user._id, action: 'create', source: 'ocr', after: expense });
+  }
+
+  return expense;
+}
+
+// Record that a pending receipt could not be read; the user can retry it or discard it
+async function markReceiptFailed(userId, expenseId) {
+  await Expense.updateOne(
+    { _id: expenseId, userId, status: 'pending', ocrStatus: 'pending' },
+    { ocrStatus: 'failed' }
+  );
+}
+
+// After a restart lost their jobs: mark receipts uploaded before `createdBefore` that are still
+// waiting for OCR as failed, except the ones in `queuedIds`. Returns how many were marked.
+async function failOrphanedReceipts(createdBefore, queuedIds) {
+  const result = await Expense.updateMany(
+    { status: 'pending', ocrStatus: 'pending', createdAt: { $lt: createdBefore }, _id: { $nin: [...queuedIds] } },
+    { ocrStatus: 'failed' }
+  );
+  return result.modifiedCount;
+}
+
+// Pending receipts, newest first, with their suggestions
+async function getPendingReceipts(userId, options = {}) {
+  const { page = 1, limit = 20 } = options;
+  const query = { userId, status: 'pending' };
+
+  const [expenses, total] = await Promise.all([
+    Expense.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Expense.countDocuments(query)
+  ]);
+
+  return {
+    receipts: expenses.map(expense => ({ ...expense, suggestions: receiptSuggestions(expense) })),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+// Turn a pending receipt into a regular expense. `corrections` override the suggestions, including
+// the currency detected on the receipt; a missing or 'auto' category is chosen by the user's rules,
+// the merchant's default or the categorizer.
+// Returns { error } or { value: { expense, aiCategorized, confidenceScore, isAnomaly } }.
+async function confirmReceipt(user, expense, corrections = {}) {
+  const before = expense.toObject();
+  const name = corrections.name || expense.name;
+  const amount = corrections.amount !== undefined ? corrections.amount : expense.amount;
+  const date = corrections.date || expense.date;
+  const notes = corrections.notes !== undefined ? corrections.notes : expense.notes;
+  const currency = corrections.currency || (expense.ocrData && expense.ocrData.currency) || undefined;
+
+  if (!(amount > 0)) {
+    return { error: 'The receipt total could not be read; please provide the amount' };
+  }
+
+  const money = await expenseCurrencyFields(user, amount, currency, date);
+  if (!money) {
+    return { error: `No exchange rate available for ${normalizeCurrency(currency)}` };
+  }
+
+  const merchant = await resolveMerchant(user._id, name);
+  const ruleResult = applyRules(await getActiveRules(user._id), { name, notes, date, ...money }, merchant);
+
+  let { category, subcategory } = corrections;
+  let aiCategorized = false;
+  let confidenceScore = null;
+  if (category && category !== 'auto') {
+    const fields = { category, subcategory };
+    const categoryError = await applyCategory(user._id, fields);
+    if (categoryError) {
+      return { error: categoryError };
+    }
+    ({ category, subcategory } = fields);
+  } else if (ruleResult.category) {
+    category = ruleResult.category;
+    subcategory = subcategory || ruleResult.subcategory;
+  } else if (merchant && merchant.category) {
+    category = merchant.category;
+    subcategory = subcategory || merchant.subcategory;
+  } else {
+    try {
+      const aiResult = await categorizeExpense(name, amount, notes, { userId: user._id });
+      category = aiResult.category;
+      subcategory = subcategory || aiResult.subcategory;
+      confidenceScore = aiResult.confidence;
+      aiCategorized = true;
+    } catch (aiError) {
+      logger.warn('AI categorization failed:', aiError);
+      category = 'other';
+    }
+  }
+
+  let isAnomaly = false;
+  try {
+    const anomalyResult = await detectAnomalies(user._id, money.baseAmount, category);
+    isAnomaly = anomalyResult.isAnomaly;
+  } catch (anomalyError) {
+    logger.warn('Anomaly detection failed:', anomalyError);
+  }
+
+  expense.set({
+    name,
+    amount,
+    ...money,
+    category,
+    subcategory,
+    merchantId: merchant ? merchant._id : null,
+    date,
+    notes: notes || ruleResult.notes,
+    tags: [...new Set([...(expense.tags || []), ...ruleResult.tags])],
+    reviewed: Boolean(ruleResult.reviewed),
+    aiCategorized,
+    confidenceScore,
+    isAnomaly,
+    status: 'confirmed'
+  });
+  if (ruleResult.ruleIds.length > 0) {
+    expense.metadata = { ...expense.metadata, appliedRules: ruleResult.ruleIds };
+  }
+
+  await expense.save();
+  await recordParserCorrections(user._id, before, expense);
+  await recordExpenseEvent({ actorId: user._id, action: 'update', source: 'manual', before, after: expense });
+
+  return { value: { expense, aiCategorized, confidenceScore, isAnomaly } };
+}
+
+// Throw away a pending receipt and its file; returns false when there is none
+async function discardReceipt(userId, expenseId) {
+  const expense = await Expense.findOneAndDelete({ _id: expenseId, userId, status: 'pending' });
+  if (!expense) {
+    return false;
+  }
+
+  await deleteExpenseFiles(expense);
+  await recordExpenseEvent({ actorId: userId, action: 'purge', source: 'manual', before: expense });
+  return true;
+}
+
+module.exports = {
+  receiptSuggestions,
+  addPendingReceipt,
+  readPendingReceipt,
+  markReceiptFailed,
+  failOrphanedReceipts,
+  getPendingReceipts,
+  confirmReceipt,
+  discardReceipt
+};
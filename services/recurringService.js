@@ -0,0 +1,211 @@
+const RecurringExpense = require('../models/RecurringExpense');
+const Expense = require('../models/Expense');
+const { logger } = require('../utils/logger');
+const { recordExpenseEvent } = require('./auditService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ITERATIONS = 10000;
+
+// RRULE-style occurrence generation (FREQ, INTERVAL, UNTIL, COUNT, EXDATE)
+class RecurrenceRule {
+  constructor(schedule) {
+    this.frequency = schedule.frequency;
+    this.interval = schedule.interval || 1;
+    this.startDate = new Date(schedule.startDate);
+    this.endDate = schedule.endDate ? new Date(schedule.endDate) : null;
+    this.count = schedule.count || null;
+    this.skipKeys = new Set((schedule.skipDates || []).map(date => this.dayKey(date)));
+  }
+
+  dayKey(date) {
+    return new Date(date).toISOString().split('T')[0];
+  }
+
+  // Add months keeping the start day, clamped to the end of shorter months
+  addMonths(date, months) {
+    const result = new Date(date);
+    const day = result.getUTCDate();
+    result.setUTCDate(1);
+    result.setUTCMonth(result.getUTCMonth() + months);
+    const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+    result.setUTCDate(Math.min(day, lastDay));
+    return result;
+  }
+
+  // The nth occurrence is always computed from the start date so month clamping never drifts
+  nth(n) {
+    const steps = n * this.interval;
+    switch (this.frequency) {
+    case 'daily':
+      return new Date(this.startDate.getTime() + steps * DAY_MS);
+    case 'weekly':
+      return new Date(this.startDate.getTime() + steps * 7 * DAY_MS);
+    case 'monthly':
+      return this.addMonths(this.startDate, steps);
+    case 'yearly':
+      return this.addMonths(this.startDate, steps * 12);
+    default:
+      throw new Error(`Unsupported frequency: ${this.frequency}`);
+    }
+  }
+
+  // Occurrences with after < date <= until, in order
+  between(after, until, limit = Infinity) {
+    const occurrences = [];
+    for (let n = 0; n < MAX_ITERATIONS && occurrences.length < limit; n++) {
+      if (this.count && n >= this.count) {
+        break;
+      }
+      const date = this.nth(n);
+      if (this.endDate && date > this.endDate) {
+        break;
+      }
+      if (until && date > until) {
+        break;
+      }
+      if (after && date <= after) {
+        continue;
+      }
+      if (this.skipKeys.has(this.dayKey(date))) {
+        continue;
+      }
+      occurrences.push(date);
+    }
+    return occurrences;
+  }
+
+  next(after) {
+    return this.between(after, null, 1)[0] || null;
+  }
+}
+
+// Background job that turns due recurring templates into expenses
+class RecurringScheduler {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  // Upserting on (recurringId, recurrenceDate) makes repeated runs create each occurrence once
+  async materialize(template, now = new Date()) {
+    const rule = new RecurrenceRule(template.schedule);
+    const after = template.lastGeneratedAt || new Date(rule.startDate.getTime() - 1);
+    const dates = rule.between(after, now);
+    let created = 0;
+
+    for (const date of dates) {
+      const fields = {
+        userId: template.userId,
+        name: template.name,
+        amount: template.amount,
+        category: template.category,
+        subcategory: template.subcategory,
+        notes: template.notes,
+        tags: template.tags,
+        date,
+        recurringId: template._id,
+        recurrenceDate: date
+      };
+      const result = await Expense.updateOne(
+        { recurringId: template._id, recurrenceDate: date },
+        { $setOnInsert: fields },
+        { upsert: true }
+      );
+      if (result.upsertedCount) {
+        created++;
+        await recordExpenseEvent({
+          action: 'create',
+          source: 'recurring',
+          after: { ...fields, _id: result.upsertedId }
+        });
+      }
+    }
+
+    template.lastGeneratedAt = now;
+    template.nextOccurrence = rule.next(now);
+    await template.save();
+
+    return created;
+  }
+
+  async run(now = new Date()) {
+    if (this.running) {
+      return 0;
+    }
+    this.running = true;
+    let created = 0;
+
+    try {
+      const due = await RecurringExpense.find({
+        isPaused: false,
+        nextOccurrence: { $ne: null, $lte: now }
+      });
+
+      for (const template of due) {
+        try {
+          created += await this.materialize(template, now);
+        } catch (error) {
+          logger.error(`Recurring expense ${template._id} failed:`, error);
+        }
+      }
+
+      if (created > 0) {
+        logger.info(`Recurring scheduler created ${created} expenses`);
+      }
+    } catch (error) {
+      logger.error('Recurring scheduler error:', error);
+    } finally {
+      this.running = false;
+    }
+
+    return created;
+  }
+
+  start(intervalMs) {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.run(), intervalMs);
+    this.timer.unref();
+    this.run();
+    logger.info(`⏰ Recurring expense scheduler started (every ${intervalMs}ms)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+const scheduler = new RecurringScheduler();
+
+// Export functions
+function previewOccurrences(schedule, after, limit = 10) {
+  return new RecurrenceRule(schedule).between(after, null, limit);
+}
+
+function nextOccurrence(schedule, after) {
+  return new RecurrenceRule(schedule).next(after);
+}
+
+async function materializeRecurring(template, now) {
+  return await scheduler.materialize(template, now);
+}
+
+function startRecurringScheduler() {
+  scheduler.start(parseInt(process.env.RECURRING_INTERVAL_MS) || 60 * 60 * 1000);
+}
+
+function stopRecurringScheduler() {
+  scheduler.stop();
+}
+
+module.exports = {
+  previewOccurrences,
+  nextOccurrence,
+  materializeRecurring,
+  startRecurringScheduler,
+  stopRecurringScheduler
+};
@@ -0,0 +1,262 @@
+const { RE2JS } = require('re2js');
+const Rule = require('../models/Rule');
+const Expense = require('../models/Expense');
+const { resolveCategory } = require('./categoryService');
+
+// Operators each condition field understands
+const FIELD_OPERATORS = {
+  name: ['contains', 'equals', 'matches', 'in'],
+  notes: ['contains', 'equals', 'matches', 'in'],
+  merchant: ['contains', 'equals', 'matches', 'in'],
+  amount: ['equals', 'gt', 'gte', 'lt', 'lte', 'between'],
+  date: ['equals', 'gt', 'gte', 'lt', 'lte', 'between'],
+  weekday: ['equals', 'in']
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MAX_DRY_RUN_RESULTS = 100;
+const MAX_PATTERN_LENGTH = 100;
+
+// Expense dates are stored as UTC midnight, so days and weekdays are read in UTC
+function dayKey(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+// 0 (Sunday) to 6, from a number or a day name such as "sat"
+function weekdayNumber(value) {
+  if (Number.isInteger(value) && value >= 0 && value <= 6) {
+    return value;
+  }
+  const name = String(value).trim().toLowerCase();
+  const index = name.length >= 3 ? WEEKDAYS.findIndex(day => day.startsWith(name)) : -1;
+  return index === -1 ? null : index;
+}
+
+// `matches` patterns run on RE2, whose matching time is linear in the input, so no pattern
+// (e.g. `(a+)+$`) can stall the server. Null when RE2 cannot compile it (lookarounds, backreferences).
+function compilePattern(text) {
+  try {
+    return RE2JS.compile(text, RE2JS.CASE_INSENSITIVE);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Normalize one condition value for its field; returns undefined when it is not usable
+function normalizeValue(field, operator, value) {
+  if (field === 'amount') {
+    const amount = Number(value);
+    return Number.isFinite(amount) ? amount : undefined;
+  }
+  if (field === 'date') {
+    return dayKey(value) || undefined;
+  }
+  if (field === 'weekday') {
+    const weekday = weekdayNumber(value);
+    return weekday === null ? undefined : weekday;
+  }
+  const text = String(value);
+  if (operator === 'matches') {
+    return text.length <= MAX_PATTERN_LENGTH && compilePattern(text) ? text : undefined;
+  }
+  return text.trim().toLowerCase();
+}
+
+// The expense as rules see it: amounts in the base currency, the merchant's canonical name
+function ruleSubject(expense, merchant) {
+  const amount = expense.baseAmount !== undefined && expense.baseAmount !== null ? expense.baseAmount : expense.amount;
+  return {
+    name: String(expense.name || '').toLowerCase(),
+    notes: String(expense.notes || '').toLowerCase(),
+    merchant: String((merchant && merchant.name) || expense.name || '').toLowerCase(),
+    amount: Number(amount) || 0,
+    date: dayKey(expense.date),
+    weekday: expense.date ? new Date(expense.date).getUTCDay() : null
+  };
+}
+
+function compileCondition({ field, operator, value }) {
+  if (operator === 'matches') {
+    // A stored pattern that no longer compiles matches nothing rather than breaking every rule
+    const pattern = compilePattern(value);
+    return subject => Boolean(pattern) && pattern.test(subject[field]);
+  }
+  switch (operator) {
+  case 'contains':
+    return subject => subject[field].includes(value);
+  case 'equals':
+    return subject => subject[field] === value;
+  case 'in':
+    return subject => value.includes(subject[field]);
+  case 'gt':
+    return subject => subject[field] !== null && subject[field] > value;
+  case 'gte':
+    return subject => subject[field] !== null && subject[field] >= value;
+  case 'lt':
+    return subject => subject[field] !== null && subject[field] < value;
+  case 'lte':
+    return subject => subject[field] !== null && subject[field] <= value;
+  case 'between':
+    return subject => subject[field] !== null && subject[field] >= value[0] && subject[field] <= value[1];
+  default:
+    return () => false;
+  }
+}
+
+function compileRule(rule) {
+  const tests = rule.conditions.map(compileCondition);
+  const test = rule.match === 'any'
+    ? subject => tests.some(check => check(subject))
+    : subject => tests.every(check => check(subject));
+  return { rule, test };
+}
+
+// Export functions
+
+// Validate and normalize a rule definition in place, resolving the action category.
+// Returns an error message or null.
+async function prepareRule(userId, fields) {
+  for (const condition of fields.conditions) {
+    const { field, operator, value } = condition;
+    if (!FIELD_OPERATORS[field].includes(operator)) {
+      return `Operator "${operator}" cannot be used with ${field}`;
+    }
+
+    const isList = operator === 'in' || operator === 'between';
+    if (isList !== Array.isArray(value)) {
+      return isList ? `Operator "${operator}" needs a list of values` : `Operator "${operator}" needs a single value`;
+    }
+    if (operator === 'between' && value.length !== 2) {
+      return 'Operator "between" needs [min, max]';
+    }
+
+    const values = (isList ? value : [value]).map(item => normalizeValue(field, operator, item));
+    if (values.includes(undefined)) {
+      return `Invalid value for ${field} condition`;
+    }
+    if (operator === 'between' && values[0] > values[1]) {
+      return 'Operator "between" needs [min, max]';
+    }
+    condition.value = isList ? values : values[0];
+  }
+
+  if (fields.actions.category) {
+    const result = await resolveCategory(userId, fields.actions.category);
+    if (result.error) {
+      return result.error;
+    }
+    fields.actions.category = result.value.category;
+    fields.actions.subcategory = result.value.subcategory;
+  }
+  return null;
+}
+
+// The user's enabled rules, compiled for applyRules
+async function getActiveRules(userId) {
+  const rules = await Rule.find({ userId, enabled: true }).sort({ priority: 1, createdAt: 1 }).lean();
+  return rules.map(compileRule);
+}
+
+// Run compiled rules against an expense. The first matching rule to set a field wins;
+// tags from every matching rule are combined.
+// Returns { category?, subcategory?, notes?, reviewed?, tags, ruleIds }.
+function applyRules(rules, expense, merchant) {
+  const subject = ruleSubject(expense, merchant);
+  const result = { tags: [], ruleIds: [] };
+
+  for (const { rule, test } of rules) {
+    if (!test(subject)) {
+      continue;
+    }
+    const actions = rule.actions || {};
+    result.ruleIds.push(rule._id);
+
+    if (actions.category && result.category === undefined) {
+      result.category = actions.category;
+      result.subcategory = actions.subcategory;
+    }
+    if (actions.notes && result.notes === undefined) {
+      result.notes = actions.notes;
+    }
+    if (typeof actions.reviewed === 'boolean' && result.reviewed === undefined) {
+      result.reviewed = actions.reviewed;
+    }
+    (actions.tags || []).forEach(tag => {
+      if (!result.tags.includes(tag)) {
+        result.tags.push(tag);
+      }
+    });
+
+    if (rule.stopProcessing) {
+      break;
+    }
+  }
+  return result;
+}
+
+// Which existing expenses a (possibly unsaved) prepared rule would change, and how
+async function dryRunRule(userId, rule, options = {}) {
+  const limit = Math.min(options.limit || MAX_DRY_RUN_RESULTS, MAX_DRY_RUN_RESULTS);
+  const { test } = compileRule(rule);
+  const actions = rule.actions || {};
+  const report = { matched: 0, changed: 0, expenses: [] };
+
+  const expenses = Expense.find({ userId })
+    .sort({ date: -1 })
+    .populate('merchantId', 'name')
+    .lean()
+    .cursor();
+
+  for await (const expense of expenses) {
+    if (!test(ruleSubject(expense, expense.merchantId))) {
+      continue;
+    }
+    report.matched++;
+
+    const changes = {};
+    if (actions.category &&
+        (actions.category !== expense.category || (actions.subcategory || null) !== (expense.subcategory || null))) {
+      changes.category = {
+        from: { category: expense.category, subcategory: expense.subcategory },
+        to: { category: actions.category, subcategory: actions.subcategory }
+      };
+    }
+    const tags = expense.tags || [];
+    const addedTags = (actions.tags || []).filter(tag => !tags.includes(tag));
+    if (addedTags.length > 0) {
+      changes.tags = { from: tags, to: [...tags, ...addedTags] };
+    }
+    if (actions.notes && actions.notes !== expense.notes) {
+      changes.notes = { from: expense.notes, to: actions.notes };
+    }
+    if (typeof actions.reviewed === 'boolean' && actions.reviewed !== Boolean(expense.reviewed)) {
+      changes.reviewed = { from: Boolean(expense.reviewed), to: actions.reviewed };
+    }
+
+    if (Object.keys(changes).length === 0) {
+      continue;
+    }
+    report.changed++;
+    if (report.expenses.length < limit) {
+      report.expenses.push({
+        _id: expense._id,
+        name: expense.name,
+        amount: expense.amount,
+        date: expense.date,
+        changes
+      });
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  MAX_PATTERN_LENGTH,
+  prepareRule,
+  getActiveRules,
+  applyRules,
+  dryRunRule
+};
@@ -0,0 +1,146 @@
+// Shared-expense math; all arithmetic is done in integer cents to avoid rounding drift
+
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+function fromCents(cents) {
+  return cents / 100;
+}
+
+// Spread `total` cents over weights, giving leftover cents to the largest remainders
+function distribute(total, weights) {
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  const raw = weights.map(weight => (total * weight) / weightSum);
+  const shares = raw.map(Math.floor);
+  let leftover = total - shares.reduce((sum, share) => sum + share, 0);
+
+  const order = raw
+    .map((value, i) => ({ i, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder || a.i - b.i);
+  for (const { i } of order) {
+    if (leftover <= 0) {
+      break;
+    }
+    shares[i]++;
+    leftover--;
+  }
+  return shares;
+}
+
+// Resolve a split request into per-member amounts; returns { error } or { value }
+function computeShares(amount, splitType, splits, memberIds) {
+  const total = toCents(amount);
+  const members = new Set(memberIds.map(String));
+  const participants = splits.map(split => String(split.userId));
+
+  if (participants.length === 0) {
+    return { error: 'At least one participant is required' };
+  }
+  if (new Set(participants).size !== participants.length) {
+    return { error: 'Each participant can appear only once' };
+  }
+  const outsider = participants.find(userId => !members.has(userId));
+  if (outsider) {
+    return { error: `User ${outsider} is not a member of this group` };
+  }
+
+  let cents;
+  switch (splitType) {
+  case 'equal':
+    cents = distribute(total, participants.map(() => 1));
+    break;
+  case 'percentage': {
+    const percentages = splits.map(split => Number(split.percentage) || 0);
+    const sum = percentages.reduce((acc, value) => acc + value, 0);
+    if (Math.abs(sum - 100) > 0.01) {
+      return { error: `Percentages must add up to 100 (got ${sum})` };
+    }
+    cents = distribute(total, percentages);
+    break;
+  }
+  case 'exact': {
+    cents = splits.map(split => toCents(split.amount || 0));
+    const sum = cents.reduce((acc, value) => acc + value, 0);
+    if (sum !== total) {
+      return { error: `Exact shares must add up to ${fromCents(total).toFixed(2)} (got ${fromCents(sum).toFixed(2)})` };
+    }
+    break;
+  }
+  default:
+    return { error: `Unsupported split type: ${splitType}` };
+  }
+
+  return {
+    value: splits.map((split, i) => ({
+      userId: split.userId,
+      amount: fromCents(cents[i]),
+      ...(splitType === 'percentage' && { percentage: Number(split.percentage) })
+    }))
+  };
+}
+
+// Net position per member: positive means the member is owed money
+function computeBalances(memberIds, expenses, settlements) {
+  const net = new Map(memberIds.map(id => [String(id), 0]));
+  const add = (userId, cents) => net.set(String(userId), (net.get(String(userId)) || 0) + cents);
+
+  expenses.forEach(expense => {
+    add(expense.paidBy, toCents(expense.amount));
+    expense.splits.forEach(split => add(split.userId, -toCents(split.amount)));
+  });
+  settlements.forEach(settlement => {
+    add(settlement.from, toCents(settlement.amount));
+    add(settlement.to, -toCents(settlement.amount));
+  });
+
+  return Array.from(net.entries()).map(([userId, cents]) => ({ userId, balance: fromCents(cents) }));
+}
+
+// Transfers that settle every balance: exact debtor/creditor pairs first, then largest against largest.
+// This needs at most (members - 1) transfers and usually far fewer.
+function simplifyDebts(balances) {
+  const debtors = [];
+  const creditors = [];
+  balances.forEach(({ userId, balance }) => {
+    const cents = toCents(balance);
+    if (cents < 0) {
+      debtors.push({ userId, cents: -cents });
+    } else if (cents > 0) {
+      creditors.push({ userId, cents });
+    }
+  });
+
+  const transfers = [];
+  const transfer = (debtor, creditor, cents) => {
+    transfers.push({ from: debtor.userId, to: creditor.userId, amount: fromCents(cents) });
+    debtor.cents -= cents;
+    creditor.cents -= cents;
+  };
+
+  debtors.forEach(debtor => {
+    const match = creditors.find(creditor => creditor.cents === debtor.cents);
+    if (match) {
+      transfer(debtor, match, debtor.cents);
+    }
+  });
+
+  const open = list => list.filter(entry => entry.cents > 0).sort((a, b) => b.cents - a.cents);
+  let remainingDebtors = open(debtors);
+  let remainingCreditors = open(creditors);
+  while (remainingDebtors.length > 0 && remainingCreditors.length > 0) {
+    const debtor = remainingDebtors[0];
+    const creditor = remainingCreditors[0];
+    transfer(debtor, creditor, Math.min(debtor.cents, creditor.cents));
+    remainingDebtors = open(remainingDebtors);
+    remainingCreditors = open(remainingCreditors);
+  }
+
+  return transfers;
+}
+
+module.exports = {
+  computeShares,
+  computeBalances,
+  simplifyDebts
+};
@@ -0,0 +1,439 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fetch = require('node-fetch');
+const Expense = require('../models/Expense');
+const { logger } = require('../utils/logger');
+const { createThumbnail } = require('./ocrService');
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_PATH || path.join(__dirname, '..', 'uploads'));
+
+// Stored files keep an extension OCR can tell PDFs and images apart by
+const RECEIPT_EXTENSIONS = {
+  'application/pdf': '.pdf',
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'image/bmp': '.bmp',
+  'image/tiff': '.tif',
+  'image/heic': '.heic'
+};
+
+// HEIF brands of iPhone photos and other HEIC images
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'mif1', 'msf1'];
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function contentTypeOf(file) {
+  const extension = path.extname(file).toLowerCase();
+  const entry = Object.entries(RECEIPT_EXTENSIONS).find(([, known]) => known === extension);
+  return entry ? entry[0] : 'application/octet-stream';
+}
+
+// Whether `buffer` holds `signature` at `offset`
+function startsWith(buffer, signature, offset = 0) {
+  return buffer.length >= offset + signature.length &&
+    buffer.subarray(offset, offset + signature.length).equals(Buffer.from(signature));
+}
+
+// Objects as files under the upload directory
+class LocalStorage {
+  constructor(root) {
+    this.root = root;
+  }
+
+  // Keys never resolve outside the root
+  resolve(key) {
+    const resolved = path.resolve(this.root, key);
+    if (!resolved.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return resolved;
+  }
+
+  async put(key, buffer) {
+    const file = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, buffer);
+  }
+
+  async get(key) {
+    const file = this.resolve(key);
+    try {
+      const stats = await fs.promises.stat(file);
+      return { stream: fs.createReadStream(file), size: stats.size, contentType: contentTypeOf(file) };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolve(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+      return true;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      return false;
+    }
+  }
+
+  async withLocalFile(key, callback) {
+    return await callback(this.resolve(key));
+  }
+}
+
+// Objects in an S3-compatible bucket (AWS S3, MinIO, Ceph, R2...), with Signature V4 requests.
+// Path-style URLs, so local stand-ins work without bucket DNS names.
+class S3Storage {
+  constructor({ endpoint, bucket, region, accessKeyId, secretAccessKey }) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+    this.endpoint = endpoint.replace(/\/+$/, '');
+    this.bucket = bucket;
+    this.region = region;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+  }
+
+  async request(method, key, { body, contentType } = {}) {
+    const url = new URL(`${this.endpoint}/${encodeURIComponent(this.bucket)}/${key.split('/').map(encodeURIComponent).join('/')}`);
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256Hex(body || '');
+
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      ...(contentType && { 'content-type': contentType })
+    };
+    const signedHeaders = Object.keys(headers).sort();
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      signedHeaders.map(name => `${name}:${headers[name]}\n`).join(''),
+      signedHeaders.join(';'),
+      payloadHash
+    ].join('\n');
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = [dateStamp, this.region, 's3', 'aws4_request']
+      .reduce((signing, part) => hmac(signing, part), `AWS4${this.secretAccessKey}`);
+    const signature = hmac(signingKey, stringToSign).toString('hex');
+
+    // The Host header is set by the HTTP client from the URL
+    delete headers.host;
+    headers.authorization = `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, ` +
+      `SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`;
+
+    return await fetch(url.toString(), { method, headers, body });
+  }
+
+  async put(key, buffer, contentType) {
+    const response = await this.request('PUT', key, { body: buffer, contentType });
+    if (!response.ok) {
+      throw new Error(`S3 upload of ${key} failed with status ${response.status}`);
+    }
+  }
+
+  async get(key) {
+    const response = await this.request('GET', key);
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`S3 download of ${key} failed with status ${response.status}`);
+    }
+    return {
+      stream: response.body,
+      size: parseInt(response.headers.get('content-length')) || null,
+      contentType: response.headers.get('content-type') || contentTypeOf(key)
+    };
+  }
+
+  async exists(key) {
+    const response = await this.request('HEAD', key);
+    return response.ok;
+  }
+
+  async delete(key) {
+    const response = await this.request('DELETE', key);
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`S3 delete of ${key} failed with status ${response.status}`);
+    }
+    return response.ok;
+  }
+
+  // OCR reads files, so the object is downloaded to a temporary file for the callback
+  async withLocalFile(key, callback) {
+    const object = await this.get(key);
+    if (!object) {
+      throw new Error(`Receipt ${key} not found in storage`);
+    }
+    const file = path.join(os.tmpdir(), `receipt-${crypto.randomUUID()}${path.extname(key)}`);
+    try {
+      await new Promise((resolve, reject) => {
+        object.stream.on('error', reject)
+          .pipe(fs.createWriteStream(file))
+          .on('error', reject)
+          .on('finish', resolve);
+      });
+      return await callback(file);
+    } finally {
+      await fs.promises.unlink(file).catch(() => {});
+    }
+  }
+}
+
+let storage = null;
+
+// File path of a receipt uploaded before receipt storage existed, if it lies in UPLOAD_PATH
+function legacyUploadPath(location) {
+  if (!location || /^[a-z][a-z0-9+.-]*:\/\//i.test(location) || location.startsWith('/api/')) {
+    return null;
+  }
+  const resolved = path.resolve(location);
+  return resolved.startsWith(UPLOAD_DIR + path.sep) ? resolved : null;
+}
+
+// Whether an expense of the user (pending or trashed ones included) still uses a stored file,
+// as its receipt or as an attachment. Receipts waiting in the queue are pending expenses, so
+// files of queued jobs count too.
+async function fileInUse(userId, file) {
+  return Boolean(await Expense.exists({
+    userId,
+    $or: [
+      { 'receipt.hash': file.hash, 'receipt.key': file.key },
+      { 'attachments.hash': file.hash, 'attachments.key': file.key }
+    ]
+  }).withDeleted());
+}
+
+// Delete a stored file and its thumbnail; returns whether the file was deleted
+async function deleteStoredFile(file) {
+  const driver = getStorage();
+  if (file.thumbnailKey) {
+    await driver.delete(file.thumbnailKey);
+  }
+  return await driver.delete(file.key);
+}
+
+// Export functions
+
+// The type of an uploaded file read from its first bytes (one of RECEIPT_EXTENSIONS), or null.
+// Uploads are judged by this rather than the Content-Type the client sent.
+function detectMimeType(buffer) {
+  if (startsWith(buffer, '%PDF-')) {
+    return 'application/pdf';
+  }
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) {
+    return 'image/jpeg';
+  }
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return 'image/png';
+  }
+  if (startsWith(buffer, 'RIFF') && startsWith(buffer, 'WEBP', 8)) {
+    return 'image/webp';
+  }
+  if (startsWith(buffer, 'GIF87a') || startsWith(buffer, 'GIF89a')) {
+    return 'image/gif';
+  }
+  if (startsWith(buffer, 'BM')) {
+    return 'image/bmp';
+  }
+  if (startsWith(buffer, [0x49, 0x49, 0x2a, 0x00]) || startsWith(buffer, [0x4d, 0x4d, 0x00, 0x2a])) {
+    return 'image/tiff';
+  }
+  if (startsWith(buffer, 'ftyp', 4) && HEIC_BRANDS.includes(buffer.subarray(8, 12).toString('latin1'))) {
+    return 'image/heic';
+  }
+  return null;
+}
+
+// The configured storage: STORAGE_DRIVER=s3 for an S3-compatible bucket, local disk otherwise
+function getStorage() {
+  if (!storage) {
+    storage = process.env.STORAGE_DRIVER === 's3'
+      ? new S3Storage({
+        endpoint: process.env.S3_ENDPOINT || `https://s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`,
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      })
+      : new LocalStorage(UPLOAD_DIR);
+  }
+  return storage;
+}
+
+// API URL an uploaded receipt is served from; stored as the expense's receiptImageUrl
+function receiptUrl(expenseId) {
+  return `/api/expenses/${expenseId}/receipt`;
+}
+
+// Store an uploaded file (a multer memory file) under its content hash, with a thumbnail
+// for images. The same file uploaded twice by a user is stored once. Returns the stored
+// file fields of a receipt or attachment; throws for files that are not an image or PDF
+// (check them with detectMimeType first).
+async function storeFile(userId, file) {
+  const mimeType = detectMimeType(file.buffer);
+  if (!mimeType) {
+    throw new Error('Only image or PDF files can be stored');
+  }
+  const hash = sha256Hex(file.buffer);
+  const key = `receipts/${userId}/${hash}${RECEIPT_EXTENSIONS[mimeType]}`;
+  const stored = {
+    key,
+    thumbnailKey: null,
+    hash,
+    mimeType,
+    size: file.buffer.length,
+    originalName: String(file.originalname || '').slice(0, 255)
+  };
+
+  const driver = getStorage();
+  if (!(await driver.exists(key))) {
+    await driver.put(key, file.buffer, mimeType);
+  }
+
+  if (mimeType.startsWith('image/')) {
+    const thumbnailKey = `receipts/${userId}/${hash}-thumb.jpg`;
+    try {
+      if (await driver.exists(thumbnailKey)) {
+        stored.thumbnailKey = thumbnailKey;
+      } else {
+        const thumbnail = await createThumbnail(file.buffer);
+        if (thumbnail) {
+          await driver.put(thumbnailKey, thumbnail, 'image/jpeg');
+          stored.thumbnailKey = thumbnailKey;
+        }
+      }
+    } catch (error) {
+      logger.warn('Receipt thumbnail failed:', error.message);
+    }
+  }
+  return stored;
+}
+
+// Store an uploaded receipt (see storeFile); `duplicateOf` is the id of an expense
+// that already has the same receipt, if any
+async function storeReceipt(userId, file) {
+  const receipt = await storeFile(userId, file);
+  const duplicate = await Expense.findOne({ userId, 'receipt.hash': receipt.hash, status: { $in: ['pending', 'confirmed'] } })
+    .select('_id')
+    .lean();
+  return { receipt, duplicateOf: duplicate ? duplicate._id : null };
+}
+
+// A readable stream of an expense's receipt (or its thumbnail), with its size and content type;
+// null when the expense has none
+async function openReceipt(expense, { thumbnail = false } = {}) {
+  if (expense.receipt && expense.receipt.key) {
+    return await openStoredFile(expense.receipt, { thumbnail });
+  }
+
+  // Uploads from before receipt storage, referenced by their file path
+  const legacyPath = thumbnail ? null : legacyUploadPath(expense.receiptImageUrl);
+  if (!legacyPath) {
+    return null;
+  }
+  try {
+    const stats = await fs.promises.stat(legacyPath);
+    return { stream: fs.createReadStream(legacyPath), size: stats.size, contentType: contentTypeOf(legacyPath) };
+  } catch (error) {
+    return null;
+  }
+}
+
+// A readable stream of a stored file (or its thumbnail) with its size and content type; null when missing.
+// The content type follows the key's extension, which comes from the detected type, never from the client.
+async function openStoredFile(file, { thumbnail = false } = {}) {
+  const key = thumbnail ? file.thumbnailKey : file.key;
+  if (!key) {
+    return null;
+  }
+  const object = await getStorage().get(key);
+  return object && { ...object, contentType: thumbnail ? 'image/jpeg' : contentTypeOf(key) };
+}
+
+// Run `callback` with a local file path of a stored receipt or attachment, e.g. for OCR
+async function withReceiptFile(receipt, callback) {
+  return await getStorage().withLocalFile(receipt.key, callback);
+}
+
+// Delete a stored file the user no longer references, unless another of their expenses
+// still has it. Returns whether the file was deleted.
+async function releaseFile(userId, file) {
+  try {
+    if (await fileInUse(userId, file)) {
+      return false;
+    }
+    return await deleteStoredFile(file);
+  } catch (error) {
+    logger.error('Failed to delete stored file:', error);
+    return false;
+  }
+}
+
+// Delete the receipt and attachment files of an expense that has been removed, keeping
+// files another of the user's expenses still has. Returns the number of files deleted.
+async function deleteExpenseFiles(expense) {
+  const hasReceipt = Boolean(expense.receipt && expense.receipt.key);
+  const files = [...(hasReceipt ? [expense.receipt] : []), ...(expense.attachments || [])];
+  let deleted = 0;
+  for (const file of files) {
+    if (await releaseFile(expense.userId, file)) {
+      deleted++;
+    }
+  }
+
+  const legacyPath = hasReceipt ? null : legacyUploadPath(expense.receiptImageUrl);
+  if (legacyPath) {
+    try {
+      await fs.promises.unlink(legacyPath);
+      deleted++;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to delete receipt file:', error);
+      }
+    }
+  }
+  return deleted;
+}
+
+module.exports = {
+  detectMimeType,
+  getStorage,
+  receiptUrl,
+  storeFile,
+  storeReceipt,
+  openReceipt,
+  openStoredFile,
+  withReceiptFile,
+  releaseFile,
+  deleteExpenseFiles
+};
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { logger } = require('../utils/logger');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'fallback_secret_key_change_in_production';
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+const CHALLENGE_TOKEN_EXPIRES_IN = process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m';
+const CHALLENGE_PURPOSE = '2fa';
+const CHALLENGE_MAX_ATTEMPTS = Math.max(parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5, 1);
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning hashes
+function newRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(48).toString('base64url')}`;
+}
+
+function signAccessToken(userId, sessionId) {
+  return jwt.sign({ userId: String(userId), sessionId: String(sessionId) }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  });
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Export functions
+function verifyAccessToken(token) {
+  return jwt.verify(token, JWT_SECRET);
+}
+
+// Proof that the password step of a two-factor login succeeded; not usable as an access token.
+// Only the user's latest challenge is live, and it allows CHALLENGE_MAX_ATTEMPTS code attempts.
+async function signChallengeToken(userId) {
+  const challengeId = crypto.randomBytes(16).toString('hex');
+  await User.updateOne(
+    { _id: userId },
+    { $set: { 'twoFactor.challengeId': challengeId, 'twoFactor.challengeAttempts': 0 } }
+  );
+  return jwt.sign({ userId: String(userId), purpose: CHALLENGE_PURPOSE }, JWT_SECRET, {
+    expiresIn: CHALLENGE_TOKEN_EXPIRES_IN,
+    jwtid: challengeId
+  });
+}
+
+// Returns { userId, challengeId }, or null when the token is invalid, expired or not a challenge
+function verifyChallengeToken(token) {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === CHALLENGE_PURPOSE && decoded.jti
+      ? { userId: decoded.userId, challengeId: decoded.jti }
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Count one code attempt against a live challenge and return the user, or null when the
+// challenge was used, replaced or has no attempts left. Counted before the code is checked,
+// so parallel guesses cannot go over the limit.
+async function claimChallengeAttempt({ userId, challengeId }) {
+  return User.findOneAndUpdate(
+    {
+      _id: userId,
+      'twoFactor.challengeId': challengeId,
+      'twoFactor.challengeAttempts': { $lt: CHALLENGE_MAX_ATTEMPTS }
+    },
+    { $inc: { 'twoFactor.challengeAttempts': 1 } },
+    { new: true }
+  );
+}
+
+// Attempts left on a challenge after the ones already counted on the user
+function challengeAttemptsLeft(user) {
+  return Math.max(CHALLENGE_MAX_ATTEMPTS - (user.twoFactor.challengeAttempts || 0), 0);
+}
+
+// Start a session for a freshly authenticated user
+async function createSession(user, req) {
+  const session = new Session({
+    userId: user._id,
+    refreshTokenHash: 'pending',
+    userAgent: (req.get('User-Agent') || '').slice(0, 500),
+    ip: req.ip,
+    expiresAt: refreshExpiry()
+  });
+  const refreshToken = newRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    token: signAccessToken(user._id, session._id),
+    refreshToken,
+    session
+  };
+}
+
+// Exchange a refresh token for a new token pair; the old refresh token stops working
+async function rotateSession(refreshToken) {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!/^[a-f0-9]{24}$/.test(sessionId)) {
+    return null;
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    return null;
+  }
+
+  const presented = hashToken(refreshToken);
+  if (presented !== session.refreshTokenHash) {
+    if (presented === session.previousTokenHash) {
+      // A rotated-out token was replayed: assume theft and end the session for everyone holding it
+      session.revokedAt = new Date();
+      await session.save();
+      logger.warn(`Refresh token reuse detected, session ${session._id} revoked`);
+    }
+    return null;
+  }
+
+  const nextToken = newRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presented },
+    {
+      refreshTokenHash: hashToken(nextToken),
+      previousTokenHash: presented,
+      lastUsedAt: new Date(),
+      expiresAt: refreshExpiry()
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    return null;
+  }
+
+  return {
+    token: signAccessToken(rotated.userId, rotated._id),
+    refreshToken: nextToken,
+    session: rotated
+  };
+}
+
+async function revokeSession(userId, sessionId) {
+  const result = await Session.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount > 0;
+}
+
+async function revokeOtherSessions(userId, keepSessionId) {
+  const result = await Session.updateMany(
+    { userId, _id: { $ne: keepSessionId }, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount;
+}
+
+// Used after a password reset so stolen credentials stop working everywhere
+async function revokeAllSessions(userId) {
+  const result = await Session.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount;
+}
+
+async function isSessionActive(sessionId) {
+  return Boolean(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+}
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  claimChallengeAttempt,
+  challengeAttemptsLeft,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeOtherSessions,
+  revokeAllSessions,
+  isSessionActive
+};
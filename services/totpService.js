@@ -0,0 +1,145 @@
+// Time-based one-time passwords (RFC 6238) compatible with common authenticator apps
+const crypto = require('crypto');
+
+const ISSUER = process.env.TOTP_ISSUER || 'AI Expense Tracker';
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+// Accept codes from one step either side to tolerate clock drift
+const DRIFT_STEPS = 1;
+const BACKUP_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Secrets are encrypted at rest; the key defaults to one derived from JWT_SECRET
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+  .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || 'fallback_secret_key_change_in_production')
+  .digest();
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function hotp(key, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / PERIOD_SECONDS);
+}
+
+// Export functions
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function buildOtpauthUri(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = {
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: DIGITS,
+    period: PERIOD_SECONDS
+  };
+  // Authenticator apps expect %20 rather than + for spaces
+  const query = Object.entries(params)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+  return `otpauth://totp/${label}?${query}`;
+}
+
+function generateCode(secret, now = Date.now()) {
+  return hotp(base32Decode(secret), currentStep(now));
+}
+
+// Returns the matched time step, or null; callers reject steps at or before the last one used
+function verifyCode(secret, code, now = Date.now()) {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const step = currentStep(now);
+  for (let offset = -DRIFT_STEPS; offset <= DRIFT_STEPS; offset++) {
+    const expected = hotp(key, step + offset);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step + offset;
+    }
+  }
+  return null;
+}
+
+function generateBackupCodes(count = BACKUP_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+function normalizeBackupCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+function decryptSecret(payload) {
+  const [iv, tag, encrypted] = String(payload).split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  generateSecret,
+  buildOtpauthUri,
+  generateCode,
+  verifyCode,
+  generateBackupCodes,
+  normalizeBackupCode,
+  encryptSecret,
+  decryptSecret
+};
@@ -0,0 +1,143 @@
+const Expense = require('../models/Expense');
+const { logger } = require('../utils/logger');
+const { deleteExpenseFiles } = require('./storageService');
+const { recordExpenseEvents } = require('./auditService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Expenses loaded, deleted and audited at a time while purging
+const PURGE_BATCH_SIZE = 200;
+
+function retentionDays() {
+  return parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+}
+
+// When an expense trashed at `deletedAt` is purged
+function purgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + retentionDays() * DAY_MS);
+}
+
+// Background job that permanently deletes expenses that have been in the trash too long
+class TrashPurger {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  async run(now = new Date()) {
+    if (this.running) {
+      return 0;
+    }
+    this.running = true;
+    let purged = 0;
+
+    try {
+      const cutoff = new Date(now.getTime() - retentionDays() * DAY_MS);
+      purged = await purgeExpenses({ deletedAt: { $ne: null, $lte: cutoff } });
+      if (purged > 0) {
+        logger.info(`Trash purger removed ${purged} expenses`);
+      }
+    } catch (error) {
+      logger.error('Trash purger error:', error);
+    } finally {
+      this.running = false;
+    }
+
+    return purged;
+  }
+
+  start(intervalMs) {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.run(), intervalMs);
+    this.timer.unref();
+    this.run();
+    logger.info(`🗑️ Trash purger started (every ${intervalMs}ms, keeping ${retentionDays()} days)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+const purger = new TrashPurger();
+
+// Export functions
+
+// Move expenses to the trash; returns how many were moved
+async function trashExpenses(userId, ids, options = {}) {
+  const result = await Expense.updateMany(
+    { _id: { $in: ids }, userId, deletedAt: null },
+    { $set: { deletedAt: new Date() } },
+    options
+  );
+  return result.modifiedCount;
+}
+
+// Take expenses out of the trash; returns how many were restored
+async function restoreExpenses(userId, ids) {
+  const result = await Expense.updateMany(
+    { _id: { $in: ids }, userId, deletedAt: { $ne: null } },
+    { $set: { deletedAt: null } }
+  );
+  return result.modifiedCount;
+}
+
+// Permanently delete trashed expenses matching `filter`, with their receipt and attachment files
+// (files another expense still has are kept).
+// `options.actorId` is who asked for it (none for the scheduled purge).
+async function purgeExpenses(filter, options = {}) {
+  const query = { ...filter, deletedAt: filter.deletedAt || { $ne: null } };
+  let purged = 0;
+  let lastId = null;
+  let expenses;
+
+  // Page by _id so memory stays bounded and every expense is visited once
+  do {
+    expenses = await Expense.find(lastId ? { $and: [query, { _id: { $gt: lastId } }] } : query)
+      .sort({ _id: 1 })
+      .limit(PURGE_BATCH_SIZE)
+      .lean();
+    if (expenses.length === 0) {
+      break;
+    }
+    lastId = expenses[expenses.length - 1]._id;
+
+    const result = await Expense.deleteMany({
+      _id: { $in: expenses.map(expense => expense._id) },
+      deletedAt: { $ne: null }
+    });
+    purged += result.deletedCount;
+    for (const expense of expenses) {
+      await deleteExpenseFiles(expense);
+    }
+    await recordExpenseEvents(expenses.map(expense => ({
+      actorId: options.actorId,
+      action: 'purge',
+      source: options.actorId ? 'manual' : 'system',
+      before: expense
+    })));
+  } while (expenses.length === PURGE_BATCH_SIZE);
+
+  return purged;
+}
+
+function startTrashPurger() {
+  purger.start(parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 6 * 60 * 60 * 1000);
+}
+
+function stopTrashPurger() {
+  purger.stop();
+}
+
+module.exports = {
+  purgeDate,
+  trashExpenses,
+  restoreExpenses,
+  purgeExpenses,
+  startTrashPurger,
+  stopTrashPurger
+};
@@ -0,0 +1,85 @@
+// Measures receipt OCR accuracy with and without image preprocessing
+// Fixtures: receipt images plus a JSON file of the same name with the expected values,
+// e.g. fixtures/receipts/cafe.jpg and fixtures/receipts/cafe.json (see fixtures/receipts/generate.js):
+//   { "merchant": "Blue Bottle Coffee", "total": 15.8, "date": "2024-03-14" }
+// Receipts in other languages can add "currency" and the "languages" and "locale" to read them with:
+//   { "total": 1255.07, "currency": "EUR", "languages": ["deu"], "locale": "de-DE" }
+// Run: node test-ocr.js [fixtures-dir]
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const { extractReceiptData } = require('./services/ocrService');
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.bmp', '.webp', '.tif', '.tiff'];
+
+function loadFixtures(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .map(file => {
+      const expectedFile = path.join(dir, path.basename(file, path.extname(file)) + '.json');
+      return fs.existsSync(expectedFile)
+        ? { image: path.join(dir, file), expected: JSON.parse(fs.readFileSync(expectedFile, 'utf8')) }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+// Which expected fields OCR got right
+function score(result, expected) {
+  const checks = {};
+  if (expected.merchant) {
+    checks.merchant = String(result.merchant).toLowerCase().includes(expected.merchant.toLowerCase());
+  }
+  if (expected.total !== undefined) {
+    checks.total = Math.abs((result.total || 0) - expected.total) < 0.01;
+  }
+  if (expected.date) {
+    checks.date = result.date === expected.date;
+  }
+  if (expected.currency) {
+    checks.currency = result.currency === expected.currency;
+  }
+  return checks;
+}
+
+async function run(fixtures, preprocess) {
+  process.env.OCR_PREPROCESS = preprocess ? 'true' : 'false';
+  let correct = 0;
+  let total = 0;
+
+  for (const fixture of fixtures) {
+    try {
+      const { languages, locale } = fixture.expected;
+      const checks = score(await extractReceiptData(fixture.image, { languages, locale }), fixture.expected);
+      const passed = Object.values(checks).filter(Boolean).length;
+      correct += passed;
+      total += Object.keys(checks).length;
+      console.log(`  ${path.basename(fixture.image)}: ${JSON.stringify(checks)}`);
+    } catch (error) {
+      console.log(`  ${path.basename(fixture.image)}: ❌ ${error.message}`);
+      total += Object.keys(score({}, fixture.expected)).length;
+    }
+  }
+  return { correct, total };
+}
+
+(async() => {
+  const dir = process.argv[2] || path.join(__dirname, 'fixtures', 'receipts');
+  if (!fs.existsSync(dir)) {
+    console.log(`⚠️  No fixtures at ${dir}`);
+    process.exit(1);
+  }
+  const fixtures = loadFixtures(dir);
+  console.log(`🧪 ${fixtures.length} receipt fixtures`);
+
+  console.log('\n--- Without preprocessing ---');
+  const raw = await run(fixtures, false);
+  console.log('\n--- With preprocessing ---');
+  const processed = await run(fixtures, true);
+
+  const percent = ({ correct, total }) => (total ? Math.round((correct / total) * 1000) / 10 : 0);
+  console.log(`\nField accuracy: ${percent(raw)}% without, ${percent(processed)}% with preprocessing`);
+  process.exit(0);
+})();
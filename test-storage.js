@@ -0,0 +1,104 @@
+// Checks the receipt storage driver: put, exists, get, local copies and delete
+// Run: node test-storage.js        local disk under UPLOAD_PATH
+//      node test-storage.js s3     an in-process S3 stand-in
+// With STORAGE_DRIVER=s3 and S3_* set (e.g. a local MinIO), `node test-storage.js` checks that bucket.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+require('dotenv').config();
+
+// Minimal S3 stand-in: objects in memory, requests must be signed and carry the payload hash
+function startS3StandIn() {
+  const objects = new Map();
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const signed = /^AWS4-HMAC-SHA256 Credential=[^/]+\/\d{8}\/[^/]+\/s3\/aws4_request, SignedHeaders=[a-z0-9;-]+, Signature=[0-9a-f]{64}$/
+        .test(req.headers.authorization || '');
+      const payloadHash = crypto.createHash('sha256').update(body).digest('hex');
+      if (!signed || req.headers['x-amz-content-sha256'] !== payloadHash) {
+        res.writeHead(403).end();
+        return;
+      }
+
+      const object = objects.get(req.url);
+      if (req.method === 'PUT') {
+        objects.set(req.url, { body, contentType: req.headers['content-type'] });
+        res.writeHead(200).end();
+      } else if (!object) {
+        res.writeHead(404).end();
+      } else if (req.method === 'DELETE') {
+        objects.delete(req.url);
+        res.writeHead(204).end();
+      } else {
+        res.writeHead(200, { 'Content-Type': object.contentType, 'Content-Length': object.body.length });
+        res.end(req.method === 'GET' ? object.body : undefined);
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+function check(name, passed) {
+  console.log(`  ${passed ? '✅' : '❌'} ${name}`);
+  return passed;
+}
+
+(async() => {
+  let server = null;
+  if (process.argv[2] === 's3') {
+    server = await startS3StandIn();
+    Object.assign(process.env, {
+      STORAGE_DRIVER: 's3',
+      S3_ENDPOINT: `http://127.0.0.1:${server.address().port}`,
+      S3_BUCKET: 'receipts-test',
+      S3_ACCESS_KEY_ID: 'test',
+      S3_SECRET_ACCESS_KEY: 'test-secret'
+    });
+  }
+
+  const { getStorage } = require('./services/storageService');
+  const storage = getStorage();
+  console.log(`🧪 Receipt storage: ${process.env.STORAGE_DRIVER === 's3' ? `s3 at ${process.env.S3_ENDPOINT}` : 'local'}`);
+
+  const key = `receipts/test/${crypto.randomUUID()}.pdf`;
+  const content = Buffer.from('%PDF-1.4 test receipt');
+  const results = [];
+  try {
+    results.push(check('missing object does not exist', !(await storage.exists(key))));
+    await storage.put(key, content, 'application/pdf');
+    results.push(check('stored object exists', await storage.exists(key)));
+
+    const object = await storage.get(key);
+    results.push(check('object reads back unchanged', Boolean(object) && (await readAll(object.stream)).equals(content)));
+    results.push(check('size is reported', object && object.size === content.length));
+
+    const copy = await storage.withLocalFile(key, file => ({ file, data: fs.readFileSync(file) }));
+    results.push(check('local copy has the content and extension', copy.data.equals(content) && copy.file.endsWith('.pdf')));
+
+    results.push(check('delete removes the object', await storage.delete(key)));
+    results.push(check('deleted object is gone', !(await storage.exists(key)) && (await storage.get(key)) === null));
+    results.push(check('deleting again is harmless', (await storage.delete(key)) === false));
+  } catch (error) {
+    console.log(`  ❌ ${error.message}`);
+    results.push(false);
+  }
+
+  if (server) {
+    server.close();
+  }
+  const passed = results.filter(Boolean).length;
+  console.log(`\n${passed}/${results.length} checks passed`);
+  process.exit(passed === results.length ? 0 : 1);
+})();